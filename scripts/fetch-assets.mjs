@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+// Copy the MediaPipe, VAD and ONNX Runtime assets into public/vendor and
+// download the models, for VITE_ASSET_SOURCE=local (see src/services/asset-config.js)
+import { createHash } from "node:crypto";
+import {
+	copyFile,
+	mkdir,
+	readdir,
+	readFile,
+	stat,
+	writeFile,
+} from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { Command } from "commander";
+import {
+	MEDIAPIPE_VERSION,
+	MODEL_FILES,
+	MODEL_SHA256,
+	ONNXRUNTIME_WEB_VERSION,
+	VAD_WEB_VERSION,
+	VENDOR_DIRS,
+} from "../src/services/asset-config.js";
+
+const root = join(dirname(fileURLToPath(import.meta.url)), "..");
+const publicDir = join(root, "public");
+
+// Files needed at runtime, per package folder
+const COPIES = [
+	{ dir: VENDOR_DIRS.mediapipeWasm, match: (f) => /^vision_wasm/.test(f) },
+	{
+		dir: VENDOR_DIRS.vad,
+		match: (f) => f === "vad.worklet.bundle.min.js" || f.endsWith(".onnx"),
+	},
+	{
+		dir: VENDOR_DIRS.onnxWasm,
+		match: (f) => /^ort-wasm.*\.(wasm|mjs)$/.test(f),
+	},
+];
+
+const PINNED = {
+	"@mediapipe/tasks-vision": MEDIAPIPE_VERSION,
+	"@ricky0123/vad-web": VAD_WEB_VERSION,
+	"onnxruntime-web": ONNXRUNTIME_WEB_VERSION,
+};
+
+const program = new Command();
+
+program
+	.name("fetch-assets")
+	.description("Self-host the MediaPipe and VAD assets under public/vendor")
+	.option("--force", "Download models again even if present")
+	.option("--skip-models", "Only copy the WASM runtimes from node_modules")
+	.action(async (opts) => {
+		await checkVersions();
+		for (const { dir, match } of COPIES) {
+			const from = packageDir(dir.from);
+			const to = join(publicDir, dir.path);
+			await mkdir(to, { recursive: true });
+			const files = (await readdir(from)).filter(match);
+			if (files.length === 0) fail(`No files to copy in ${from}`);
+			for (const file of files) {
+				await copyFile(join(from, file), join(to, file));
+			}
+			console.log(`Copied ${files.length} files to public/${dir.path}`);
+		}
+
+		if (opts.skipModels) return;
+		const modelsDir = join(publicDir, VENDOR_DIRS.models.path);
+		await mkdir(modelsDir, { recursive: true });
+		for (const [name, url] of Object.entries(MODEL_FILES)) {
+			const target = join(modelsDir, name);
+			if (!opts.force && (await exists(target))) {
+				console.log(`Skipped ${name}, already present`);
+				continue;
+			}
+			const res = await fetch(url);
+			if (!res.ok) fail(`Download of ${url} failed: ${res.status}`);
+			const data = Buffer.from(await res.arrayBuffer());
+			checkHash(name, data);
+			await writeFile(target, data);
+			console.log(`Downloaded ${name}`);
+		}
+		// Copies that were already present are checked too
+		for (const name of Object.keys(MODEL_SHA256)) {
+			checkHash(name, await readFile(join(modelsDir, name)));
+		}
+	});
+
+program
+	.parseAsync(process.argv)
+	.catch((err) => fail(err?.message ?? String(err)));
+
+// The WASM runtime must match the JS API bundled from node_modules
+async function checkVersions() {
+	for (const [name, pinned] of Object.entries(PINNED)) {
+		const pkg = JSON.parse(
+			await readFile(join(packageDir(name), "package.json"), "utf8"),
+		);
+		if (pkg.version !== pinned) {
+			fail(
+				`${name} is ${pkg.version} in node_modules but ${pinned} in asset-config.js, update the pin`,
+			);
+		}
+	}
+}
+
+// Models without a version in their URL must match the pinned hash
+function checkHash(name, data) {
+	const pinned = MODEL_SHA256[name];
+	if (!pinned) return;
+	const hash = createHash("sha256").update(data).digest("hex");
+	if (hash !== pinned) {
+		fail(
+			`${name} has SHA-256 ${hash} but ${pinned} in asset-config.js, remove it and fetch again, or update the pin`,
+		);
+	}
+}
+
+// Folder of a package (or a folder inside it), packages are installed flat
+function packageDir(spec) {
+	return join(root, "node_modules", ...spec.split("/"));
+}
+
+async function exists(path) {
+	try {
+		return (await stat(path)).size > 0;
+	} catch {
+		return false;
+	}
+}
+
+function fail(msg) {
+	console.error(msg);
+	process.exit(1);
+}
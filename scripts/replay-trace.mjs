@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+// Replay a guidance session recorded in the app (Record button, see
+// src/services/session-recorder.js) through the framing evaluation and the
+// guidance rules, to check threshold and rule changes against real sessions
+import { readFile } from "node:fs/promises";
+import { Command } from "commander";
+import {
+	getCompositionProfile,
+	resolveThresholds,
+} from "../src/services/composition-profiles.js";
+import { FaceSmoother } from "../src/services/face-smoothing.js";
+import {
+	frameFromDetections,
+	GuidanceEngine,
+} from "../src/services/guidance-engine.js";
+import { PhraseCatalog } from "../src/services/guidance-phrases.js";
+import { TRACE_VERSION } from "../src/services/session-recorder.js";
+
+// Differences listed in the summary, --json prints all of them
+const MAX_LISTED_DIFFS = 50;
+
+const program = new Command();
+
+program
+	.name("replay-trace")
+	.description("Replay a recorded guidance session without a browser")
+	.argument("<trace>", "Trace JSON exported from the app")
+	.option("--profile <id>", "Composition profile instead of the recorded one")
+	.option(
+		"--thresholds <json>",
+		`Framing threshold overrides, e.g. '{"horizontalOffset":0.1}'`,
+	)
+	.option("--no-smoothing", "Evaluate raw detections, without FaceSmoother")
+	.option(
+		"--verbosity <level>",
+		"Guidance verbosity, the recorded one by default",
+	)
+	.option("--language <tag>", "Guidance language, the recorded one by default")
+	.option("--json", "Print every replayed frame as JSON")
+	.option(
+		"--fail-on-diff",
+		"Exit with code 1 when a decision differs from the recording",
+	)
+	.action(async (file, opts) => {
+		const trace = JSON.parse(await readFile(file, "utf8"));
+		if (trace.version !== TRACE_VERSION) {
+			fail(
+				`Trace version ${trace.version} is not supported, expected ${TRACE_VERSION}`,
+			);
+		}
+		const overrides = parseThresholds(opts.thresholds);
+		const { frames, spoken } = replay(trace, { ...opts, overrides });
+		const diffs = frames.filter((f) => f.recorded !== f.replayed);
+
+		if (opts.json) {
+			print({ frames, spoken, diffs: diffs.length });
+		} else {
+			summarize(trace, frames, spoken, diffs);
+		}
+		if (opts.failOnDiff && diffs.length > 0) {
+			process.exit(1);
+		}
+	});
+
+program
+	.parseAsync(process.argv)
+	.catch((err) => fail(err?.message ?? String(err)));
+
+// Feed the recorded frames to a fresh engine, the same way main.js does
+function replay(trace, opts) {
+	const catalog = new PhraseCatalog({
+		language: opts.language ?? trace.meta?.language,
+		verbosity: opts.verbosity ?? trace.meta?.verbosity,
+	});
+	const engine = new GuidanceEngine({ catalog });
+	const smoother = new FaceSmoother();
+	const spoken = [];
+	let t = 0;
+	for (const type of ["instruction", "aligned", "lost"]) {
+		engine.addEventListener(type, (event) => {
+			spoken.push({
+				t,
+				event: type,
+				key: event.detail.key ?? null,
+				message: event.detail.message ?? null,
+			});
+		});
+	}
+	engine.start();
+
+	const frames = [];
+	let primaryId = null;
+	let held = null;
+	for (const recorded of trace.frames) {
+		t = recorded.t;
+		const profile = getCompositionProfile(opts.profile ?? recorded.profile);
+		const thresholds = {
+			...resolveThresholds(profile, {
+				videoWidth: recorded.width,
+				videoHeight: recorded.height,
+				facingMode: recorded.facingMode,
+			}),
+			...opts.overrides,
+		};
+		const frame = frameFromDetections(
+			recorded.detections,
+			recorded.width,
+			recorded.height,
+			{
+				thresholds,
+				groupMode: recorded.groupMode,
+				tilt: recorded.tilt,
+				lighting: recorded.lighting,
+				autoCapture: recorded.autoCapture,
+				facingMode: recorded.facingMode,
+				pose: recorded.pose,
+				bodyParts: profile.body?.parts ?? null,
+			},
+		);
+		if (recorded.primaryMissing && held) {
+			// The app held the last evaluation while the primary face was missing
+			frame.evals = held.evals;
+			frame.group = held.group;
+			for (const evaluation of frame.evals) {
+				evaluation.tilt = recorded.tilt;
+			}
+		} else if (opts.smoothing) {
+			// Do not blend the previous subject into a newly chosen one
+			if (
+				primaryId !== null &&
+				recorded.primaryId !== null &&
+				recorded.primaryId !== primaryId
+			) {
+				smoother.reset();
+			}
+			primaryId = recorded.primaryId;
+			smoother.setThresholds(thresholds);
+			frame.evals = smoother.update(frame.evals, t);
+			for (const evaluation of frame.evals) {
+				evaluation.tilt = recorded.tilt;
+			}
+		}
+		if (!recorded.primaryMissing) {
+			held = { evals: frame.evals, group: frame.group };
+		}
+		const decision = engine.update(frame, t);
+		frames.push({
+			t,
+			recorded: recorded.decision?.key ?? null,
+			replayed: decision.key,
+			ruleId: decision.ruleId,
+			aligned: decision.aligned,
+		});
+	}
+	return { frames, spoken };
+}
+
+function summarize(trace, frames, spoken, diffs) {
+	const duration = frames.length ? frames[frames.length - 1].t / 1000 : 0;
+	console.log(
+		`Replayed ${frames.length} frames (${duration.toFixed(1)} s), ${diffs.length} differ from the recording`,
+	);
+	if (trace.truncated) {
+		console.log("The recording was truncated, later frames are missing");
+	}
+	for (const diff of diffs.slice(0, MAX_LISTED_DIFFS)) {
+		console.log(
+			`  ${formatTime(diff.t)}  recorded ${diff.recorded}, replayed ${diff.replayed}`,
+		);
+	}
+	if (diffs.length > MAX_LISTED_DIFFS) {
+		console.log(`  … and ${diffs.length - MAX_LISTED_DIFFS} more`);
+	}
+
+	const counts = {};
+	for (const { replayed } of frames) {
+		counts[replayed] = (counts[replayed] ?? 0) + 1;
+	}
+	console.log("Decisions:");
+	for (const [key, count] of Object.entries(counts).sort(
+		(a, b) => b[1] - a[1],
+	)) {
+		console.log(`  ${key}: ${count}`);
+	}
+
+	console.log("Spoken guidance:");
+	for (const { t, event, message } of spoken) {
+		console.log(
+			`  ${formatTime(t)}  ${event}${message ? `  "${message}"` : ""}`,
+		);
+	}
+}
+
+function parseThresholds(json) {
+	if (!json) return {};
+	try {
+		return JSON.parse(json);
+	} catch {
+		fail(`--thresholds is not valid JSON: ${json}`);
+	}
+}
+
+function formatTime(ms) {
+	return `t=${(ms / 1000).toFixed(2)}s`;
+}
+
+function print(obj) {
+	console.log(JSON.stringify(obj, null, 2));
+}
+
+function fail(msg) {
+	console.error(msg);
+	process.exit(1);
+}
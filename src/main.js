@@ -21,16 +21,75 @@ This will be updated over time when the project evolves.
 */
 import "./style.css";
 import { z } from "zod";
+import { AutoCapture } from "./services/auto-capture.js";
 import { fetchBackendStatus } from "./services/backend-config.js";
-import { performCapture as sharedPerformCapture } from "./services/capture-flow.js";
+import { evaluateBodyFraming } from "./services/body-framing.js";
+import {
+	performBurstCapture,
+	performCapture as sharedPerformCapture,
+} from "./services/capture-flow.js";
+import {
+	getCompositionProfile,
+	listCompositionProfileIds,
+	loadCompositionProfileId,
+	resolveThresholds,
+	saveCompositionProfileId,
+} from "./services/composition-profiles.js";
+import { DeviceTilt, phoneTilt } from "./services/device-tilt.js";
 import { EffectsController } from "./services/effects.js";
-import { FaceDetect } from "./services/face-detect.js";
+import {
+	FaceDetect,
+	faceModel,
+	loadEyeCheckEnabled,
+	saveEyeCheckEnabled,
+} from "./services/face-detect.js";
+import {
+	computeDetectionContext,
+	evaluateFacePosition,
+	faceDistance,
+	facePosition,
+	getHorizontalTarget,
+} from "./services/face-position.js";
+import { FaceSmoother } from "./services/face-smoothing.js";
+import { FaceTracker, primaryStrategy } from "./services/face-tracker.js";
+import {
+	loadCameraSource,
+	loadCameraSourceSetting,
+	parseCameraSource,
+	saveCameraSource,
+	sourceType,
+} from "./services/file-camera-source.js";
+import { gazeDirection } from "./services/gaze.js";
+import {
+	DEFAULT_SAFE_MARGIN,
+	evaluateGroupFraming,
+} from "./services/group-framing.js";
+import { GuidanceEngine } from "./services/guidance-engine.js";
+import {
+	loadLanguage,
+	loadVerbosity,
+	PhraseCatalog,
+	SUPPORTED_LANGUAGES,
+	saveLanguage,
+	saveVerbosity,
+	verbosity,
+} from "./services/guidance-phrases.js";
+import {
+	guidanceChannel,
+	guidanceCue,
+	HapticGuidance,
+} from "./services/haptics.js";
+import { LightingAnalyzer, lightingStatus } from "./services/lighting.js";
 import { LLMService } from "./services/llm-service.js";
-import { PhotoCapture } from "./services/photo-capture.js";
+import { cameraFacing, PhotoCapture } from "./services/photo-capture.js";
 import { PhotoStore } from "./services/photo-store.js";
+import { PoseDetect } from "./services/pose-detect.js";
 import { SpeechManager } from "./services/SpeechManager.js";
 import { SelfieSegmentation } from "./services/selfie-segmentation.js";
+import { SessionRecorder } from "./services/session-recorder.js";
+import { GuidanceSonifier } from "./services/sonifier.js";
 import { setupSpeechControlUI } from "./services/speech-control-ui.js";
+import { SteadinessDetector } from "./services/steadiness.js";
 import { ToolManager } from "./services/tool-manager.js";
 
 // ?key=... -> localStorage('user_key'), then clean URL
@@ -70,13 +129,31 @@ const app = document.querySelector("#app");
 const photoService = new PhotoCapture();
 const photoStore = new PhotoStore();
 const faceService = new FaceDetect();
+// Loaded on first use of a body composition profile
+const poseService = new PoseDetect();
+let poseServiceInit = null;
 const segmentationService = new SelfieSegmentation();
 const toolManager = new ToolManager();
+const sonifier = new GuidanceSonifier();
+const haptics = new HapticGuidance();
+const lightingAnalyzer = new LightingAnalyzer();
+const steadiness = new SteadinessDetector();
+// Opt-in trace of guidance sessions, to reproduce reported problems
+const sessionRecorder = new SessionRecorder();
+const deviceTilt = new DeviceTilt();
+const faceTracker = new FaceTracker();
 const llmService = new LLMService();
 
 // Initialize speech services
 const speechManager = new SpeechManager();
 speechManager.enableTTS(true);
+speechManager.setLanguage(loadLanguage());
+
+// Guidance phrases in the recognition language, shared by both guidance engines
+const phraseCatalog = new PhraseCatalog({
+	language: speechManager.getLanguage(),
+	verbosity: loadVerbosity(),
+});
 
 app.innerHTML = `
   <main class="capture">
@@ -157,6 +234,17 @@ const modeToggleBtn = app.querySelector('[data-action="toggle-mode"]');
 const speechControlBar = setupSpeechControlUI(speechManager);
 const contrastBtn = document.getElementById("contrastToggle");
 const blurBtn = document.getElementById("blurToggle");
+const autoCaptureBtn = document.getElementById("autoCaptureToggle");
+const compositionBtn = document.getElementById("compositionBtn");
+const groupBtn = document.getElementById("groupToggle");
+const sonifyBtn = document.getElementById("sonifyToggle");
+const guidanceChannelBtn = document.getElementById("guidanceChannelBtn");
+const cameraBtn = document.getElementById("cameraToggle");
+const sourceBtn = document.getElementById("sourceBtn");
+const eyeCheckBtn = document.getElementById("eyeCheckToggle");
+const verbosityBtn = document.getElementById("verbosityBtn");
+const languageBtn = document.getElementById("languageBtn");
+const recordBtn = document.getElementById("recordToggle");
 
 // false = Simple Mode, true = Voice Control Mode
 // Enable Voice Control Mode if user_key is set
@@ -240,6 +328,24 @@ albumPhotoBtn.addEventListener("click", async () => {
 });
 
 const faceBoxElements = [];
+const faceSmoother = new FaceSmoother();
+let compositionProfile = getCompositionProfile(loadCompositionProfileId());
+// Smoothed evaluations of the latest detection result, shared by the guidance engines
+let latestEvals = [];
+// Tracked faces of the latest detection run, primary face first
+let trackedFaces = [];
+let lastDetections = null;
+// Faces this much smaller than the "far" size suggest a selfie stick
+const FULL_RANGE_SIZE_RATIO = 0.6;
+// Front camera for selfies, rear camera to photograph someone else
+let selectedFacingMode = cameraFacing.USER;
+// Video file or image sequence instead of the camera, for tests and demos
+let cameraSource = loadCameraSource();
+// FaceLandmarker for closed-eye checks before a capture, a larger download
+let eyeCheckEnabled = loadEyeCheckEnabled();
+// Group mode guides on the union of all faces instead of the largest one
+let isGroupMode = false;
+let latestGroupEval = null;
 /**
  * Array of stored photos. Each entry is an object { id: number, url: string, createdAt: number }
  * @type {Array<{id: number, url: string, createdAt: number}>}
@@ -259,14 +365,79 @@ const captureCtx = {
 	segmentationService,
 	photoService,
 	photoStore,
+	faceService,
+	steadiness,
+	speak: (text) => speechManager.speak(text),
+	phrase: (key, params) => getPhrase(key, params),
+	framingThresholds: (width, height) => getFramingThresholds(width, height),
+	// The retake question of the photo report is answered by voice
+	canExpectReply: () => isVoiceControlMode,
+	expectReply: (question) => {
+		lastAssistantMessage = question;
+		speechManager.expectShortReply(4500);
+	},
 	statusEl: status,
 	storedPhotos,
 	refreshAlbumThumbnail,
+	recorder: sessionRecorder,
 };
 
+const autoCapture = new AutoCapture({
+	capture: () => sharedPerformCapture(captureCtx),
+	speak: (text) => speechManager.speak(text),
+	phrase: (key) => getPhrase(key),
+	canStart: () =>
+		!isProcessingCommand &&
+		!speechManager.isListening() &&
+		!speechManager.isSpeakingNow(),
+});
+
 const defaultPlaceholderText = placeholder.textContent;
-let isGuidingActive = false;
-let stopGuidingCallback = null;
+let currentState = null;
+// Automatic guidance of GUIDE mode, stays quiet while the user or the assistant talks
+const guidanceEngine = new GuidanceEngine({
+	catalog: phraseCatalog,
+	canSpeak: () =>
+		!speechManager.isListening() &&
+		!speechManager.isSpeakingNow() &&
+		!isProcessingCommand &&
+		!autoCapture.isBusy() &&
+		// Cooldown after LLM finished speaking
+		Date.now() - lastLlmSpeakEndedAt >= 500,
+});
+// Guidance of the start_guide tool, with more detailed phrases
+const toolGuidance = new GuidanceEngine({
+	catalog: phraseCatalog,
+	canSpeak: () => !speechManager.isSpeakingNow(),
+});
+
+guidanceEngine.addEventListener("instruction", (event) => {
+	speakGuidance(event.detail.message);
+});
+guidanceEngine.addEventListener("aligned", (event) => {
+	speakGuidance(event.detail.message);
+});
+guidanceEngine.addEventListener("lost", () => {
+	signalHapticCue(guidanceCue.LOST, Date.now());
+});
+toolGuidance.addEventListener("instruction", (event) => {
+	speechManager.speak(event.detail.message);
+});
+for (const [engine, guidance] of [
+	["auto", guidanceEngine],
+	["tool", toolGuidance],
+]) {
+	for (const type of ["instruction", "aligned", "lost"]) {
+		guidance.addEventListener(type, (event) => {
+			sessionRecorder.recordEvent("guidance", {
+				engine,
+				event: type,
+				key: event.detail.key ?? null,
+				message: event.detail.message ?? null,
+			});
+		});
+	}
+}
 
 // Avoid redundant updates
 let lastPreviewAriaLabel = "";
@@ -366,17 +537,34 @@ const setState = (state, overrideMessage) => {
 		return;
 	}
 
+	currentState = state;
 	if (state !== State.READY) {
 		stopGuidanceIfAny();
+		autoCapture.reset();
+		sonifier.stop();
+		steadiness.stop();
+		deviceTilt.stop();
 	}
+	syncGuidanceEngine();
 
 	switch (state) {
 		case State.LOADING:
 		case State.CAMERA_READY:
 			break;
 		case State.READY:
+			faceSmoother.reset();
+			latestEvals = [];
+			latestGroupEval = null;
+			lastDetections = null;
+			lightingAnalyzer.reset();
+			faceTracker.reset();
+			trackedFaces = [];
+			poseService.reset();
 			lastPreviewAriaLabel = "";
 			lastPreviewAriaLabelUpdateTime = 0;
+			sonifier.start();
+			steadiness.start();
+			deviceTilt.start();
 			faceService.stop();
 			faceService.start(video, handleDetections, (error) => {
 				console.error("Face detection error:", error);
@@ -432,10 +620,16 @@ setState(State.LOADING, "Awaiting camera…");
 
 async function setupCamera() {
 	try {
-		const stream = await photoService.init();
+		const stream = await photoService.init({
+			facingMode: selectedFacingMode,
+			source: cameraSource,
+		});
 		video.srcObject = stream;
+		// Devices without the requested camera return the other one
+		selectedFacingMode = photoService.getFacingMode();
+		updateCameraButton();
 
-		if (photoService.getFacingMode() === "user") {
+		if (photoService.isMirrored()) {
 			video.style.transform = "scaleX(-1)";
 			canvas.style.transform = "scaleX(-1)";
 		} else {
@@ -444,8 +638,8 @@ async function setupCamera() {
 		}
 
 		setState(State.CAMERA_READY);
-		await faceService.init();
-		setState(State.READY, "Look at the camera");
+		await faceService.init({ landmarker: eyeCheckEnabled });
+		setState(State.READY, getReadyMessage());
 	} catch (error) {
 		setState(State.ERROR, `Camera unavailable: ${error.message}`);
 	}
@@ -458,7 +652,12 @@ async function loadStoredPhotos() {
 		items.sort((a, b) => a.createdAt - b.createdAt);
 		items.forEach((item) => {
 			const url = URL.createObjectURL(item.blob);
-			storedPhotos.push({ id: item.id, url, createdAt: item.createdAt });
+			storedPhotos.push({
+				id: item.id,
+				url,
+				createdAt: item.createdAt,
+				quality: item.quality ?? null,
+			});
 		});
 		refreshAlbumThumbnail();
 	} catch (error) {
@@ -477,49 +676,163 @@ function handleDetections(detections) {
 		return areaB - areaA;
 	});
 
-	debug.textContent = generateDebugInfo(detections, videoWidth, videoHeight);
-	drawFaceBoxes(detections, videoWidth, videoHeight);
-	const evals = evaluateFacePosition(detections, videoWidth, videoHeight);
-	evals.forEach((evaluation, index) => {
-		debug.textContent += `Face ${index + 1}: position: ${evaluation.positions.join("-")}, distance: ${evaluation.distance}\n`;
+	// The detector returns the same array until its next run, only track and smooth new results
+	const isNewDetection = detections !== lastDetections;
+	let tracked = trackedFaces;
+	let primaryMissing = false;
+	if (isNewDetection) {
+		lastDetections = detections;
+		tracked = faceTracker.update(detections, videoWidth, videoHeight);
+		primaryMissing = faceTracker.isPrimaryMissing();
+	}
+	// Hold the last evaluation while the locked primary face is briefly
+	// missing, instead of guiding whoever else is in the frame
+	const isNewResult = isNewDetection && !primaryMissing;
+	if (isNewResult) {
+		const previousLeadId = latestEvals[0]?.id ?? null;
+		trackedFaces = tracked;
+		// Do not blend the previous subject into a newly chosen one
+		const leadId = trackedFaces[0]?.id ?? null;
+		if (
+			previousLeadId !== null &&
+			leadId !== null &&
+			leadId !== previousLeadId
+		) {
+			faceSmoother.reset();
+		}
+		const thresholds = getFramingThresholds(videoWidth, videoHeight);
+		const mirrored = photoService.isMirrored();
+		faceSmoother.setThresholds(thresholds);
+		latestEvals = faceSmoother.update(
+			evaluateFacePosition(
+				trackedFaces.map(({ detection }) => detection),
+				videoWidth,
+				videoHeight,
+				thresholds,
+				mirrored,
+			),
+		);
+		latestEvals.forEach((evaluation, index) => {
+			evaluation.id = trackedFaces[index].id;
+		});
+		updateFaceModel(latestEvals[0], thresholds);
+		latestGroupEval = evaluateGroupFraming(
+			detections,
+			videoWidth,
+			videoHeight,
+			thresholds,
+			DEFAULT_SAFE_MARGIN,
+			mirrored,
+		);
+	}
+	// Phone tilt is the same for every face, but guidance reads it per evaluation
+	const tilt = deviceTilt.getState();
+	for (const evaluation of latestEvals) {
+		evaluation.tilt = tilt;
+	}
+	debug.textContent = generateDebugInfo(trackedFaces, videoWidth, videoHeight);
+	drawFaceBoxes(trackedFaces, videoWidth, videoHeight);
+
+	const evals = latestEvals;
+	evals.forEach((evaluation) => {
+		debug.textContent += `Face #${evaluation.id}${evaluation.id === faceTracker.getPrimaryId() ? " (primary)" : ""}: position: ${evaluation.positions.join("-")}, distance: ${evaluation.distance}, orientation: ${evaluation.orientation.join("-")}, eyes: ${evaluation.eyesOpen === null ? "unknown" : evaluation.eyesOpen ? "open" : "closed"}, gaze: ${evaluation.gazeDirection ?? "unknown"}\n`;
+		if (evaluation.headPose) {
+			const { yaw, pitch, roll } = evaluation.headPose;
+			debug.textContent += `Head pose: yaw ${yaw.toFixed(0)}, pitch ${pitch.toFixed(0)}, roll ${roll.toFixed(0)}\n`;
+		}
 	});
 
-	updatePreviewAriaLabel(detections.length, evals);
+	if (tilt) {
+		debug.textContent += `Phone tilt: roll ${tilt.roll.toFixed(0)}, pitch ${tilt.pitch.toFixed(0)}, ${tilt.flags.join("-")}\n`;
+	}
 
-	guideUser(evals, detections.length);
-}
+	// Primary face first
+	const lighting = lightingAnalyzer.update(
+		video,
+		videoWidth,
+		videoHeight,
+		trackedFaces[0]?.detection.boundingBox ?? null,
+	);
+	if (lighting) {
+		debug.textContent += `Lighting: ${lighting.status}, mean ${lighting.meanLuma.toFixed(0)}, face ${lighting.faceLuma?.toFixed(0) ?? "-"}, background ${lighting.backgroundLuma?.toFixed(0) ?? "-"}\n`;
+	}
 
-// https://ai.google.dev/edge/api/mediapipe/js/tasks-vision.boundingbox
-function computeDetectionContext(detection, videoWidth, videoHeight) {
-	const boundingBox = detection.boundingBox;
-	const normalizedCenterX =
-		1 - (boundingBox.originX + boundingBox.width / 2) / videoWidth;
-	const normalizedCenterY =
-		(boundingBox.originY + boundingBox.height / 2) / videoHeight;
-	const normalizedSize =
-		(boundingBox.width * boundingBox.height) / (videoWidth * videoHeight);
-	const normalizedWidth = boundingBox.width / videoWidth;
-	const normalizedHeight = boundingBox.height / videoHeight;
-	const angle = boundingBox.angle;
-	const keypoints = detection.keypoints.map((keypoint) => ({
-		x: keypoint.x,
-		y: keypoint.y,
-	}));
-	return {
-		normalizedCenterX,
-		normalizedCenterY,
-		normalizedSize,
-		normalizedWidth,
-		normalizedHeight,
-		angle,
-		keypoints,
+	if (isGroupMode && latestGroupEval) {
+		const { faceCount, cutOff, positions, distance } = latestGroupEval;
+		debug.textContent += `Group of ${faceCount}: position: ${positions.join("-")}, distance: ${distance}, cut off: left ${cutOff.left}, right ${cutOff.right}, top ${cutOff.top}, bottom ${cutOff.bottom}\n`;
+	}
+
+	const body = evaluateBodyPose(videoWidth, videoHeight);
+	if (body) {
+		debug.textContent += `Body: ${Object.entries(body.visible)
+			.filter(([, visible]) => visible)
+			.map(([part]) => part)
+			.join(
+				"-",
+			)} visible, missing: ${body.missing.join("-") || "none"}, position: ${body.positions.join("-")}\n`;
+	}
+
+	updatePreviewAriaLabel(detections.length, evals);
+
+	const frame = {
+		evals,
+		group: latestGroupEval,
+		groupMode: isGroupMode,
+		body,
+		tilt,
+		lighting: lightingAnalyzer.getResult()?.status ?? null,
+		faceCount: detections.length,
+		autoCapture: autoCapture.isEnabled(),
+		facingMode: photoService.getFacingMode(),
 	};
+	// In Voice Control Mode the automatic guidance is stopped, start_guide can still run
+	const now = Date.now();
+	const decision =
+		guidanceEngine.update(frame, now) ?? guidanceEngine.evaluate(frame);
+	toolGuidance.update(frame, now);
+	// Held frames are recorded too, the replay holds the same way
+	if (isNewDetection && sessionRecorder.isRecording()) {
+		sessionRecorder.recordFrame(
+			{
+				detections: tracked.map(({ detection }) => detection),
+				width: videoWidth,
+				height: videoHeight,
+				pose: body ? (poseService.getLandmarks()[0] ?? null) : null,
+				primaryId: faceTracker.getPrimaryId(),
+				primaryMissing,
+				profile: compositionProfile.id,
+				groupMode: frame.groupMode,
+				tilt,
+				lighting: frame.lighting,
+				autoCapture: frame.autoCapture,
+				facingMode: frame.facingMode,
+				decision,
+			},
+			now,
+		);
+	}
+	if (guidanceEngine.isRunning() && decision.faceFound) {
+		signalHapticCue(decision.cue, now);
+	}
+
+	sonifier.setPaused(
+		speechManager.isSpeakingNow() || speechManager.isListening(),
+	);
+	sonifier.update(
+		buildSonificationTarget(evals, videoWidth, videoHeight, decision.aligned),
+	);
+
+	autoCapture.update(decision.aligned);
 }
 
-function generateDebugInfo(detections, videoWidth, videoHeight) {
+function generateDebugInfo(tracked, videoWidth, videoHeight) {
 	let debugInfo = `Video size: ${videoWidth}x${videoHeight}\n`;
+	const { model, delegate, switching } = faceService.getModelInfo();
+	debugInfo += `Face model: ${model} (${delegate})${switching ? ", switching" : ""}\n`;
+	const primaryId = faceTracker.getPrimaryId();
+	debugInfo += `Primary face: ${primaryId === null ? "none" : `#${primaryId}`} (${faceTracker.getStrategy()})\n`;
 
-	detections.forEach((detection, index) => {
+	tracked.forEach(({ id, detection }) => {
 		const {
 			normalizedCenterX,
 			normalizedCenterY,
@@ -528,8 +841,13 @@ function generateDebugInfo(detections, videoWidth, videoHeight) {
 			normalizedHeight,
 			angle,
 			keypoints,
-		} = computeDetectionContext(detection, videoWidth, videoHeight);
-		debugInfo += `Detect face ${index + 1} at [${normalizedCenterX.toFixed(2)}, `;
+		} = computeDetectionContext(
+			detection,
+			videoWidth,
+			videoHeight,
+			photoService.isMirrored(),
+		);
+		debugInfo += `Detect face #${id} at [${normalizedCenterX.toFixed(2)}, `;
 		debugInfo += `${normalizedCenterY.toFixed(2)}] `;
 		debugInfo += `with size ${normalizedSize.toFixed(2)}, `;
 		debugInfo += `width ${normalizedWidth.toFixed(2)}, `;
@@ -546,16 +864,25 @@ function generateDebugInfo(detections, videoWidth, videoHeight) {
 }
 
 // Refers to the official MediaPipe Face Detection demo: https://codepen.io/mediapipe-preview/pen/OJByWQr
-function drawFaceBoxes(detections, videoWidth, videoHeight) {
+function drawFaceBoxes(tracked, videoWidth, videoHeight) {
 	faceBoxElements.forEach((e) => void e.remove());
 	faceBoxElements.length = 0;
 	const ratio = preview.clientWidth / videoWidth;
+	const mirrored = photoService.isMirrored();
 
-	detections.forEach((detection) => {
+	tracked.forEach(({ id, detection }) => {
 		const boundingBox = detection.boundingBox;
 		const faceBoxElement = document.createElement("div");
 		faceBoxElement.className = "face-box";
-		faceBoxElement.style.left = `${(videoWidth - (boundingBox.originX + boundingBox.width)) * ratio}px`;
+		faceBoxElement.classList.toggle(
+			"primary",
+			id === faceTracker.getPrimaryId(),
+		);
+		faceBoxElement.textContent = `#${id}`;
+		const left = mirrored
+			? videoWidth - (boundingBox.originX + boundingBox.width)
+			: boundingBox.originX;
+		faceBoxElement.style.left = `${left * ratio}px`;
 		faceBoxElement.style.top = `${boundingBox.originY * ratio}px`;
 		faceBoxElement.style.width = `${boundingBox.width * ratio}px`;
 		faceBoxElement.style.height = `${boundingBox.height * ratio}px`;
@@ -623,7 +950,12 @@ async function updateAlbumPhoto() {
 			await img.decode();
 
 			const detections = await faceService.detectImage(img);
-			const evals = evaluateFacePosition(detections, img.width, img.height);
+			const evals = evaluateFacePosition(
+				detections,
+				img.width,
+				img.height,
+				getFramingThresholds(img.width, img.height),
+			);
 
 			let label = `Photo ${currentPhotoIndex + 1}, `;
 			label += buildFaceDetectionLabel(detections.length, evals);
@@ -663,24 +995,194 @@ function initializeAlbumView(startIndex = 0) {
 	setState(State.ALBUM_NOT_EMPTY);
 }
 
-const facePosition = {
-	CENTERED: "centered",
-	LEFT: "left",
-	RIGHT: "right",
-	BOTTOM: "bottom",
-	TOP: "top",
+/**
+ * Run pose detection for body composition profiles and evaluate which body
+ * parts are in the frame
+ * @param {number} videoWidth
+ * @param {number} videoHeight
+ * @returns {Object|null} BodyEvaluation, null for face profiles or when no pose is found
+ */
+function evaluateBodyPose(videoWidth, videoHeight) {
+	if (!compositionProfile.body || !poseService.isReady()) {
+		return null;
+	}
+	poseService.detectVideo(video).catch((error) => {
+		console.error("Pose detection error:", error);
+	});
+	return evaluateBodyFraming(
+		poseService.getLandmarks()[0] ?? null,
+		{
+			parts: compositionProfile.body.parts,
+			thresholds: getFramingThresholds(videoWidth, videoHeight),
+		},
+		photoService.isMirrored(),
+	);
+}
+
+/**
+ * Load pose detection the first time a body profile is selected. Until it
+ * is loaded, or if it fails to load, guidance uses the face thresholds.
+ */
+function ensurePoseService() {
+	if (!compositionProfile.body || poseServiceInit) {
+		return;
+	}
+	poseServiceInit = poseService.init().catch((error) => {
+		console.warn("Pose detection unavailable:", error);
+	});
+}
+
+/**
+ * Framing thresholds of the current composition profile
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {Object}
+ */
+function getFramingThresholds(width, height) {
+	return resolveThresholds(compositionProfile, {
+		videoWidth: width,
+		videoHeight: height,
+		facingMode: photoService.getFacingMode(),
+	});
+}
+
+/**
+ * Use the full-range face model for the rear camera and for faces far away,
+ * e.g. on a selfie stick, and the more precise short-range model otherwise
+ * @param {Object|undefined} evaluation - Primary face evaluation
+ * @param {Object} thresholds - Framing thresholds
+ */
+function updateFaceModel(evaluation, thresholds) {
+	const { model, switching } = faceService.getModelInfo();
+	if (switching) {
+		return;
+	}
+	let wanted = model;
+	if (photoService.getFacingMode() === "environment") {
+		wanted = faceModel.FULL_RANGE;
+	} else if (evaluation) {
+		// Hysteresis between the two sizes, so the model does not flip back and forth
+		const size = evaluation.metrics.size;
+		if (size < thresholds.sizeFar * FULL_RANGE_SIZE_RATIO) {
+			wanted = faceModel.FULL_RANGE;
+		} else if (size >= thresholds.sizeFar) {
+			wanted = faceModel.SHORT_RANGE;
+		}
+	}
+	// Models that failed, or are being compared after finding no face, are skipped
+	if (wanted === model || !faceService.isModelAvailable(wanted)) {
+		return;
+	}
+	faceService.setModel(wanted);
+}
+
+/**
+ * Switch and persist the composition profile
+ * @param {string} id - Profile id
+ */
+function setCompositionProfile(id) {
+	compositionProfile = getCompositionProfile(id);
+	saveCompositionProfileId(compositionProfile.id);
+	ensurePoseService();
+	faceSmoother.reset();
+	lastDetections = null;
+	guidanceEngine.resetState();
+	compositionBtn.textContent = `Framing: ${compositionProfile.label}`;
+	compositionBtn.setAttribute(
+		"aria-label",
+		`Framing: ${compositionProfile.label}, switch composition`,
+	);
+}
+
+/**
+ * Whether part of the face is outside the frame
+ * @param {Object} evaluation
+ * @returns {boolean}
+ */
+function isFaceClipped(evaluation) {
+	return (evaluation.clipping?.sides.length ?? 0) > 0;
+}
+
+const tiltLabels = {
+	[phoneTilt.TILTED_BACK]: "phone leaning back",
+	[phoneTilt.TILTED_FORWARD]: "phone leaning forward",
+	[phoneTilt.ROLLED_LEFT]: "phone tilted left",
+	[phoneTilt.ROLLED_RIGHT]: "phone tilted right",
+};
+
+/**
+ * Map the current framing to sonifier input
+ * @param {Array<Object>} evals - Smoothed evaluations
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {boolean} aligned - Whether the guidance considers the framing good
+ * @returns {Object|null} null when there is no face
+ */
+function buildSonificationTarget(evals, width, height, aligned) {
+	const t = getFramingThresholds(width, height);
+	const targetY = (t.top + t.bottom) / 2;
+
+	if (isGroupMode) {
+		if (!latestGroupEval) return null;
+		const { union, distance } = latestGroupEval;
+		const centerX = (union.left + union.right) / 2;
+		const centerY = (union.top + union.bottom) / 2;
+		// No single face size for a group, use the distance class
+		const proximity =
+			distance === faceDistance.CLOSE
+				? 2
+				: distance === faceDistance.FAR
+					? 0.5
+					: 1;
+		return {
+			offsetX: centerX - 0.5,
+			offsetY: centerY - targetY,
+			proximity,
+			aligned,
+		};
+	}
+
+	if (evals.length === 0) return null;
+	const { centerX, centerY, size } = evals[0].metrics;
+	return {
+		offsetX: centerX - getHorizontalTarget(t, centerX),
+		offsetY: centerY - targetY,
+		proximity: size / ((t.sizeFar + t.sizeClose) / 2),
+		aligned,
+	};
+}
+
+const lightingLabels = {
+	[lightingStatus.GOOD]: "lighting good",
+	[lightingStatus.TOO_DARK]: "too dark",
+	[lightingStatus.BACKLIT]: "backlit",
+	[lightingStatus.FACE_IN_SHADOW]: "face in shadow",
+	[lightingStatus.OVEREXPOSED]: "too bright",
 };
 
-const faceDistance = {
-	CLOSE: "close",
-	FAR: "far",
-	NORMAL: "normal",
+// From the point of view of the person in the photo
+const gazeLabels = {
+	[gazeDirection.CAMERA]: "looking at the camera",
+	[gazeDirection.DOWN]: "looking down",
+	[gazeDirection.UP]: "looking up",
+	[gazeDirection.LEFT]: "looking to their left",
+	[gazeDirection.RIGHT]: "looking to their right",
 };
 
-function buildFaceDetectionLabel(faceCount, evals) {
+/**
+ * Describe the detected faces and the one being guided
+ * @param {number} faceCount
+ * @param {Array} evals - Evaluations, the guided face first
+ * @param {boolean} primaryMissing - The guided face is not in the frame and
+ *   evals still describe it as last seen
+ * @returns {string}
+ */
+function buildFaceDetectionLabel(faceCount, evals, primaryMissing = false) {
 	let label = `${faceCount} face${faceCount !== 1 ? "s" : ""} detected`;
 
-	if (faceCount > 0 && evals.length > 0) {
+	if (primaryMissing && evals.length > 0) {
+		label += `, guided face ${evals[0].id} temporarily out of view`;
+	} else if (faceCount > 0 && evals.length > 0) {
 		const evaluation = evals[0];
 		const positions = evaluation.positions;
 
@@ -696,13 +1198,50 @@ function buildFaceDetectionLabel(faceCount, evals) {
 				label += `, face on ${positionParts.join(" and ")}`;
 			}
 		}
+		if (isFaceClipped(evaluation)) {
+			const { sides, half } = evaluation.clipping;
+			label += half.length
+				? `, half of face outside at ${half.join(" and ")}`
+				: `, face cut off at ${sides.join(" and ")}`;
+		}
+		if (evaluation.eyesOpen === false) {
+			label += ", eyes closed";
+		} else if (evaluation.gazeDirection) {
+			label += `, ${gazeLabels[evaluation.gazeDirection]}`;
+		}
+		if (faceCount > 1) {
+			label += `, guiding face ${evaluation.id}`;
+		}
 	}
 
 	return label;
 }
 
 function updatePreviewAriaLabel(faceCount, evals) {
-	let label = `Camera preview, ${buildFaceDetectionLabel(faceCount, evals)}`;
+	let label = `Camera preview, ${buildFaceDetectionLabel(faceCount, evals, faceTracker.isPrimaryMissing())}`;
+
+	const tiltLabel = (deviceTilt.getState()?.flags ?? [])
+		.map((flag) => tiltLabels[flag])
+		.filter(Boolean)
+		.join(" and ");
+	if (tiltLabel) {
+		label += `, ${tiltLabel}`;
+	}
+
+	const lightingLabel = lightingLabels[lightingAnalyzer.getResult()?.status];
+	if (lightingLabel) {
+		label += `, ${lightingLabel}`;
+	}
+
+	if (isGroupMode && latestGroupEval) {
+		const { cutOff } = latestGroupEval;
+		const sides = ["left", "right", "top", "bottom"].filter(
+			(side) => cutOff[side] > 0,
+		);
+		label += sides.length
+			? `, faces cut off at ${sides.join(" and ")}`
+			: ", all faces in frame";
+	}
 
 	if (hasUserKey) {
 		label += ". Click to describe current frame";
@@ -722,140 +1261,235 @@ function updatePreviewAriaLabel(faceCount, evals) {
 	preview.setAttribute("aria-label", label);
 }
 
-function evaluateFacePosition(detections, videoWidth, videoHeight) {
-	if (detections.length === 0) {
-		return [];
-	}
-	const evals = [];
-	detections.forEach((detection) => {
-		const { normalizedCenterX, normalizedCenterY, normalizedSize } =
-			computeDetectionContext(detection, videoWidth, videoHeight);
-
-		const positions = [];
-		const horizontalOffsetThreshold = 0.1;
-		const positionTopThreshold = 0.5;
-		const positionBottomThreshold = 0.65;
-		if (normalizedCenterX < 0.5 - horizontalOffsetThreshold) {
-			positions.push(facePosition.LEFT);
-		} else if (normalizedCenterX > 0.5 + horizontalOffsetThreshold) {
-			positions.push(facePosition.RIGHT);
-		}
-		if (normalizedCenterY < positionTopThreshold) {
-			positions.push(facePosition.TOP);
-		} else if (normalizedCenterY > positionBottomThreshold) {
-			positions.push(facePosition.BOTTOM);
-		}
-
-		if (positions.length === 0) {
-			positions.push(facePosition.CENTERED);
-		}
-
-		let distance = faceDistance.NORMAL;
-		const sizeCloseThreshold = 0.17;
-		const sizeFarThreshold = 0.09;
-		if (normalizedSize > sizeCloseThreshold) {
-			distance = faceDistance.CLOSE;
-		} else if (normalizedSize < sizeFarThreshold) {
-			distance = faceDistance.FAR;
-		}
-
-		evals.push({ positions, distance });
-	});
-	return evals;
-}
-
-let lastGuidanceTime = 0;
-let lastGuidanceState = null;
-const GUIDANCE_INTERVAL = 4000;
+let lastHapticCue = null;
+let lastHapticTime = 0;
+// Vibrations are short, so they can repeat faster than speech
+const HAPTIC_INTERVAL = 1500;
 let isProcessingCommand = false;
 let lastLlmSpeakEndedAt = 0;
 
 function stopGuidanceIfAny() {
-	if (isGuidingActive && typeof stopGuidingCallback === "function") {
-		try {
-			stopGuidingCallback();
-		} catch (_) {}
+	toolGuidance.stop();
+}
+
+/**
+ * Start or stop the automatic guidance to match the state and the mode
+ */
+function syncGuidanceEngine() {
+	if (currentState === State.READY && !isVoiceControlMode) {
+		if (!guidanceEngine.isRunning()) {
+			guidanceEngine.start();
+			lastHapticCue = null;
+		}
+	} else {
+		guidanceEngine.stop();
 	}
 }
 
-function guideUser(evals, faceCount) {
-	if (evals.length === 0) {
-		return;
+/**
+ * Speak a guidance phrase unless the user chose haptics only
+ * @param {string} message
+ */
+function speakGuidance(message) {
+	if (haptics.usesSpeech()) {
+		speechManager.speak(message);
 	}
+}
 
-	// In Voice Control Mode, disable auto-guidance (guidance can still be called)
-	if (isVoiceControlMode) {
+/**
+ * Vibrate a guidance cue unless the user chose speech only
+ * @param {string|null} cue - guidanceCue value
+ * @param {number} now - Timestamp in ms
+ */
+function signalHapticCue(cue, now) {
+	if (!cue || !haptics.usesHaptics() || autoCapture.isBusy()) {
 		return;
 	}
-
-	// If user is currently speaking/listening, or LLM is processing, DO NOT interrupt with guidance
+	// Perfect and lost are signalled once, directions repeat while they apply
+	const once = cue === guidanceCue.PERFECT || cue === guidanceCue.LOST;
 	if (
-		speechManager.isListening() ||
-		speechManager.isSpeakingNow() ||
-		isProcessingCommand
+		cue === lastHapticCue &&
+		(once || now - lastHapticTime < HAPTIC_INTERVAL)
 	) {
 		return;
 	}
+	haptics.signal(cue);
+	lastHapticCue = cue;
+	lastHapticTime = now;
+}
 
-	// Cooldown after LLM finished speaking
-	const now = Date.now();
-	if (now - lastLlmSpeakEndedAt < 500) {
-		return;
-	}
-
-	const evaluation = evals[0];
-	const positions = evaluation.positions;
-	const distance = evaluation.distance;
-
-	// Check if centered and proper distance
-	if (
-		positions.includes(facePosition.CENTERED) &&
-		distance === faceDistance.NORMAL
-	) {
-		if (lastGuidanceState !== "centered") {
-			let message = "Perfect. Ready to take a photo.";
-			if (faceCount > 1) {
-				message += " I also see other people in the frame.";
+/**
+ * Choose the face that guidance follows
+ * @param {string} choice - "first" | "center" | "largest" | "left" | "right" | "id"
+ * @param {number} faceId - Track ID, for "id"
+ * @returns {string} Result for the LLM
+ */
+function choosePrimaryFace(choice, faceId) {
+	guidanceEngine.resetState();
+	switch (choice) {
+		case "first":
+			faceTracker.setStrategy(primaryStrategy.FIRST);
+			return "Following the first face seen";
+		case "center":
+			faceTracker.setStrategy(primaryStrategy.CENTER);
+			return "Following the face nearest the center";
+		case "largest":
+			faceTracker.setStrategy(primaryStrategy.LARGEST);
+			return "Following the largest face";
+		case "left":
+		case "right": {
+			if (trackedFaces.length === 0) {
+				return "No face detected";
 			}
-			speechManager.speak(message);
-			lastGuidanceState = "centered";
-			lastGuidanceTime = Date.now();
+			// From the user's point of view, mirrored for the front camera
+			const centerX = ({ detection }) =>
+				computeDetectionContext(
+					detection,
+					video.videoWidth,
+					video.videoHeight,
+					photoService.isMirrored(),
+				).normalizedCenterX;
+			const sorted = [...trackedFaces].sort((a, b) => centerX(a) - centerX(b));
+			const chosen = choice === "left" ? sorted[0] : sorted[sorted.length - 1];
+			faceTracker.lockPrimary(chosen.id);
+			return `Following face ${chosen.id}, on the ${choice}`;
 		}
-		return;
+		case "id":
+			if (faceId === undefined || !faceTracker.lockPrimary(faceId)) {
+				return `Face ${faceId} is not in the frame`;
+			}
+			return `Following face ${faceId}`;
+		default:
+			return "Unknown choice";
 	}
+}
 
-	if (now - lastGuidanceTime < GUIDANCE_INTERVAL) {
-		return;
-	}
+/**
+ * Status shown when the camera is ready
+ * @returns {string}
+ */
+function getReadyMessage() {
+	return getPhrase("ready");
+}
 
-	let message = "";
+/**
+ * Guidance phrase in the user's language, for the current camera
+ * @param {string} key - See guidance-phrases.js
+ * @param {Object} params
+ * @returns {string}
+ */
+function getPhrase(key, params = {}) {
+	return phraseCatalog.get(key, params, {
+		facingMode: photoService.getFacingMode(),
+	});
+}
 
-	// Priority 1: Distance
-	if (distance === faceDistance.CLOSE) {
-		message = "Move phone away";
-	} else if (distance === faceDistance.FAR) {
-		message = "Move phone closer";
-	}
-	// Priority 2: Vertical
-	else if (positions.includes(facePosition.TOP)) {
-		message = "Point phone up";
-	} else if (positions.includes(facePosition.BOTTOM)) {
-		message = "Point phone down";
+const verbosityLabels = {
+	[verbosity.TERSE]: "Terse",
+	[verbosity.NORMAL]: "Normal",
+	[verbosity.DETAILED]: "Detailed",
+};
+
+/**
+ * Switch and persist how much the guidance says
+ * @param {string} level - verbosity value
+ */
+function setGuidanceVerbosity(level) {
+	phraseCatalog.setVerbosity(level);
+	saveVerbosity(phraseCatalog.getVerbosity());
+	guidanceEngine.resetState();
+	const label = verbosityLabels[phraseCatalog.getVerbosity()];
+	verbosityBtn.textContent = `Detail: ${label}`;
+	verbosityBtn.setAttribute(
+		"aria-label",
+		`Guidance detail: ${label}, switch detail level`,
+	);
+}
+
+/**
+ * Switch and persist the language of recognition, speech and guidance
+ * @param {string} tag - BCP 47 tag
+ */
+function setGuidanceLanguage(tag) {
+	speechManager.setLanguage(tag);
+	phraseCatalog.setLanguage(speechManager.getLanguage());
+	saveLanguage(tag);
+	guidanceEngine.resetState();
+	const label =
+		SUPPORTED_LANGUAGES.find(
+			({ tag: supported }) =>
+				supported.split("-")[0] === phraseCatalog.getLocale(),
+		)?.label ?? tag;
+	languageBtn.textContent = `Language: ${label}`;
+	languageBtn.setAttribute("aria-label", `Language: ${label}, switch language`);
+}
+
+function updateCameraButton() {
+	const rear = photoService.getFacingMode() === cameraFacing.ENVIRONMENT;
+	cameraBtn.textContent = rear ? "Camera: Rear" : "Camera: Front";
+	cameraBtn.setAttribute(
+		"aria-label",
+		rear
+			? "Camera: Rear, photographing someone else, switch to front camera"
+			: "Camera: Front, taking a selfie, switch to rear camera",
+	);
+}
+
+/**
+ * Switch between the front camera (selfies) and the rear camera
+ * (photographing someone else)
+ * @param {string} facingMode - cameraFacing value
+ * @returns {Promise<string>} Result for the LLM
+ */
+async function switchCamera(facingMode) {
+	const rear = facingMode === cameraFacing.ENVIRONMENT;
+	if (facingMode === photoService.getFacingMode() && video.srcObject) {
+		return rear
+			? "The rear camera is already on"
+			: "The front camera is already on";
 	}
-	// Priority 3: Horizontal
-	else if (positions.includes(facePosition.LEFT)) {
-		message = "Turn phone left";
-	} else if (positions.includes(facePosition.RIGHT)) {
-		message = "Turn phone right";
+	selectedFacingMode = facingMode;
+	await setupCamera();
+	if (photoService.getFacingMode() !== facingMode) {
+		return rear ? "No rear camera available" : "No front camera available";
 	}
+	return rear
+		? "Rear camera on. Point the phone at the person you want to photograph."
+		: "Front camera on. Ready for a selfie.";
+}
 
-	if (message) {
-		speechManager.speak(message);
-		lastGuidanceState = message;
-		lastGuidanceTime = now;
-	}
+/**
+ * Turn group framing mode on or off
+ * @param {boolean} on
+ */
+function setGroupMode(on) {
+	isGroupMode = !!on;
+	guidanceEngine.resetState();
+	groupBtn.setAttribute("aria-pressed", isGroupMode);
+	groupBtn.textContent = isGroupMode ? "Group: On" : "Group: Off";
+	groupBtn.classList.toggle("active", isGroupMode);
 }
 
+// iOS only grants motion and orientation sensor access from a user gesture,
+// ask on the first tap anywhere
+document.addEventListener(
+	"click",
+	async () => {
+		if (!deviceTilt.needsPermission() && !steadiness.needsPermission()) {
+			return;
+		}
+		const [tiltGranted, motionGranted] = await Promise.all([
+			deviceTilt.requestPermission(),
+			steadiness.requestPermission(),
+		]);
+		// Otherwise entering READY starts them
+		if (currentState !== State.READY) return;
+		if (tiltGranted) deviceTilt.start();
+		if (motionGranted) steadiness.start();
+	},
+	{ once: true, capture: true },
+);
+
 captureBtn.addEventListener("click", () => {
 	stopGuidanceIfAny();
 	sharedPerformCapture(captureCtx);
@@ -873,6 +1507,180 @@ blurBtn.addEventListener("click", async () => {
 	updatePreviewVisibility();
 });
 
+setCompositionProfile(compositionProfile.id);
+
+compositionBtn.addEventListener("click", () => {
+	const ids = listCompositionProfileIds();
+	const next = ids[(ids.indexOf(compositionProfile.id) + 1) % ids.length];
+	setCompositionProfile(next);
+	status.textContent = `Framing: ${compositionProfile.label}`;
+});
+
+const guidanceChannelLabels = {
+	[guidanceChannel.BOTH]: "Speech + Vibration",
+	[guidanceChannel.SPEECH]: "Speech",
+	[guidanceChannel.HAPTICS]: "Vibration",
+};
+
+function updateGuidanceChannelButton(channel) {
+	const label = guidanceChannelLabels[channel];
+	guidanceChannelBtn.textContent = `Guidance: ${label}`;
+	guidanceChannelBtn.setAttribute(
+		"aria-label",
+		`Guidance: ${label}, switch guidance output`,
+	);
+}
+
+updateGuidanceChannelButton(haptics.getChannel());
+if (!haptics.isSupported()) {
+	guidanceChannelBtn.title = "Vibration is not supported on this device";
+}
+
+guidanceChannelBtn.addEventListener("click", () => {
+	haptics.cycleChannel();
+});
+
+window.addEventListener("guidance:channel-changed", (event) => {
+	const channel = event.detail?.channel;
+	updateGuidanceChannelButton(channel);
+	status.textContent = `Guidance: ${guidanceChannelLabels[channel]}`;
+	guidanceEngine.resetState();
+	lastHapticCue = null;
+});
+
+sonifyBtn.addEventListener("click", () => {
+	sonifier.setEnabled(!sonifier.isEnabled());
+	if (currentState === State.READY) {
+		sonifier.start();
+	}
+});
+
+window.addEventListener("sonifier:changed", (event) => {
+	const enabled = !!event.detail?.enabled;
+	sonifyBtn.setAttribute("aria-pressed", enabled);
+	sonifyBtn.textContent = enabled ? "Tone: On" : "Tone: Off";
+	sonifyBtn.classList.toggle("active", enabled);
+});
+
+setGuidanceVerbosity(phraseCatalog.getVerbosity());
+setGuidanceLanguage(speechManager.getLanguage());
+
+verbosityBtn.addEventListener("click", () => {
+	const levels = Object.values(verbosity);
+	const next =
+		levels[(levels.indexOf(phraseCatalog.getVerbosity()) + 1) % levels.length];
+	setGuidanceVerbosity(next);
+	status.textContent = `Guidance detail: ${verbosityLabels[next]}`;
+});
+
+languageBtn.addEventListener("click", () => {
+	const index = SUPPORTED_LANGUAGES.findIndex(
+		({ tag }) => tag.split("-")[0] === phraseCatalog.getLocale(),
+	);
+	const next = SUPPORTED_LANGUAGES[(index + 1) % SUPPORTED_LANGUAGES.length];
+	setGuidanceLanguage(next.tag);
+	status.textContent = `Language: ${next.label}`;
+});
+
+recordBtn.addEventListener("click", () => {
+	if (sessionRecorder.isRecording()) {
+		sessionRecorder.stop();
+		sessionRecorder.download();
+		status.textContent = "Session recording saved";
+		return;
+	}
+	sessionRecorder.start({
+		language: speechManager.getLanguage(),
+		verbosity: phraseCatalog.getVerbosity(),
+	});
+	status.textContent = "Recording session";
+});
+
+window.addEventListener("recorder:changed", (event) => {
+	const recording = !!event.detail?.recording;
+	recordBtn.setAttribute("aria-pressed", recording);
+	recordBtn.textContent = recording ? "Record: On" : "Record: Off";
+	recordBtn.classList.toggle("active", recording);
+});
+
+cameraBtn.addEventListener("click", async () => {
+	stopGuidanceIfAny();
+	status.textContent = await switchCamera(
+		selectedFacingMode === cameraFacing.ENVIRONMENT
+			? cameraFacing.USER
+			: cameraFacing.ENVIRONMENT,
+	);
+});
+
+function updateSourceButton() {
+	sourceBtn.textContent = cameraSource
+		? `Source: ${cameraSource.type === sourceType.VIDEO ? "Video" : "Images"}`
+		: "Source: Camera";
+	sourceBtn.classList.toggle("active", !!cameraSource);
+}
+
+updateSourceButton();
+
+sourceBtn.addEventListener("click", async () => {
+	const input = window.prompt(
+		"Play files instead of the camera: a video URL, or images[@fps]:<url>,<url>,... Leave empty for the camera.",
+		loadCameraSourceSetting(),
+	);
+	if (input === null) return;
+	const source = parseCameraSource(input);
+	saveCameraSource(source ? input.trim() : "");
+	cameraSource = source;
+	updateSourceButton();
+	await setupCamera();
+	if (currentState === State.READY) {
+		status.textContent = cameraSource
+			? "Playing files instead of the camera"
+			: "Camera on";
+	}
+});
+
+groupBtn.addEventListener("click", () => {
+	setGroupMode(!isGroupMode);
+	status.textContent = isGroupMode
+		? "Group framing enabled"
+		: "Group framing disabled";
+});
+
+function updateEyeCheckButton() {
+	eyeCheckBtn.setAttribute("aria-pressed", eyeCheckEnabled);
+	eyeCheckBtn.textContent = eyeCheckEnabled ? "Eyes: On" : "Eyes: Off";
+	eyeCheckBtn.classList.toggle("active", eyeCheckEnabled);
+}
+
+updateEyeCheckButton();
+
+eyeCheckBtn.addEventListener("click", async () => {
+	eyeCheckEnabled = !eyeCheckEnabled;
+	saveEyeCheckEnabled(eyeCheckEnabled);
+	updateEyeCheckButton();
+	// Before the detector is loaded, init() picks the setting up
+	if (!faceService.getModelInfo().model) return;
+	const loaded = await faceService.setLandmarker(eyeCheckEnabled);
+	if (!eyeCheckEnabled) {
+		status.textContent = "Eye check off, photos are taken without it";
+	} else {
+		status.textContent = loaded
+			? "Eye check on, photos wait for open eyes"
+			: "Eye check unavailable";
+	}
+});
+
+autoCaptureBtn.addEventListener("click", () => {
+	autoCapture.setEnabled(!autoCapture.isEnabled());
+});
+
+window.addEventListener("autocapture:changed", (event) => {
+	const enabled = !!event.detail?.enabled;
+	autoCaptureBtn.setAttribute("aria-pressed", enabled);
+	autoCaptureBtn.textContent = enabled ? "Auto: On" : "Auto: Off";
+	autoCaptureBtn.classList.toggle("active", enabled);
+});
+
 window.addEventListener("effects:blur-changed", (event) => {
 	const enabled = !!event.detail?.enabled;
 	blurBtn.setAttribute("aria-pressed", enabled);
@@ -915,10 +1723,11 @@ modeToggleBtn.addEventListener("click", () => {
 		);
 		speechManager.disableVADMode();
 	}
+	syncGuidanceEngine();
 });
 
 backBtn.addEventListener("click", () => {
-	setState(State.READY, "Look at the camera");
+	setState(State.READY, getReadyMessage());
 });
 
 prevBtn.addEventListener("click", () => {
@@ -983,6 +1792,8 @@ document.addEventListener("visibilitychange", () => {
 			video.srcObject = null;
 		}
 		faceService.stop();
+		steadiness.stop();
+		deviceTilt.stop();
 		speechManager.disableVADMode();
 	} else {
 		setupCamera();
@@ -996,6 +1807,8 @@ window.addEventListener("beforeunload", () => {
 	photoService.dispose();
 	faceService.dispose();
 	segmentationService.dispose();
+	sonifier.dispose();
+	steadiness.stop();
 	video.srcObject = null;
 	storedPhotos.forEach(({ url }) => {
 		URL.revokeObjectURL(url);
@@ -1007,23 +1820,53 @@ window.addEventListener("beforeunload", () => {
 	setupCamera();
 })();
 
+// Burst frames are held in memory until ranked
+const MAX_BURST_SIZE = 10;
+
 // Register Tools
 toolManager.registerTool(
 	"take_photo",
-	"Take one or more photos with optional delay",
+	"Take one or more photos with optional delay, or a burst that keeps only the best shots",
 	z.object({
 		count: z.number().describe("Number of photos to take").default(1),
 		delay: z.number().describe("Delay in seconds before each photo").default(0),
+		burst: z
+			.boolean()
+			.describe(
+				"True to take count photos in quick succession and keep only the best ones",
+			)
+			.default(false),
+		keep: z
+			.number()
+			.describe("With burst, how many of the best photos to keep")
+			.default(1),
 	}),
-	async ({ count = 1, delay = 0 }) => {
+	async ({ count = 1, delay = 0, burst = false, keep = 1 }) => {
+		if (burst) {
+			const size = Math.min(Math.max(Math.round(count), 2), MAX_BURST_SIZE);
+			console.log(`Taking a burst of ${size}, keeping ${keep}`);
+			if (delay > 0) {
+				await new Promise((resolve) => setTimeout(resolve, delay * 1000));
+			}
+			const { verdict } = await performBurstCapture(captureCtx, {
+				count: size,
+				keep: Math.min(Math.max(Math.round(keep), 1), size),
+				announce: false,
+			});
+			return verdict;
+		}
 		console.log(`Taking ${count} photos with ${delay}s delay`);
+		let report = null;
 		for (let i = 0; i < count; i++) {
 			if (delay > 0) {
 				await new Promise((resolve) => setTimeout(resolve, delay * 1000));
 			}
-			await sharedPerformCapture(captureCtx);
+			// The report of a single photo is spoken as the reply
+			report = await sharedPerformCapture(captureCtx, {
+				announce: count > 1,
+			});
 		}
-		return "Photos taken";
+		return count === 1 && report?.verdict ? report.verdict : "Photos taken";
 	},
 );
 
@@ -1062,6 +1905,138 @@ toolManager.registerTool(
 	},
 );
 
+toolManager.registerTool(
+	"set_auto_capture",
+	"Turn hands-free auto capture on or off. When on, a photo is taken automatically after a short countdown once the face stays centered at a good distance. You MUST always pass the boolean 'enable' argument.",
+	z.object({
+		enable: z
+			.boolean()
+			.describe(
+				"True to turn auto capture ON, false to turn it OFF. This field is REQUIRED and must NEVER be omitted.",
+			),
+		dwell_seconds: z
+			.number()
+			.min(0)
+			.max(10)
+			.describe(
+				"Optional. How many seconds the framing must stay good before the countdown starts.",
+			)
+			.optional(),
+	}),
+	async ({ enable, dwell_seconds }) => {
+		console.log("[set_auto_capture] called with", { enable, dwell_seconds });
+		if (dwell_seconds !== undefined) {
+			autoCapture.setDwellTime(dwell_seconds * 1000);
+		}
+		autoCapture.setEnabled(enable);
+		return `Auto capture set to ${enable}`;
+	},
+);
+
+toolManager.registerTool(
+	"set_group_mode",
+	"Turn group selfie framing on or off. When on, guidance makes sure every detected face fits in the frame instead of only the largest face. You MUST always pass the boolean 'enable' argument.",
+	z.object({
+		enable: z
+			.boolean()
+			.describe(
+				"True to turn group framing ON, false to turn it OFF. This field is REQUIRED and must NEVER be omitted.",
+			),
+	}),
+	async ({ enable }) => {
+		console.log("[set_group_mode] called with enable =", enable);
+		setGroupMode(enable);
+		return `Group mode set to ${enable}`;
+	},
+);
+
+toolManager.registerTool(
+	"set_primary_face",
+	"Choose which face guidance follows when several people are in the frame. 'first': the face seen first (default). 'center': the face nearest the center. 'largest': always the biggest face. 'left' / 'right': the person on the user's left or right right now. 'id': a face number given in 'face_id'.",
+	z.object({
+		choice: z
+			.enum(["first", "center", "largest", "left", "right", "id"])
+			.describe("How to choose the face. This field is REQUIRED."),
+		face_id: z
+			.number()
+			.int()
+			.describe("The face number, only when choice is 'id'.")
+			.optional(),
+	}),
+	async ({ choice, face_id }) => {
+		console.log("[set_primary_face] called with", { choice, face_id });
+		return choosePrimaryFace(choice, face_id);
+	},
+);
+
+toolManager.registerTool(
+	"set_guidance_detail",
+	"Choose how much the guidance says. 'terse': only a word or two per instruction. 'normal': short sentences (default). 'detailed': full explanations.",
+	z.object({
+		level: z
+			.enum(Object.values(verbosity))
+			.describe("The detail level. This field is REQUIRED."),
+	}),
+	async ({ level }) => {
+		console.log("[set_guidance_detail] called with level =", level);
+		setGuidanceVerbosity(level);
+		return `Guidance detail set to ${verbosityLabels[level]}`;
+	},
+);
+
+toolManager.registerTool(
+	"set_language",
+	`Switch the language of speech recognition, spoken guidance and replies. Languages: ${SUPPORTED_LANGUAGES.map(
+		({ tag, label }) => `'${tag}' (${label})`,
+	).join(", ")}.`,
+	z.object({
+		language: z
+			.enum(SUPPORTED_LANGUAGES.map(({ tag }) => tag))
+			.describe("The language tag. This field is REQUIRED."),
+	}),
+	async ({ language }) => {
+		console.log("[set_language] called with language =", language);
+		setGuidanceLanguage(language);
+		return `Language set to ${language}`;
+	},
+);
+
+toolManager.registerTool(
+	"switch_camera",
+	"Switch between the front camera, to take a selfie, and the rear camera, to take a photo of someone else. Guidance then talks about the other person, and directions are from the user holding the phone. Omit 'camera' to switch to the other one.",
+	z.object({
+		camera: z
+			.enum(["front", "rear"])
+			.describe("The camera to use. If omitted, switch to the other camera.")
+			.optional(),
+	}),
+	async ({ camera }) => {
+		console.log("[switch_camera] called with camera =", camera);
+		const rear =
+			camera === undefined
+				? selectedFacingMode !== cameraFacing.ENVIRONMENT
+				: camera === "rear";
+		return switchCamera(rear ? cameraFacing.ENVIRONMENT : cameraFacing.USER);
+	},
+);
+
+toolManager.registerTool(
+	"set_composition",
+	`Switch the composition profile used for framing guidance. Profiles: ${listCompositionProfileIds()
+		.map((id) => `'${id}' (${getCompositionProfile(id).description})`)
+		.join(", ")}.`,
+	z.object({
+		profile: z
+			.enum(listCompositionProfileIds())
+			.describe("The composition profile to use. This field is REQUIRED."),
+	}),
+	async ({ profile }) => {
+		console.log("[set_composition] called with profile =", profile);
+		setCompositionProfile(profile);
+		return `Composition set to ${compositionProfile.label}`;
+	},
+);
+
 toolManager.registerTool(
 	"describe_photo",
 	"Analyze the current camera frame (one still image) with a vision model and return a concise natural-language summary. Inputs: optional 'instruction' string to focus the analysis; omit it for a general brief description. Output: 1-2 short sentences of human-readable text that summarize what is visibly present (e.g., scene, subjects, salient details) and directly address the instruction when provided. The result is plain text (not JSON, not metadata), suitable for voice readout; image bytes are not returned.",
@@ -1148,24 +2123,19 @@ toolManager.registerTool(
 	"Open the camera view",
 	z.object({}),
 	async () => {
-		setState(State.READY, "Look at the camera");
+		setState(State.READY, getReadyMessage());
 		return "Camera opened";
 	},
 );
 
 toolManager.registerTool(
 	"start_guide",
-	"Start guiding the user to position their face correctly for a selfie. This tool will continuously provide voice instructions until the user's face is perfectly centered and at the correct distance. The tool blocks until the perfect position is achieved.",
+	"Start guiding the user to position their face correctly for a selfie, or to frame the other person when the rear camera is on. This tool will continuously provide voice instructions until the user's face is perfectly centered and at the correct distance, then until they look at the camera lens (when the gaze can be estimated). The tool blocks until the perfect position is achieved.",
 	z.object({}),
 	async () => {
-		const GUIDE_INTERVAL = 4000;
-		const CHECK_INTERVAL = 300;
-
-		if (isGuidingActive) {
+		if (toolGuidance.isRunning()) {
 			return "Guide is already running";
 		}
-		isGuidingActive = true;
-
 		// Temporarily disable VAD
 		const wasVADActive = speechManager.isVADModeActive();
 		if (wasVADActive) {
@@ -1174,115 +2144,30 @@ toolManager.registerTool(
 			} catch (_) {}
 		}
 
-		let lastGuideTime = 0;
-
-		await speechManager.speak("Let me help you position for a perfect selfie.");
-
-		return new Promise((resolve) => {
-			const canSpeakNow = () => {
-				if (speechManager.isSpeakingNow()) {
-					return false;
-				}
-				return true;
-			};
-			const finishGuidance = async (message) => {
-				if (!isGuidingActive) return;
-				isGuidingActive = false;
-				stopGuidingCallback = null;
-				try {
-					await speechManager.speak(message);
-				} catch (_) {}
-				if (wasVADActive) {
-					try {
-						await speechManager.enableVADMode();
-					} catch (_) {}
-				}
-				resolve("Done");
-			};
-
-			stopGuidingCallback = () => {
-				finishGuidance("Guidance stopped");
-			};
-
-			const checkPosition = () => {
-				if (!isGuidingActive) return;
-
-				const videoWidth = video.videoWidth;
-				const videoHeight = video.videoHeight;
-
-				if (!videoWidth || !videoHeight) {
-					setTimeout(checkPosition, CHECK_INTERVAL);
-					return;
-				}
-
-				const detections = faceService.detections;
-				if (!detections || detections.length === 0) {
-					const now = Date.now();
-					if (now - lastGuideTime >= GUIDE_INTERVAL) {
-						if (canSpeakNow()) {
-							speechManager.speak(
-								"I can't detect your face yet. Try holding the phone at arm's length in front of you.",
-							);
-							lastGuideTime = now;
-						}
-					}
-					setTimeout(checkPosition, CHECK_INTERVAL);
-					return;
-				}
-
-				const evals = evaluateFacePosition(detections, videoWidth, videoHeight);
-				if (evals.length === 0) {
-					setTimeout(checkPosition, CHECK_INTERVAL);
-					return;
-				}
-
-				const evaluation = evals[0];
-				const positions = evaluation.positions;
-				const distance = evaluation.distance;
-
-				if (
-					positions.includes(facePosition.CENTERED) &&
-					distance === faceDistance.NORMAL
-				) {
-					const ending =
-						"Perfect! Your face is centered and at a good distance. Ready to take a photo. " +
-						"I will stop guidance. Let me know if you want to take a photo right now, or need further assistance.";
-					finishGuidance(ending);
-					return;
-				}
-
-				const now = Date.now();
-				if (now - lastGuideTime >= GUIDE_INTERVAL) {
-					let message = "";
-
-					// Longer instructions
-					if (distance === faceDistance.CLOSE) {
-						message = "Too close. Move the phone further away.";
-					} else if (distance === faceDistance.FAR) {
-						message = "Too far. Bring the phone closer.";
-					} else if (positions.includes(facePosition.TOP)) {
-						message = "Point the phone upward a little.";
-					} else if (positions.includes(facePosition.BOTTOM)) {
-						message = "Point the phone downward a little.";
-					} else if (positions.includes(facePosition.LEFT)) {
-						message = "Turn the phone slightly to your left.";
-					} else if (positions.includes(facePosition.RIGHT)) {
-						message = "Turn the phone slightly to your right.";
-					}
-
-					if (message) {
-						if (canSpeakNow()) {
-							speechManager.speak(message);
-							lastGuideTime = now;
-						}
-					}
-				}
-
-				setTimeout(checkPosition, CHECK_INTERVAL);
-			};
+		await speechManager.speak(getPhrase("guide_intro"));
 
-			checkPosition();
+		// Only after the intro, so the first instruction does not talk over it.
+		// One level more detailed than the automatic guidance.
+		toolGuidance.start({
+			verbosity:
+				phraseCatalog.getVerbosity() === verbosity.TERSE
+					? verbosity.NORMAL
+					: verbosity.DETAILED,
+			untilAligned: true,
 		});
+
+		const { reason, message } = await toolGuidance.awaitComplete();
+		try {
+			await speechManager.speak(
+				reason === "aligned" ? message : getPhrase("guide_stopped"),
+			);
+		} catch (_) {}
+		if (wasVADActive) {
+			try {
+				await speechManager.enableVADMode();
+			} catch (_) {}
+		}
+		return "Done";
 	},
 );
 
@@ -1291,8 +2176,8 @@ toolManager.registerTool(
 	"Stop the ongoing guidance if it is running.",
 	z.object({}),
 	async () => {
-		if (isGuidingActive && typeof stopGuidingCallback === "function") {
-			stopGuidingCallback();
+		if (toolGuidance.isRunning()) {
+			toolGuidance.stop();
 			return "Guidance stopped";
 		}
 		return "Guidance was not running";
@@ -1303,6 +2188,7 @@ window.toolManager = toolManager;
 
 function buildSystemPromptWithState() {
 	const { highContrast, blur } = effects.getState();
+	const autoCaptureOn = autoCapture.isEnabled();
 	const isAlbumView = !albumView.hidden;
 	const photoCount = storedPhotos.length;
 
@@ -1310,6 +2196,15 @@ function buildSystemPromptWithState() {
 		`STATE: view=${isAlbumView ? "ALBUM" : "CAMERA"}, ` +
 		`blur=${blur ? "ON" : "OFF"}, ` +
 		`contrast=${highContrast ? "ON" : "OFF"}, ` +
+		`autoCapture=${autoCaptureOn ? "ON" : "OFF"}, ` +
+		`composition=${compositionProfile.id}, ` +
+		`group=${isGroupMode ? "ON" : "OFF"}, ` +
+		`language=${speechManager.getLanguage()}, ` +
+		`guidanceDetail=${phraseCatalog.getVerbosity()}, ` +
+		`camera=${photoService.getFacingMode() === cameraFacing.ENVIRONMENT ? "REAR" : "FRONT"}, ` +
+		`faces=${trackedFaces.map(({ id }) => id).join("|") || "none"}, ` +
+		`primaryFace=${faceTracker.getPrimaryId() ?? "none"} (${faceTracker.getStrategy()}), ` +
+		`gaze=${latestEvals[0]?.gazeDirection ?? "unknown"}, ` +
 		`photos=${photoCount}.`;
 
 	// Include the most recent tool
@@ -1332,8 +2227,17 @@ You can take photos, control camera settings like blur, and describe what you se
 Use the available tools to fulfill the user's request. Always respond to the last user message.
 
 If the user asks to take a photo, use the take_photo tool.
+If they want several quick shots to pick the best one from (a burst), use the take_photo tool with burst true; default to 5 photos and keep 1 unless they say otherwise.
+If the photo report asked whether to retake the photo and the user agrees, use the take_photo tool again.
 If they want to blur the background, use the set_blur tool.
 If they want to change high contrast mode, use the set_contrast tool.
+If they want a group selfie with several people, use the set_group_mode tool.
+If they want guidance to say more or less, use the set_guidance_detail tool.
+If they want to speak or hear another language, use the set_language tool. Always reply in the language given in STATE.
+If they want to take a photo of someone else, or go back to taking selfies, use the switch_camera tool.
+If several people are in the frame and they want guidance to follow a specific person (e.g. the one on the left, or face 2), use the set_primary_face tool.
+If they want a different framing (close-up, head and shoulders, rule of thirds, more background, selfie stick), use the set_composition tool.
+If they want the photo to be taken automatically when they are in position (hands-free), use the set_auto_capture tool.
 If they want to open the photo album, use the open_album tool.
 If they want to return to the camera view, use the open_camera tool.
 If they want to know what a photo looks like, including simply describing the photo or looking for specific details, use the describe_photo tool.
@@ -1354,10 +2258,37 @@ function ackFromToolResults(toolResults = []) {
 	if (!toolResults.length) return "";
 	const last = toolResults[toolResults.length - 1];
 	switch (last.toolName) {
-		case "take_photo":
+		case "take_photo": {
+			const r = last.output;
+			if (typeof r === "string" && r !== "Photos taken") return r;
 			return "Photo taken";
+		}
 		case "set_blur":
 			return "Background blur updated";
+		case "set_group_mode":
+			return isGroupMode ? "Group framing on" : "Group framing off";
+		case "set_primary_face": {
+			const r = last.output;
+			if (typeof r === "string") return r;
+			return "Done";
+		}
+		case "set_composition":
+			return `Framing set to ${compositionProfile.label}`;
+		case "set_guidance_detail":
+		case "set_language": {
+			const r = last.output;
+			if (typeof r === "string") return r;
+			return "Done";
+		}
+		case "switch_camera": {
+			const r = last.output;
+			if (typeof r === "string") return r;
+			return "Camera switched";
+		}
+		case "set_auto_capture":
+			return autoCapture.isEnabled()
+				? "Auto capture on. Hold still when you are in position."
+				: "Auto capture off";
 		case "start_guide": {
 			const r = last.output;
 			if (typeof r === "string") {
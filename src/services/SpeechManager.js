@@ -307,11 +307,12 @@ export class SpeechManager {
   }
 
   /**
-   * Set recognition language
+   * Set recognition and speech language
    * @param {string} lang - Language code (e.g., 'en-US')
    */
   setLanguage(lang) {
     this.recognition.setLanguage(lang);
+    this.tts.setLanguage(lang);
   }
 
   /**
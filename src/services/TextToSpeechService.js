@@ -8,6 +8,7 @@ export class TextToSpeechService {
     this.enabled = false;
     this.synthesis = window.speechSynthesis;
     this.voice = null;
+    this.language = null;
     this.rate = 1.0;
     this.pitch = 1.0;
     this.volume = 1.0;
@@ -68,6 +69,11 @@ export class TextToSpeechService {
     if (this.voice) {
       utterance.voice = this.voice;
     }
+
+    // Lets the browser pick a voice for the language
+    if (this.language) {
+      utterance.lang = this.language;
+    }
     
     // Apply options or use defaults
     utterance.rate = options.rate ?? this.rate;
@@ -136,6 +142,14 @@ export class TextToSpeechService {
     this.voice = voice;
   }
 
+  /**
+   * Set the language of the spoken text
+   * @param {string} lang - Language code (e.g., 'en-US', 'es-ES')
+   */
+  setLanguage(lang) {
+    this.language = lang;
+  }
+
   /**
    * Get list of available voices
    */
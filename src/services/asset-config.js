@@ -0,0 +1,96 @@
+/*
+Where the MediaPipe and VAD assets (WASM runtimes and models) are loaded from.
+
+- cdn: jsDelivr and Google Cloud Storage, the default. The app then needs
+  these hosts at runtime and does not work on an offline network.
+- local: self-hosted copies under /vendor, served from /public. They are not
+  committed, run `npm run fetch-assets` (needs network access once) before
+  building with VITE_ASSET_SOURCE=local. Works on an offline network.
+
+Both are pinned to the versions below, which must match package-lock.json so
+the WASM runtime and the JS API agree. Chosen at build time with
+VITE_ASSET_SOURCE=cdn|local, cdn by default so a fresh clone or deploy
+works without the fetch step.
+*/
+
+export const assetSource = {
+	LOCAL: "local",
+	CDN: "cdn",
+};
+
+export const MEDIAPIPE_VERSION = "0.10.22-rc.20250304";
+export const VAD_WEB_VERSION = "0.0.30";
+export const ONNXRUNTIME_WEB_VERSION = "1.23.2";
+// The full range face model is only published unversioned in the MediaPipe
+// bucket, it is taken from this release of the legacy solution package
+export const FACE_DETECTION_VERSION = "0.4.1657300184";
+
+// import.meta.env is only defined when bundled by Vite, not in Node scripts
+const env = import.meta.env ?? {};
+const BASE_URL = env.BASE_URL ?? "/";
+
+export const ASSET_SOURCE =
+	env.VITE_ASSET_SOURCE === assetSource.LOCAL
+		? assetSource.LOCAL
+		: assetSource.CDN;
+
+/**
+ * Model files by name, with their pinned CDN URL. Local copies are stored
+ * under vendor/models with the same name.
+ */
+export const MODEL_FILES = {
+	"blaze_face_short_range.tflite":
+		"https://storage.googleapis.com/mediapipe-models/face_detector/blaze_face_short_range/float16/1/blaze_face_short_range.tflite",
+	"face_detection_full_range.tflite": `https://cdn.jsdelivr.net/npm/@mediapipe/face_detection@${FACE_DETECTION_VERSION}/face_detection_full_range.tflite`,
+	"face_landmarker.task":
+		"https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task",
+	"pose_landmarker_lite.task":
+		"https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task",
+	"selfie_segmenter.tflite":
+		"https://storage.googleapis.com/mediapipe-models/image_segmenter/selfie_segmenter/float16/1/selfie_segmenter.tflite",
+};
+
+/**
+ * SHA-256 of the model files fetch-assets checks, for the ones from outside
+ * the versioned mediapipe-models bucket
+ */
+export const MODEL_SHA256 = {
+	"face_detection_full_range.tflite":
+		"99bf9494d84f50acc6617d89873f71bf6635a841ea699c17cb3377f9507cfec3",
+};
+
+/**
+ * Local directories under /public and the package folders they are copied from
+ */
+export const VENDOR_DIRS = {
+	mediapipeWasm: {
+		path: "vendor/mediapipe/wasm/",
+		from: "@mediapipe/tasks-vision/wasm",
+	},
+	vad: { path: "vendor/vad/", from: "@ricky0123/vad-web/dist" },
+	onnxWasm: { path: "vendor/onnxruntime/", from: "onnxruntime-web/dist" },
+	models: { path: "vendor/models/", from: null },
+};
+
+/**
+ * Resolve the asset URLs for a source
+ * @param {string} source - assetSource value
+ * @returns {{mediapipeWasm:string, vadBase:string, onnxWasmBase:string, model:(name:string) => string}}
+ */
+export function getAssetUrls(source = ASSET_SOURCE) {
+	if (source === assetSource.CDN) {
+		return {
+			mediapipeWasm: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}/wasm`,
+			vadBase: `https://cdn.jsdelivr.net/npm/@ricky0123/vad-web@${VAD_WEB_VERSION}/dist/`,
+			onnxWasmBase: `https://cdn.jsdelivr.net/npm/onnxruntime-web@${ONNXRUNTIME_WEB_VERSION}/dist/`,
+			model: (name) => MODEL_FILES[name],
+		};
+	}
+	return {
+		// No trailing slash, FilesetResolver appends "/<file>"
+		mediapipeWasm: `${BASE_URL}${VENDOR_DIRS.mediapipeWasm.path.slice(0, -1)}`,
+		vadBase: `${BASE_URL}${VENDOR_DIRS.vad.path}`,
+		onnxWasmBase: `${BASE_URL}${VENDOR_DIRS.onnxWasm.path}`,
+		model: (name) => `${BASE_URL}${VENDOR_DIRS.models.path}${name}`,
+	};
+}
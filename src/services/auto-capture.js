@@ -0,0 +1,152 @@
+/*
+Hands-free capture: takes a photo once the framing has stayed aligned
+for a dwell time, after a short spoken countdown.
+*/
+import { PhraseCatalog } from "./guidance-phrases.js";
+
+const DEFAULT_DWELL_MS = 1500;
+// Minimum time between two automatic captures
+const DEFAULT_COOLDOWN_MS = 5000;
+// Framing must be lost for this long before another automatic capture
+const REARM_MS = 1000;
+// Countdown length when speech is muted or unsupported
+const SILENT_COUNTDOWN_MS = 3000;
+
+export class AutoCapture {
+	/**
+	 * @param {Object} options
+	 * @param {Function} options.capture - Async function that takes the photo
+	 * @param {Function} options.speak - Async function (text) => boolean spoken
+	 * @param {Function} options.canStart - Returns false while the app is busy
+	 * @param {Function} options.phrase - (key) => text, see guidance-phrases.js
+	 */
+	constructor({ capture, speak, canStart, phrase } = {}) {
+		this.enabled = false;
+		this.dwellMs = DEFAULT_DWELL_MS;
+		this.cooldownMs = DEFAULT_COOLDOWN_MS;
+		this._capture = capture;
+		this._speak = speak;
+		this._canStart = canStart;
+		this._phrase = phrase ?? ((key) => new PhraseCatalog().get(key));
+		this._alignedSince = 0;
+		this._unalignedSince = 0;
+		this._lastAligned = false;
+		this._armed = true;
+		this._busy = false;
+		this._lastCaptureAt = 0;
+		this._generation = 0; // Bumped by reset() to cancel a running countdown
+	}
+
+	/**
+	 * Turn auto-capture on or off
+	 * @param {boolean} on
+	 */
+	setEnabled(on) {
+		this.enabled = !!on;
+		this.reset();
+		this._emitChange();
+	}
+
+	/**
+	 * Set how long framing must stay aligned before capturing
+	 * @param {number} ms - Dwell time in milliseconds
+	 */
+	setDwellTime(ms) {
+		if (!Number.isFinite(ms) || ms < 0) return;
+		this.dwellMs = ms;
+		this._emitChange();
+	}
+
+	isEnabled() {
+		return this.enabled;
+	}
+
+	/**
+	 * Whether a countdown or capture is in progress
+	 */
+	isBusy() {
+		return this._busy;
+	}
+
+	/**
+	 * Clear dwell timers and cancel a running countdown
+	 */
+	reset() {
+		this._generation++;
+		this._alignedSince = 0;
+		this._unalignedSince = 0;
+		this._lastAligned = false;
+		this._armed = true;
+	}
+
+	/**
+	 * Feed the alignment state of the current frame
+	 * @param {boolean} aligned - Whether framing is good in this frame
+	 * @param {number} now - Timestamp in ms
+	 */
+	update(aligned, now = Date.now()) {
+		this._lastAligned = aligned;
+		if (!this.enabled || this._busy) {
+			return;
+		}
+
+		if (aligned) {
+			if (!this._alignedSince) this._alignedSince = now;
+			this._unalignedSince = 0;
+		} else {
+			this._alignedSince = 0;
+			if (!this._unalignedSince) this._unalignedSince = now;
+			if (!this._armed && now - this._unalignedSince >= REARM_MS) {
+				this._armed = true;
+			}
+			return;
+		}
+
+		if (!this._armed) return;
+		if (now - this._alignedSince < this.dwellMs) return;
+		if (now - this._lastCaptureAt < this.cooldownMs) return;
+		if (this._canStart && !this._canStart()) return;
+
+		this._run();
+	}
+
+	/**
+	 * Countdown, then capture if framing is still good
+	 * @private
+	 */
+	async _run() {
+		this._busy = true;
+		const generation = this._generation;
+		try {
+			const spoken = await this._speak?.(this._phrase("countdown"));
+			if (!spoken) {
+				await new Promise((resolve) =>
+					setTimeout(resolve, SILENT_COUNTDOWN_MS),
+				);
+			}
+			if (generation !== this._generation || !this.enabled) {
+				return;
+			}
+			if (!this._lastAligned) {
+				await this._speak?.(this._phrase("countdown_cancelled"));
+				return;
+			}
+			await this._capture?.();
+			this._lastCaptureAt = Date.now();
+			this._armed = false;
+		} catch (error) {
+			console.error("Auto capture failed:", error);
+		} finally {
+			this._busy = false;
+			this._alignedSince = 0;
+		}
+	}
+
+	_emitChange() {
+		window.dispatchEvent(
+			new CustomEvent("autocapture:changed", {
+				detail: { enabled: this.enabled, dwellMs: this.dwellMs },
+			}),
+		);
+	}
+}
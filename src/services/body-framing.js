@@ -0,0 +1,134 @@
+/*
+Half-body and full-body framing from PoseLandmarker landmarks: which body
+parts are inside the frame, which ones the composition profile needs, and
+whether the body is centered.
+
+Sides are from the user's point of view (mirrored like the preview for the
+front camera, as is for the rear camera), the same as facePosition LEFT/RIGHT.
+*/
+import {
+	DEFAULT_FRAMING_THRESHOLDS,
+	facePosition,
+	getHorizontalTarget,
+} from "./face-position.js";
+
+export const bodyPart = {
+	HEAD: "head",
+	SHOULDERS: "shoulders",
+	WAIST: "waist",
+	KNEES: "knees",
+	FEET: "feet",
+};
+
+// Top to bottom
+export const BODY_PART_ORDER = [
+	bodyPart.HEAD,
+	bodyPart.SHOULDERS,
+	bodyPart.WAIST,
+	bodyPart.KNEES,
+	bodyPart.FEET,
+];
+
+// https://ai.google.dev/edge/mediapipe/solutions/vision/pose_landmarker#pose_landmarker_model
+const PART_LANDMARKS = {
+	[bodyPart.HEAD]: [0, 2, 5, 7, 8], // Nose, eyes, ears
+	[bodyPart.SHOULDERS]: [11, 12],
+	[bodyPart.WAIST]: [23, 24], // Hips
+	[bodyPart.KNEES]: [25, 26],
+	[bodyPart.FEET]: [27, 28, 29, 30, 31, 32], // Ankles, heels, toes
+};
+
+// Landmarks for the horizontal center of the body: shoulders and hips
+const TORSO_LANDMARKS = [11, 12, 23, 24];
+// Landmark visibility score above which it counts as seen
+const MIN_VISIBILITY = 0.5;
+// Landmarks closer than this to a frame border count as cut off
+export const DEFAULT_BODY_MARGIN = 0.02;
+
+/**
+ * @typedef {Object} BodyEvaluation
+ * @property {Record<string, boolean>} visible - Per bodyPart, inside the frame
+ * @property {string[]} missing - Needed parts that are not visible, top to bottom
+ * @property {string[]} extra - Visible parts below the lowest needed one
+ * @property {string[]} positions - facePosition values (LEFT, RIGHT or CENTERED) of the torso
+ * @property {number|null} centerX - Normalized torso center
+ */
+
+/**
+ * Whether a landmark is seen and inside the safe margins
+ * @param {{x:number, y:number, visibility?:number}|undefined} landmark
+ * @param {number} margin
+ * @returns {boolean}
+ */
+function isInFrame(landmark, margin) {
+	if (!landmark || (landmark.visibility ?? 1) < MIN_VISIBILITY) {
+		return false;
+	}
+	return (
+		landmark.x >= margin &&
+		landmark.x <= 1 - margin &&
+		landmark.y >= margin &&
+		landmark.y <= 1 - margin
+	);
+}
+
+/**
+ * Evaluate which body parts of one pose are in the frame
+ * @param {Array<{x:number, y:number, visibility?:number}>|null} landmarks - PoseLandmarker landmarks of one pose
+ * @param {Object} options
+ * @param {string[]} options.parts - bodyPart values the profile needs
+ * @param {Object} options.thresholds - See DEFAULT_FRAMING_THRESHOLDS, for centerX and horizontalOffset
+ * @param {number} options.margin - Safe margin, normalized
+ * @param {boolean} mirrored - Whether the preview is mirrored (front camera)
+ * @returns {BodyEvaluation|null} null when there is no pose
+ */
+export function evaluateBodyFraming(landmarks, options = {}, mirrored = true) {
+	if (!landmarks?.length) {
+		return null;
+	}
+	const {
+		parts = BODY_PART_ORDER,
+		thresholds = DEFAULT_FRAMING_THRESHOLDS,
+		margin = DEFAULT_BODY_MARGIN,
+	} = options;
+
+	// A part is visible when at least half its landmarks are
+	const visible = {};
+	for (const part of BODY_PART_ORDER) {
+		const indices = PART_LANDMARKS[part];
+		const seen = indices.filter((i) => isInFrame(landmarks[i], margin));
+		visible[part] = seen.length * 2 >= indices.length;
+	}
+
+	const missing = BODY_PART_ORDER.filter(
+		(part) => parts.includes(part) && !visible[part],
+	);
+	const lowest = Math.max(
+		...parts.map((part) => BODY_PART_ORDER.indexOf(part)),
+	);
+	const extra = BODY_PART_ORDER.slice(lowest + 1).filter(
+		(part) => visible[part],
+	);
+
+	const torso = TORSO_LANDMARKS.map((i) => landmarks[i]).filter(
+		(landmark) => landmark && (landmark.visibility ?? 1) >= MIN_VISIBILITY,
+	);
+	let centerX = null;
+	const positions = [];
+	if (torso.length > 0) {
+		const x = torso.reduce((sum, l) => sum + l.x, 0) / torso.length;
+		centerX = mirrored ? 1 - x : x;
+		const t = { ...DEFAULT_FRAMING_THRESHOLDS, ...thresholds };
+		const targetX = getHorizontalTarget(t, centerX);
+		if (centerX < targetX - t.horizontalOffset) {
+			positions.push(facePosition.LEFT);
+		} else if (centerX > targetX + t.horizontalOffset) {
+			positions.push(facePosition.RIGHT);
+		}
+	}
+	if (positions.length === 0) {
+		positions.push(facePosition.CENTERED);
+	}
+
+	return { visible, missing, extra, positions, centerX };
+}
@@ -1,69 +1,308 @@
 /* 
 Extracted from main.js into this module for better readability with GitHub Copilot's help.
 */
-export async function performCapture(ctx) {
-	const {
-		effects,
-		segmentationService,
-		photoService,
-		photoStore,
-		statusEl,
-		storedPhotos,
-		refreshAlbumThumbnail,
-	} = ctx;
+import { PhraseCatalog } from "./guidance-phrases.js";
+import { analyzePhoto, rankPhotos } from "./photo-quality.js";
+
+const EYES_OPEN_TIMEOUT = 3000;
+const EYES_OPEN_POLL_INTERVAL = 100;
+// Lids are still opening right after a blink
+const BLINK_SETTLE_MS = 200;
+// Steady moments are usually found quickly, only announce if not
+const STEADY_QUIET_WAIT = 400;
+const STEADY_TIMEOUT = 2500;
+// Frames of a burst are a few expressions and blinks apart
+const BURST_INTERVAL_MS = 150;
+
+const defaultPhrase = (key, params) => new PhraseCatalog().get(key, params);
+
+/**
+ * Whether a blink ended so recently that the lids may not be fully open yet
+ * @param {FaceDetect} faceService
+ * @returns {boolean}
+ */
+function isBlinkSettling(faceService) {
+	const lastBlinkAt = faceService.getLastBlinkAt?.() ?? 0;
+	return lastBlinkAt > 0 && Date.now() - lastBlinkAt < BLINK_SETTLE_MS;
+}
+
+/**
+ * Wait until every face has open eyes and a blink has settled
+ * @param {FaceDetect} faceService
+ * @param {number} timeoutMs
+ * @returns {Promise<boolean>} false if eyes were still closed at timeout
+ */
+async function waitForEyesOpen(faceService, timeoutMs) {
+	const deadline = Date.now() + timeoutMs;
+	while (faceService.areEyesOpen() === false || isBlinkSettling(faceService)) {
+		if (Date.now() >= deadline) {
+			return false;
+		}
+		await new Promise((resolve) =>
+			setTimeout(resolve, EYES_OPEN_POLL_INTERVAL),
+		);
+	}
+	return true;
+}
+
+/**
+ * Wait for open eyes and a steady phone before a shot
+ * @param {Object} ctx - See performCapture
+ * @returns {Promise<{eyesClosedWarning:boolean, shakyWarning:boolean, referenceSharpness:number|null}>}
+ */
+async function prepareShot(ctx) {
+	const { faceService, steadiness, speak, statusEl } = ctx;
+	const phrase = ctx.phrase ?? defaultPhrase;
+	let eyesClosedWarning = false;
+	// Delay the shot while eyes are closed, only when the landmarker is loaded
+	if (faceService?.areEyesOpen?.() === false) {
+		statusEl.textContent = "Eyes closed, waiting…";
+		speak?.(phrase("eyes_closed_wait"));
+		eyesClosedWarning = !(await waitForEyesOpen(
+			faceService,
+			EYES_OPEN_TIMEOUT,
+		));
+	} else if (faceService && isBlinkSettling(faceService)) {
+		await waitForEyesOpen(faceService, BLINK_SETTLE_MS);
+	}
+	let shakyWarning = false;
+	let referenceSharpness = null;
+	// Wait for a steady, sharp frame to avoid blur from shaky hands
+	const video = faceService?.video;
+	if (steadiness && video) {
+		let steady = await steadiness.waitForSteady(video, STEADY_QUIET_WAIT);
+		if (!steady) {
+			statusEl.textContent = "Hold still…";
+			speak?.(phrase("hold_still"));
+			steady = await steadiness.waitForSteady(video, STEADY_TIMEOUT);
+		}
+		shakyWarning = !steady;
+		referenceSharpness = steadiness.getReferenceSharpness();
+	}
+	return { eyesClosedWarning, shakyWarning, referenceSharpness };
+}
+
+/**
+ * Grab one photo, from the blurred preview when background blur is on
+ * @param {Object} ctx - See performCapture
+ * @returns {Promise<Blob>}
+ */
+async function captureBlob(ctx) {
+	const { effects, segmentationService, photoService } = ctx;
+	if (effects.isBlurOn) {
+		// Use blur canvas if available
+		const blurCanvas = segmentationService.getLatestBlurCanvas?.();
+		if (blurCanvas) {
+			return new Promise((resolve, reject) => {
+				const exportCanvas = document.createElement("canvas");
+				exportCanvas.width = blurCanvas.width;
+				exportCanvas.height = blurCanvas.height;
+				const ectx = exportCanvas.getContext("2d");
+				if (!ectx) {
+					reject(new Error("Canvas context unavailable"));
+					return;
+				}
+				ectx.save();
+				if (photoService.isMirrored()) {
+					ectx.translate(exportCanvas.width, 0);
+					ectx.scale(-1, 1);
+				}
+				ectx.drawImage(blurCanvas, 0, 0);
+				ectx.restore();
+				exportCanvas.toBlob(
+					(b) => (b ? resolve(b) : reject(new Error("Export failed"))),
+					"image/jpeg",
+					1.0,
+				);
+			});
+		}
+		// Fallback raw capture
+	}
+	const { blob } = await photoService.captureWithBlob();
+	return blob;
+}
+
+/**
+ * Quality report of a photo, null when the analysis fails
+ * @param {Object} ctx - See performCapture
+ * @param {Blob} blob
+ * @param {number|null} referenceSharpness
+ * @returns {Promise<Object|null>} See PhotoQuality in photo-quality.js
+ */
+async function analyzeShot(ctx, blob, referenceSharpness) {
+	const { effects, faceService, steadiness, framingThresholds } = ctx;
+	const video = faceService?.video;
+	try {
+		return await analyzePhoto(
+			blob,
+			{ faceService, steadiness },
+			{
+				thresholds: framingThresholds?.(video?.videoWidth, video?.videoHeight),
+				referenceSharpness,
+				// The blurred background would read as a blurry photo
+				checkSharpness: !effects.isBlurOn,
+			},
+		);
+	} catch (analysisError) {
+		console.warn("Photo analysis failed:", analysisError);
+		return null;
+	}
+}
+
+/**
+ * Persist a photo and add it to the album
+ * @param {Object} ctx - See performCapture
+ * @param {Blob} blob
+ * @param {Object|null} quality
+ * @returns {Promise<string>} Object URL of the photo
+ */
+async function savePhoto(ctx, blob, quality) {
+	const { photoStore, storedPhotos, refreshAlbumThumbnail } = ctx;
+	const url = URL.createObjectURL(blob);
+	try {
+		const { id, createdAt } = await photoStore.addPhoto(blob, { quality });
+		storedPhotos.push({ id, url, createdAt, quality });
+		refreshAlbumThumbnail();
+	} catch (storageError) {
+		console.error("Failed to persist photo:", storageError);
+		try {
+			URL.revokeObjectURL(url);
+		} catch (_) {}
+	}
+	return url;
+}
+
+/**
+ * Take a photo, save it and report its quality
+ * @param {Object} ctx - Services and UI of main.js
+ * @param {Object} options
+ * @param {boolean} options.announce - Speak the report; false when the caller
+ *   speaks it, e.g. as a tool result
+ * @returns {Promise<{url:string, quality:Object|null, verdict:string}>} verdict
+ *   is empty when there is nothing to report
+ */
+export async function performCapture(ctx, { announce = true } = {}) {
+	const { speak, canExpectReply, expectReply, statusEl, recorder } = ctx;
+	const phrase = ctx.phrase ?? defaultPhrase;
+	const { eyesClosedWarning, shakyWarning, referenceSharpness } =
+		await prepareShot(ctx);
 	statusEl.textContent = "Capturing…";
 	try {
-		let blob;
+		const blob = await captureBlob(ctx);
+		const quality = await analyzeShot(ctx, blob, referenceSharpness);
+		const url = await savePhoto(ctx, blob, quality);
+
+		let verdict;
+		let ask = false;
+		if (quality) {
+			const [issue] = quality.issues;
+			ask = !!issue && !!canExpectReply?.();
+			verdict = phrase(issue ? `quality_${issue}` : "quality_good", { ask });
+		} else if (eyesClosedWarning) {
+			verdict = phrase("photo_saved_eyes_closed");
+		} else if (shakyWarning) {
+			verdict = phrase("photo_saved_shaky");
+		} else {
+			verdict = "";
+		}
+		statusEl.textContent = verdict || "Photo saved";
+		recorder?.recordEvent("capture", {
+			verdict,
+			issues: quality?.issues ?? null,
+		});
+		if (announce && verdict) {
+			await speak?.(verdict);
+			if (ask) {
+				expectReply?.(verdict);
+			}
+		}
+		setTimeout(() => {
+			statusEl.textContent = phrase("ready");
+		}, 1000);
+		return { url, quality, verdict };
+	} catch (error) {
+		statusEl.textContent = `Capture failed: ${error.message}`;
+		throw error;
+	}
+}
+
+/**
+ * Take a quick burst, keep only the best frames and say which and why
+ * @param {Object} ctx - See performCapture
+ * @param {Object} options
+ * @param {number} options.count - Frames in the burst
+ * @param {number} options.keep - Best frames to save
+ * @param {boolean} options.announce - See performCapture
+ * @returns {Promise<{urls:string[], qualities:Array<Object|null>, verdict:string}>}
+ *   Saved frames, best first
+ */
+export async function performBurstCapture(
+	ctx,
+	{ count = 5, keep = 1, announce = true } = {},
+) {
+	const { effects, photoService, speak, statusEl, recorder } = ctx;
+	const phrase = ctx.phrase ?? defaultPhrase;
+	const { referenceSharpness } = await prepareShot(ctx);
+	statusEl.textContent = "Capturing…";
+	try {
+		let blobs;
 		if (effects.isBlurOn) {
-			// Use blur canvas if available
-			const blurCanvas = segmentationService.getLatestBlurCanvas?.();
-			if (blurCanvas) {
-				blob = await new Promise((resolve, reject) => {
-					const exportCanvas = document.createElement("canvas");
-					exportCanvas.width = blurCanvas.width;
-					exportCanvas.height = blurCanvas.height;
-					const ectx = exportCanvas.getContext("2d");
-					if (!ectx) {
-						reject(new Error("Canvas context unavailable"));
-						return;
-					}
-					ectx.save();
-					if (photoService.getFacingMode() === "user") {
-						ectx.translate(exportCanvas.width, 0);
-						ectx.scale(-1, 1);
-					}
-					ectx.drawImage(blurCanvas, 0, 0);
-					ectx.restore();
-					exportCanvas.toBlob(
-						(b) => (b ? resolve(b) : reject(new Error("Export failed"))),
-						"image/jpeg",
-						1.0,
+			// The blurred preview is only drawn per frame, grab it a frame at a time
+			blobs = [];
+			for (let i = 0; i < count; i++) {
+				if (i > 0) {
+					await new Promise((resolve) =>
+						setTimeout(resolve, BURST_INTERVAL_MS),
 					);
-				});
-			} else {
-				// Fallback raw capture
-				({ blob } = await photoService.captureWithBlob());
+				}
+				blobs.push(await captureBlob(ctx));
 			}
 		} else {
-			({ blob } = await photoService.captureWithBlob());
+			const shots = await photoService.captureBurst(count, BURST_INTERVAL_MS);
+			blobs = shots.map((shot) => shot.blob);
 		}
 
-		const url = URL.createObjectURL(blob);
-		try {
-			const { id, createdAt } = await photoStore.addPhoto(blob);
-			storedPhotos.push({ id, url, createdAt });
-			refreshAlbumThumbnail();
-		} catch (storageError) {
-			console.error("Failed to persist photo:", storageError);
-			try {
-				URL.revokeObjectURL(url);
-			} catch (_) {}
+		statusEl.textContent = "Choosing the best photo…";
+		// Each report holds the faces, eyes and smile of its own frame, the live
+		// preview has moved on since the burst
+		const qualities = [];
+		for (const blob of blobs) {
+			qualities.push(await analyzeShot(ctx, blob, referenceSharpness));
+		}
+		// Without any report there is nothing to compare, keep the first ones
+		const ranking = qualities.every(Boolean)
+			? rankPhotos(qualities)
+			: blobs.map((_, index) => ({ index, score: 0, reasons: [] }));
+		const best = ranking.slice(0, Math.max(1, keep));
+
+		const urls = [];
+		for (const { index } of best) {
+			urls.push(await savePhoto(ctx, blobs[index], qualities[index]));
+		}
+
+		const verdict = phrase("burst_chosen", {
+			count: blobs.length,
+			kept: best.length,
+			reasons: best[0].reasons,
+		});
+		statusEl.textContent = verdict;
+		recorder?.recordEvent("capture", {
+			verdict,
+			burst: blobs.length,
+			kept: best.length,
+			issues: qualities[best[0].index]?.issues ?? null,
+		});
+		if (announce && verdict) {
+			await speak?.(verdict);
 		}
-		statusEl.textContent = "Photo saved";
 		setTimeout(() => {
-			statusEl.textContent = "Look at the camera";
+			statusEl.textContent = phrase("ready");
 		}, 1000);
-		return url;
+		return {
+			urls,
+			qualities: best.map(({ index }) => qualities[index]),
+			verdict,
+		};
 	} catch (error) {
 		statusEl.textContent = `Capture failed: ${error.message}`;
 		throw error;
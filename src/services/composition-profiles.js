@@ -0,0 +1,217 @@
+/*
+Named composition profiles. Each profile sets the framing thresholds used by
+evaluateFacePosition: where the face center should be, how much headroom is
+left above it, and which face sizes count as a good distance.
+
+All values are normalized to the frame; sizes are face box area / frame area.
+
+Body profiles also list the body parts that must be in the frame. Guidance
+then follows the pose from PoseLandmarker, and falls back to the face
+thresholds while no pose is found.
+*/
+import { bodyPart } from "./body-framing.js";
+import { DEFAULT_FRAMING_THRESHOLDS } from "./face-position.js";
+
+const STORAGE_KEY = "composition_profile";
+
+export const DEFAULT_PROFILE_ID = "head_and_shoulders";
+
+/**
+ * @typedef {Object} CompositionProfile
+ * @property {string} id
+ * @property {string} label - Spoken/displayed name
+ * @property {string} description
+ * @property {Object} thresholds - See DEFAULT_FRAMING_THRESHOLDS
+ * @property {{parts: string[]}} [body] - bodyPart values that must be in the
+ *   frame, for half-body and full-body shots
+ * @property {{landscape?: Object, environment?: Object}} overrides - Applied
+ *   on top of thresholds for landscape frames or the rear camera, the rear
+ *   camera ones last
+ */
+
+/** @type {Record<string, CompositionProfile>} */
+export const COMPOSITION_PROFILES = {
+	close_up: {
+		id: "close_up",
+		label: "Close-up portrait",
+		description: "Face fills most of the frame",
+		thresholds: {
+			centerX: 0.5,
+			horizontalOffset: 0.08,
+			top: 0.4,
+			bottom: 0.6,
+			sizeClose: 0.35,
+			sizeFar: 0.2,
+		},
+		overrides: {
+			landscape: { sizeClose: 0.25, sizeFar: 0.13 },
+		},
+	},
+	head_and_shoulders: {
+		id: "head_and_shoulders",
+		label: "Head and shoulders",
+		description: "Classic selfie at arm's length",
+		thresholds: { ...DEFAULT_FRAMING_THRESHOLDS },
+		overrides: {
+			// Photographing someone else is not limited to arm's length, the
+			// usual portrait distance shows more of the chest
+			environment: { sizeClose: 0.12, sizeFar: 0.05 },
+		},
+	},
+	rule_of_thirds: {
+		id: "rule_of_thirds",
+		label: "Rule of thirds",
+		description:
+			"Face on the left or right third line, eyes near the top third",
+		thresholds: {
+			centerX: [1 / 3, 2 / 3],
+			horizontalOffset: 0.08,
+			top: 0.33,
+			bottom: 0.5,
+			sizeClose: 0.12,
+			sizeFar: 0.05,
+		},
+		overrides: {
+			landscape: { sizeClose: 0.09, sizeFar: 0.035 },
+		},
+	},
+	landscape: {
+		id: "landscape",
+		label: "Background included",
+		description:
+			"Small face with plenty of background, e.g. in front of a landmark",
+		thresholds: {
+			centerX: 0.5,
+			horizontalOffset: 0.12,
+			top: 0.33,
+			bottom: 0.55,
+			sizeClose: 0.06,
+			sizeFar: 0.02,
+		},
+		overrides: {
+			landscape: { sizeClose: 0.045, sizeFar: 0.015 },
+		},
+	},
+	selfie_stick: {
+		id: "selfie_stick",
+		label: "Selfie stick",
+		description: "Phone further away than arm's length",
+		thresholds: {
+			centerX: 0.5,
+			horizontalOffset: 0.12,
+			top: 0.4,
+			bottom: 0.6,
+			sizeClose: 0.05,
+			sizeFar: 0.015,
+		},
+		overrides: {
+			landscape: { sizeClose: 0.035, sizeFar: 0.01 },
+		},
+	},
+	head_to_waist: {
+		id: "head_to_waist",
+		label: "Head to waist",
+		description: "Half-body shot from the head down to the waist",
+		thresholds: {
+			centerX: 0.5,
+			horizontalOffset: 0.12,
+			top: 0.15,
+			bottom: 0.35,
+			sizeClose: 0.05,
+			sizeFar: 0.015,
+		},
+		overrides: {
+			landscape: { sizeClose: 0.035, sizeFar: 0.01 },
+		},
+		body: {
+			parts: [bodyPart.HEAD, bodyPart.SHOULDERS, bodyPart.WAIST],
+		},
+	},
+	full_body: {
+		id: "full_body",
+		label: "Full body",
+		description: "Whole body from head to feet, e.g. to show an outfit",
+		thresholds: {
+			centerX: 0.5,
+			horizontalOffset: 0.15,
+			top: 0.05,
+			bottom: 0.25,
+			sizeClose: 0.015,
+			sizeFar: 0.002,
+		},
+		overrides: {
+			landscape: { sizeClose: 0.01, sizeFar: 0.001 },
+		},
+		body: {
+			parts: [
+				bodyPart.HEAD,
+				bodyPart.SHOULDERS,
+				bodyPart.WAIST,
+				bodyPart.KNEES,
+				bodyPart.FEET,
+			],
+		},
+	},
+};
+
+/**
+ * Get a profile by id, falling back to the default profile
+ * @param {string} id
+ * @returns {CompositionProfile}
+ */
+export function getCompositionProfile(id) {
+	return COMPOSITION_PROFILES[id] ?? COMPOSITION_PROFILES[DEFAULT_PROFILE_ID];
+}
+
+/**
+ * All profile ids, in display order
+ * @returns {string[]}
+ */
+export function listCompositionProfileIds() {
+	return Object.keys(COMPOSITION_PROFILES);
+}
+
+/**
+ * Resolve the thresholds of a profile for the current frame and camera
+ * @param {CompositionProfile} profile
+ * @param {Object} context
+ * @param {number} context.videoWidth
+ * @param {number} context.videoHeight
+ * @param {string|null} context.facingMode - "user" | "environment"
+ * @returns {Object} Thresholds for classifyFraming
+ */
+export function resolveThresholds(profile, context = {}) {
+	const { videoWidth, videoHeight, facingMode } = context;
+	const overrides = profile.overrides ?? {};
+	const isLandscape = videoWidth > 0 && videoWidth > videoHeight;
+	return {
+		...DEFAULT_FRAMING_THRESHOLDS,
+		...profile.thresholds,
+		...(isLandscape ? overrides.landscape : null),
+		...(facingMode === "environment" ? overrides.environment : null),
+	};
+}
+
+/**
+ * Load the persisted profile id
+ * @returns {string}
+ */
+export function loadCompositionProfileId() {
+	try {
+		const id = localStorage.getItem(STORAGE_KEY);
+		if (id && COMPOSITION_PROFILES[id]) {
+			return id;
+		}
+	} catch (_) {}
+	return DEFAULT_PROFILE_ID;
+}
+
+/**
+ * Persist the selected profile id
+ * @param {string} id
+ */
+export function saveCompositionProfileId(id) {
+	try {
+		localStorage.setItem(STORAGE_KEY, id);
+	} catch (_) {}
+}
@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	COMPOSITION_PROFILES,
+	getCompositionProfile,
+	resolveThresholds,
+} from "./composition-profiles.js";
+
+const portrait = { videoWidth: 720, videoHeight: 1280 };
+
+describe("resolveThresholds", () => {
+	it("allows a smaller face for head and shoulders on the rear camera", () => {
+		const profile = getCompositionProfile("head_and_shoulders");
+		const selfie = resolveThresholds(profile, {
+			...portrait,
+			facingMode: "user",
+		});
+		const rear = resolveThresholds(profile, {
+			...portrait,
+			facingMode: "environment",
+		});
+		assert.equal(selfie.sizeFar, 0.09);
+		assert.ok(rear.sizeFar < selfie.sizeFar);
+		assert.ok(rear.sizeClose < selfie.sizeClose);
+		assert.equal(rear.centerX, selfie.centerX);
+	});
+
+	it("keeps every profile's distance bands ordered", () => {
+		for (const profile of Object.values(COMPOSITION_PROFILES)) {
+			for (const facingMode of ["user", "environment"]) {
+				for (const [videoWidth, videoHeight] of [
+					[720, 1280],
+					[1280, 720],
+				]) {
+					const t = resolveThresholds(profile, {
+						videoWidth,
+						videoHeight,
+						facingMode,
+					});
+					assert.ok(
+						t.sizeFar < t.sizeClose,
+						`${profile.id} ${facingMode} ${videoWidth}x${videoHeight}`,
+					);
+				}
+			}
+		}
+	});
+});
@@ -0,0 +1,201 @@
+/*
+Phone tilt from DeviceOrientationEvent beta/gamma.
+https://developer.mozilla.org/en-US/docs/Web/API/DeviceOrientationEvent
+
+beta/gamma are converted into the "up" direction in device coordinates, which
+avoids the gimbal lock of the Euler angles when the phone is held upright:
+- roll: rotation in the screen plane, 0 when the phone is level, positive
+  when the top of the phone leans to the left (counter-clockwise on screen).
+  Measured against the current screen orientation, so landscape works too.
+- pitch: angle of the screen away from vertical, positive when the screen
+  faces up (top of the phone leaning back), negative when it faces down.
+
+iOS only delivers events after DeviceOrientationEvent.requestPermission()
+was called from a user gesture.
+*/
+import { isPastLimit } from "./head-pose.js";
+
+export const phoneTilt = {
+	LEVEL: "level",
+	ROLLED_LEFT: "rolled_left", // Top leans to the left
+	ROLLED_RIGHT: "rolled_right", // Top leans to the right
+	TILTED_BACK: "tilted_back", // Screen faces up
+	TILTED_FORWARD: "tilted_forward", // Screen faces down
+};
+
+const DEFAULT_THRESHOLDS = { roll: 10, pitch: 25 };
+const HYSTERESIS_BAND = 3; // degrees
+const SMOOTHING = 0.3; // EMA weight of the newest reading
+// Readings older than this are treated as no sensor
+const STALE_AFTER_MS = 1000;
+
+const toDegrees = (rad) => (rad * 180) / Math.PI;
+const toRadians = (deg) => (deg * Math.PI) / 180;
+const normalizeAngle = (deg) => ((((deg + 180) % 360) + 360) % 360) - 180;
+
+/**
+ * Convert DeviceOrientation angles into phone roll and pitch
+ * @param {number} beta - Front-back tilt in degrees
+ * @param {number} gamma - Left-right tilt in degrees
+ * @param {number} screenAngle - screen.orientation.angle in degrees
+ * @returns {{roll:number, pitch:number}} Degrees
+ */
+export function computeTilt(beta, gamma, screenAngle = 0) {
+	const b = toRadians(beta);
+	const g = toRadians(gamma);
+	// World "up" in device coordinates
+	const upX = -Math.cos(b) * Math.sin(g);
+	const upY = Math.sin(b);
+	const upZ = Math.cos(b) * Math.cos(g);
+	const roll = normalizeAngle(toDegrees(Math.atan2(upX, upY)) - screenAngle);
+	const pitch = toDegrees(Math.asin(Math.max(-1, Math.min(1, upZ))));
+	return { roll, pitch };
+}
+
+/**
+ * Classify roll and pitch into tilt flags
+ * @param {{roll:number, pitch:number}|null} tilt
+ * @param {Object} thresholds - Optional { roll, pitch } in degrees
+ * @param {string[]|null} previous - Flags of the previous reading, for hysteresis
+ * @param {number} band - Hysteresis half-width in degrees
+ * @returns {string[]} phoneTilt values, [LEVEL] when within all thresholds
+ */
+export function classifyTilt(
+	tilt,
+	thresholds = DEFAULT_THRESHOLDS,
+	previous = null,
+	band = 0,
+) {
+	if (!tilt) {
+		return [phoneTilt.LEVEL];
+	}
+	const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+	const was = (flag) => !!previous?.includes(flag);
+	const flags = [];
+
+	if (isPastLimit(tilt.roll, t.roll, 1, was(phoneTilt.ROLLED_LEFT), band)) {
+		flags.push(phoneTilt.ROLLED_LEFT);
+	} else if (
+		isPastLimit(tilt.roll, -t.roll, -1, was(phoneTilt.ROLLED_RIGHT), band)
+	) {
+		flags.push(phoneTilt.ROLLED_RIGHT);
+	}
+
+	if (isPastLimit(tilt.pitch, t.pitch, 1, was(phoneTilt.TILTED_BACK), band)) {
+		flags.push(phoneTilt.TILTED_BACK);
+	} else if (
+		isPastLimit(tilt.pitch, -t.pitch, -1, was(phoneTilt.TILTED_FORWARD), band)
+	) {
+		flags.push(phoneTilt.TILTED_FORWARD);
+	}
+
+	return flags.length ? flags : [phoneTilt.LEVEL];
+}
+
+export class DeviceTilt {
+	constructor(options = {}) {
+		this.thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
+		this.listening = false;
+		this.permission = null; // null = not asked, "granted" | "denied"
+		this.tilt = null; // Smoothed { roll, pitch }
+		this.flags = [phoneTilt.LEVEL];
+		this.lastEventAt = 0;
+		this._onOrientation = this._handleOrientation.bind(this);
+	}
+
+	/**
+	 * Whether the browser has the DeviceOrientation API at all
+	 * @returns {boolean}
+	 */
+	isSupported() {
+		return typeof window !== "undefined" && "DeviceOrientationEvent" in window;
+	}
+
+	/**
+	 * Whether a permission prompt is needed before events arrive (iOS 13+)
+	 * @returns {boolean}
+	 */
+	needsPermission() {
+		return (
+			this.isSupported() &&
+			typeof window.DeviceOrientationEvent.requestPermission === "function" &&
+			this.permission !== "granted"
+		);
+	}
+
+	/**
+	 * Ask for sensor access where required. Must be called from a user gesture.
+	 * @returns {Promise<boolean>} Whether orientation events are allowed
+	 */
+	async requestPermission() {
+		if (!this.isSupported()) {
+			return false;
+		}
+		if (!this.needsPermission()) {
+			return true;
+		}
+		try {
+			this.permission = await window.DeviceOrientationEvent.requestPermission();
+		} catch (error) {
+			console.warn("Device orientation permission failed:", error);
+			this.permission = "denied";
+		}
+		return this.permission === "granted";
+	}
+
+	/**
+	 * Start listening to orientation events
+	 */
+	start() {
+		if (this.listening || !this.isSupported()) return;
+		window.addEventListener("deviceorientation", this._onOrientation);
+		this.listening = true;
+	}
+
+	stop() {
+		if (!this.listening) return;
+		window.removeEventListener("deviceorientation", this._onOrientation);
+		this.listening = false;
+		this.tilt = null;
+		this.flags = [phoneTilt.LEVEL];
+		this.lastEventAt = 0;
+	}
+
+	/**
+	 * Current tilt state
+	 * @param {number} now - Timestamp in ms
+	 * @returns {{roll:number, pitch:number, flags:string[]}|null} null without
+	 *   recent sensor readings (desktop, permission denied)
+	 */
+	getState(now = Date.now()) {
+		if (!this.tilt || now - this.lastEventAt > STALE_AFTER_MS) {
+			return null;
+		}
+		return { ...this.tilt, flags: this.flags };
+	}
+
+	/**
+	 * @param {DeviceOrientationEvent} event
+	 * @private
+	 */
+	_handleOrientation(event) {
+		if (event.beta == null || event.gamma == null) return;
+		const screenAngle = window.screen?.orientation?.angle ?? 0;
+		const reading = computeTilt(event.beta, event.gamma, screenAngle);
+		if (this.tilt) {
+			// Roll wraps around at ±180
+			const rollDelta = normalizeAngle(reading.roll - this.tilt.roll);
+			reading.roll = normalizeAngle(this.tilt.roll + SMOOTHING * rollDelta);
+			reading.pitch =
+				this.tilt.pitch + SMOOTHING * (reading.pitch - this.tilt.pitch);
+		}
+		this.tilt = reading;
+		this.flags = classifyTilt(
+			reading,
+			this.thresholds,
+			this.flags,
+			HYSTERESIS_BAND,
+		);
+		this.lastEventAt = Date.now();
+	}
+}
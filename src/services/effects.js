@@ -12,7 +12,7 @@ export class EffectsController {
 	}
 
 	_ensureInitialized() {
-		if (!this.segmentationService.segmenter) {
+		if (!this.segmentationService.isInitialized()) {
 			return this.segmentationService.init();
 		}
 	}
@@ -0,0 +1,111 @@
+/*
+Detection of faces cut off by the frame borders.
+
+BlazeFace still returns a box when part of the face is outside the frame: the
+box is clamped to the border and keypoints may fall outside [0, 1]. Both are
+used here to tell which side is cut off and roughly how much.
+
+Sides are from the user's point of view (mirrored like the preview for the
+front camera, as is for the rear camera), the same as facePosition LEFT/RIGHT.
+*/
+
+// Box edges closer than this to a border count as touching it (normalized)
+const EDGE_TOLERANCE = 0.01;
+// BlazeFace boxes are about square; narrower clipped boxes lost this much
+const HALF_VISIBLE_RATIO = 0.6;
+
+// BlazeFace keypoint order, sides are the subject's
+const KEYPOINT_NAMES = [
+	"right eye",
+	"left eye",
+	"nose",
+	"mouth",
+	"right ear",
+	"left ear",
+];
+
+export const clippedSide = {
+	LEFT: "left",
+	RIGHT: "right",
+	TOP: "top",
+	BOTTOM: "bottom",
+};
+
+/**
+ * @typedef {Object} FaceClipping
+ * @property {string[]} sides - clippedSide values where the face touches the border
+ * @property {string[]} half - Sides where about half of the face or more is outside
+ * @property {string[]} missingKeypoints - Names of keypoints outside the frame
+ */
+
+/**
+ * Detect which sides of a face are cut off by the frame
+ * @param {Object} detection - FaceDetector detection
+ * @param {number} videoWidth
+ * @param {number} videoHeight
+ * @param {boolean} mirrored - Whether the preview is mirrored (front camera)
+ * @returns {FaceClipping}
+ */
+export function detectFaceClipping(
+	detection,
+	videoWidth,
+	videoHeight,
+	mirrored = true,
+) {
+	const b = detection.boundingBox;
+	// Horizontally as seen in the preview
+	const flipX = (x) => (mirrored ? 1 - x : x);
+	const boxLeft = b.originX / videoWidth;
+	const boxRight = (b.originX + b.width) / videoWidth;
+	const left = mirrored ? 1 - boxRight : boxLeft;
+	const right = mirrored ? 1 - boxLeft : boxRight;
+	const top = b.originY / videoHeight;
+	const bottom = (b.originY + b.height) / videoHeight;
+
+	const missingKeypoints = [];
+	const outside = { left: false, right: false, top: false, bottom: false };
+	(detection.keypoints ?? []).forEach((keypoint, index) => {
+		const x = flipX(keypoint.x);
+		const y = keypoint.y;
+		const out = {
+			left: x < 0,
+			right: x > 1,
+			top: y < 0,
+			bottom: y > 1,
+		};
+		if (out.left || out.right || out.top || out.bottom) {
+			missingKeypoints.push(KEYPOINT_NAMES[index] ?? `keypoint ${index + 1}`);
+		}
+		for (const side of Object.keys(outside)) {
+			outside[side] ||= out[side];
+		}
+	});
+
+	const touches = {
+		left: left <= EDGE_TOLERANCE,
+		right: right >= 1 - EDGE_TOLERANCE,
+		top: top <= EDGE_TOLERANCE,
+		bottom: bottom >= 1 - EDGE_TOLERANCE,
+	};
+	const sides = Object.values(clippedSide).filter(
+		(side) => touches[side] || outside[side],
+	);
+
+	// Compare the clipped extent with the other one, the face box is about square
+	const widthPx = b.width;
+	const heightPx = b.height;
+	const nose = detection.keypoints?.[2];
+	const half = sides.filter((side) => {
+		if (side === clippedSide.LEFT || side === clippedSide.RIGHT) {
+			const noseOut =
+				nose &&
+				(side === clippedSide.LEFT ? flipX(nose.x) < 0 : flipX(nose.x) > 1);
+			return noseOut || widthPx < heightPx * HALF_VISIBLE_RATIO;
+		}
+		const noseOut =
+			nose && (side === clippedSide.TOP ? nose.y < 0 : nose.y > 1);
+		return noseOut || heightPx < widthPx * HALF_VISIBLE_RATIO;
+	});
+
+	return { sides, half, missingKeypoints };
+}
@@ -23,18 +23,84 @@ given by GitHub Copilot are taken.
 This will be updated over time when the project evolves.
 
 */
-import { FaceDetector, FilesetResolver } from "@mediapipe/tasks-vision";
+import {
+	FaceDetector,
+	FaceLandmarker,
+	FilesetResolver,
+} from "@mediapipe/tasks-vision";
+import { getAssetUrls } from "./asset-config.js";
+import { estimateGaze } from "./gaze.js";
+import {
+	canUseVisionWorker,
+	getVisionWorker,
+	grabFrame,
+} from "./vision-worker-client.js";
+
+export const faceModel = {
+	SHORT_RANGE: "short_range", // Faces within about 2 m, the front camera at arm's length
+	FULL_RANGE: "full_range", // Faces up to about 5 m, selfie sticks and the rear camera
+};
+
+const assets = getAssetUrls();
+const MODEL_URLS = {
+	[faceModel.SHORT_RANGE]: assets.model("blaze_face_short_range.tflite"),
+	[faceModel.FULL_RANGE]: assets.model("face_detection_full_range.tflite"),
+};
+// https://ai.google.dev/edge/mediapipe/solutions/vision/face_landmarker/web_js
+const DEFAULT_LANDMARKER_MODEL = assets.model("face_landmarker.task");
+const DEFAULT_WASM = assets.mediapipeWasm;
+// Blendshape eyeBlink score above which an eye counts as closed
+const EYE_CLOSED_THRESHOLD = 0.5;
+// Live results without a face after a model switch before the previous model
+// is tried again, to tell a model that loads but finds nothing from an empty
+// scene; and results on the previous model before the scene counts as empty
+const MODEL_TRIAL_RESULTS = 10;
+// A model that found nothing in an empty scene is switched to again after this
+const MODEL_RETRY_MS = 10000;
+const EYE_CHECK_STORAGE_KEY = "eye_check";
+
+/**
+ * Load the persisted eye check setting, i.e. whether to load the landmarker
+ * @returns {boolean} On by default
+ */
+export function loadEyeCheckEnabled() {
+	try {
+		return localStorage.getItem(EYE_CHECK_STORAGE_KEY) !== "off";
+	} catch (_) {
+		return true;
+	}
+}
 
-const DEFAULT_MODEL =
-	"https://storage.googleapis.com/mediapipe-models/face_detector/blaze_face_short_range/float16/1/blaze_face_short_range.tflite";
-const DEFAULT_WASM =
-	"https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm";
+/**
+ * Persist the eye check setting
+ * @param {boolean} enabled
+ */
+export function saveEyeCheckEnabled(enabled) {
+	try {
+		localStorage.setItem(EYE_CHECK_STORAGE_KEY, enabled ? "on" : "off");
+	} catch (_) {}
+}
 
 export class FaceDetect {
 	constructor() {
 		this.detector = null;
+		this.landmarker = null; // Optional, for eye openness and gaze
+		this.worker = null; // VisionWorkerClient when detection runs in the worker
+		this._remoteLandmarker = false; // Whether the worker loaded the landmarker
+		this._pendingFrame = false;
+		this.vision = null;
 		this.mode = null;
+		this.model = null; // faceModel value of the loaded detector
+		this.delegate = null; // "GPU" | "CPU", the one that actually loaded
+		this.options = {};
+		this._modelSwitch = null; // Pending setModel() promise
+		this._modelTrial = null; // { model, previous, results, checking } until a switched model finds a face
+		this.unavailableModels = new Set(); // faceModel values that failed, not retried
+		this._modelRetryAt = new Map(); // faceModel value -> Date.now() timestamp
 		this.detections = [];
+		this.eyeStates = [];
+		this.lastBlinkAt = 0; // When the eyes last opened after a blink
+		this._eyesWereClosed = false;
 		this.video = null;
 		this.rafId = null; // requestAnimationFrame / requestVideoFrameCallback ID
 		this.lastVideoTime = -1;
@@ -48,37 +114,327 @@ export class FaceDetect {
 	/**
 	 * Initialize the face detector
 	 * @param {Object} options - Configuration options
-	 * @returns {Promise<FaceDetector>}
+	 * @param {boolean} options.landmarker - Also load FaceLandmarker for eye openness and gaze
+	 * @param {string} options.model - faceModel value, short range by default
+	 * @param {string} options.delegate - "GPU" (default) or "CPU". GPU falls back
+	 *   to CPU when it fails to load.
+	 * @param {boolean} options.worker - Run in a Web Worker when supported (default true)
+	 * @returns {Promise<FaceDetector|VisionWorkerClient>}
 	 */
 	async init(options = {}) {
-		if (this.detector) {
-			return this.detector; // Already initialized
+		if (this.detector || this.worker) {
+			return this.detector ?? this.worker; // Already initialized
+		}
+
+		if (options.worker !== false && canUseVisionWorker()) {
+			try {
+				const worker = getVisionWorker();
+				const info = await worker.call("face-init", {
+					...options,
+					worker: false,
+				});
+				this.worker = worker;
+				this.model = info.model;
+				this.delegate = info.delegate;
+				this._remoteLandmarker = info.hasLandmarker;
+				return this.worker;
+			} catch (error) {
+				console.warn(
+					"Face detection worker unavailable, running on the main thread:",
+					error,
+				);
+			}
 		}
 
+		this.options = options;
 		this.mode = options.runningMode ?? "VIDEO";
 		const vision = await FilesetResolver.forVisionTasks(
 			options.wasmPath ?? DEFAULT_WASM,
 		);
-		this.detector = await FaceDetector.createFromOptions(vision, {
-			baseOptions: {
-				modelAssetPath: options.modelAssetPath ?? DEFAULT_MODEL,
-				delegate: options.delegate ?? "GPU",
-			},
-			runningMode: this.mode,
-			minDetectionConfidence: options.minDetectionConfidence ?? 0.5,
-			minSuppressionThreshold: options.minSuppressionThreshold ?? 0.3,
-		});
+		this.vision = vision;
+		const model = options.model ?? faceModel.SHORT_RANGE;
+		const { task, delegate } = await this._createWithFallback(
+			(delegate) => this._createDetector(model, delegate),
+			options.delegate ?? "GPU",
+		);
+		this.detector = task;
+		this.model = model;
+		this.delegate = delegate;
+
+		if (options.landmarker) {
+			// The detector alone is still usable if the landmarker fails to load
+			try {
+				await this.initLandmarker(options);
+			} catch (error) {
+				console.warn("Face landmarker unavailable:", error);
+			}
+		}
 
 		return this.detector;
 	}
 
+	/**
+	 * Initialize the optional face landmarker with blendshapes
+	 * @param {Object} options - Configuration options
+	 * @returns {Promise<FaceLandmarker>}
+	 */
+	async initLandmarker(options = {}) {
+		if (this.landmarker) {
+			return this.landmarker;
+		}
+
+		const vision =
+			this.vision ??
+			(await FilesetResolver.forVisionTasks(options.wasmPath ?? DEFAULT_WASM));
+		this.vision = vision;
+		const { task } = await this._createWithFallback(
+			(delegate) =>
+				FaceLandmarker.createFromOptions(vision, {
+					baseOptions: {
+						modelAssetPath:
+							options.landmarkerModelAssetPath ?? DEFAULT_LANDMARKER_MODEL,
+						delegate,
+					},
+					runningMode: this.mode ?? "VIDEO",
+					numFaces: options.numFaces ?? 4,
+					outputFaceBlendshapes: true,
+				}),
+			this.delegate ?? options.delegate ?? "GPU",
+		);
+		this.landmarker = task;
+
+		return this.landmarker;
+	}
+
+	/**
+	 * Load or release the landmarker at runtime. Without it eye openness is
+	 * unknown, areEyesOpen() returns null.
+	 * @param {boolean} enabled
+	 * @returns {Promise<boolean>} Whether the landmarker is now loaded
+	 */
+	async setLandmarker(enabled) {
+		if (!this.detector && !this.worker) {
+			throw new Error("Face detector not initialized");
+		}
+		if (this.worker) {
+			const info = await this.worker.call("face-set-landmarker", { enabled });
+			this._remoteLandmarker = info.hasLandmarker;
+		} else if (enabled) {
+			try {
+				await this.initLandmarker(this.options);
+			} catch (error) {
+				console.warn("Face landmarker unavailable:", error);
+			}
+		} else {
+			this.landmarker?.close?.();
+			this.landmarker = null;
+		}
+		if (!this.hasLandmarker()) {
+			this.eyeStates = [];
+			this._eyesWereClosed = false;
+			this.lastBlinkAt = 0;
+		}
+		return this.hasLandmarker();
+	}
+
+	/**
+	 * Switch the detection model at runtime. The current detector keeps running
+	 * until the new one is loaded.
+	 * @param {string} model - faceModel value
+	 * @returns {Promise<boolean>} Whether the model is now active
+	 */
+	async setModel(model) {
+		if (!this.detector && !this.worker) {
+			throw new Error("Face detector not initialized");
+		}
+		if (!MODEL_URLS[model]) {
+			throw new Error(`Unknown face model: ${model}`);
+		}
+		// One switch at a time
+		while (this._modelSwitch) {
+			await this._modelSwitch;
+		}
+		if (this.model === model) {
+			return true;
+		}
+		if (!this.isModelAvailable(model)) {
+			return false;
+		}
+
+		const previous = this.model;
+		this._modelTrial = null;
+		this._modelSwitch = this.worker
+			? this._switchRemoteModel(model)
+			: this._switchLocalModel(model);
+		const switched = await this._modelSwitch;
+		this._modelSwitch = null;
+		if (!switched) {
+			this.unavailableModels.add(model);
+		} else if (
+			this.isRunning &&
+			model !== (this.options.model ?? faceModel.SHORT_RANGE)
+		) {
+			// Only the live loop tells whether the new model finds faces, the
+			// initial one is known to work
+			this._modelTrial = { model, previous, results: 0 };
+		}
+		return switched;
+	}
+
+	/**
+	 * Whether a model can be switched to: it has not failed to load or run,
+	 * and is not being compared with the previous model
+	 * @param {string} model - faceModel value
+	 * @returns {boolean}
+	 */
+	isModelAvailable(model) {
+		if (this.unavailableModels.has(model)) {
+			return false;
+		}
+		if (this._modelTrial?.checking && this._modelTrial.model === model) {
+			return false;
+		}
+		return Date.now() >= (this._modelRetryAt.get(model) ?? 0);
+	}
+
+	/**
+	 * Count a live result against a freshly switched model. Errors rule the
+	 * model out at once. Finding nothing only does when the previous model,
+	 * switched back to, then finds a face; otherwise the scene was empty.
+	 * @param {Error|null} error - Detection error, if any
+	 * @private
+	 */
+	_checkModelTrial(error = null) {
+		const trial = this._modelTrial;
+		if (!trial || this._modelSwitch) {
+			return;
+		}
+		const found = !error && this.detections.length > 0;
+		if (trial.checking) {
+			if (found) {
+				console.warn(
+					`Face model ${trial.model} found no face where ${trial.previous} does`,
+				);
+				this.unavailableModels.add(trial.model);
+				this._modelTrial = null;
+			} else if (++trial.results >= MODEL_TRIAL_RESULTS) {
+				this._modelRetryAt.set(trial.model, Date.now() + MODEL_RETRY_MS);
+				this._modelTrial = null;
+			}
+			return;
+		}
+		if (error) {
+			console.warn(
+				`Face model ${trial.model} failed, back to ${trial.previous}`,
+				error,
+			);
+			this._modelTrial = null;
+			this.unavailableModels.add(trial.model);
+			this.setModel(trial.previous).catch(() => {});
+			return;
+		}
+		if (found) {
+			this._modelTrial = null;
+			return;
+		}
+		if (++trial.results < MODEL_TRIAL_RESULTS) {
+			return;
+		}
+		this._modelTrial = null;
+		this.setModel(trial.previous)
+			.then((switched) => {
+				if (switched && this.isRunning) {
+					this._modelTrial = { ...trial, results: 0, checking: true };
+				}
+			})
+			.catch(() => {});
+	}
+
+	/**
+	 * @param {string} model - faceModel value
+	 * @returns {Promise<boolean>}
+	 * @private
+	 */
+	async _switchLocalModel(model) {
+		try {
+			const mode = this.mode;
+			const { task, delegate } = await this._createWithFallback(
+				(delegate) => this._createDetector(model, delegate),
+				this.delegate ?? "GPU",
+			);
+			if (!this.detector) {
+				task.close?.(); // Disposed while loading
+				return false;
+			}
+			if (this.mode !== mode) {
+				await task.setOptions({ runningMode: this.mode });
+			}
+			const previous = this.detector;
+			this.detector = task;
+			this.model = model;
+			this.delegate = delegate;
+			previous.close?.();
+			this.lastVideoTime = -1;
+			return true;
+		} catch (error) {
+			console.warn(`Face model ${model} unavailable:`, error);
+			return false;
+		}
+	}
+
+	/**
+	 * @param {string} model - faceModel value
+	 * @returns {Promise<boolean>}
+	 * @private
+	 */
+	async _switchRemoteModel(model) {
+		try {
+			const info = await this.worker.call("face-set-model", { model });
+			this.model = info.model;
+			this.delegate = info.delegate;
+			return info.switched;
+		} catch (error) {
+			console.warn(`Face model ${model} unavailable:`, error);
+			return false;
+		}
+	}
+
+	/**
+	 * Which model and delegate are active
+	 * @returns {{model:string|null, delegate:string|null, switching:boolean}}
+	 */
+	getModelInfo() {
+		return {
+			model: this.model,
+			delegate: this.delegate,
+			switching: !!this._modelSwitch,
+		};
+	}
+
+	/**
+	 * Whether the landmarker is loaded, i.e. eye states are available
+	 * @returns {boolean}
+	 */
+	hasLandmarker() {
+		return !!this.landmarker || this._remoteLandmarker;
+	}
+
 	/**
 	 * Detect faces in an image
-	 * @param {HTMLImageElement} image - The image element
+	 * @param {HTMLImageElement|ImageBitmap} image - The image element or bitmap
 	 * @returns {Promise<Array>} Array of detected faces
 	 */
 	async detectImage(image) {
-		if (!this.detector) {
+		return (await this.analyzeImage(image)).detections;
+	}
+
+	/**
+	 * Detect faces and eye states in an image, leaving the live results alone
+	 * @param {HTMLImageElement|ImageBitmap} image - The image element or bitmap
+	 * @returns {Promise<{detections:Array, eyeStates:Array}>}
+	 */
+	async analyzeImage(image) {
+		if (!this.detector && !this.worker) {
 			throw new Error("Face detector not initialized");
 		}
 
@@ -86,10 +442,43 @@ export class FaceDetect {
 			throw new Error("Image element is required");
 		}
 
-		await this._useMode("IMAGE");
-		const result = this.detector.detect(image);
-		this.detections = result?.detections ?? [];
-		return this.detections;
+		const width = image.naturalWidth || image.width;
+		const height = image.naturalHeight || image.height;
+		if (this.worker) {
+			const frame = await createImageBitmap(image);
+			return this.worker.call("face-detect-image", { frame, width, height }, [
+				frame,
+			]);
+		}
+		return this.detectStill(image, width, height);
+	}
+
+	/**
+	 * Detect faces in a still image on this thread, without touching the live
+	 * detections and eye states the video loop reports
+	 * @param {CanvasImageSource} image
+	 * @param {number} width - Image width in pixels
+	 * @param {number} height - Image height in pixels
+	 * @returns {Promise<{detections:Array, eyeStates:Array}>}
+	 */
+	async detectStill(image, width, height) {
+		// Keep the live loop off the detector while it is in IMAGE mode
+		this._pendingFrame = true;
+		try {
+			await this._useMode("IMAGE");
+			const detections = this.detector.detect(image)?.detections ?? [];
+			let eyeStates = [];
+			if (this.landmarker) {
+				eyeStates = this._computeEyeStates(this.landmarker.detect(image));
+				this._attachEyeStates(detections, eyeStates, width, height);
+			}
+			return { detections, eyeStates };
+		} finally {
+			if (this.isRunning) {
+				await this._useMode("VIDEO");
+			}
+			this._pendingFrame = false;
+		}
 	}
 
 	/**
@@ -99,7 +488,7 @@ export class FaceDetect {
 	 * @returns {Promise<Array>} Array of detected faces
 	 */
 	async detectVideo(video, interval = 0.3) {
-		if (!this.detector) {
+		if (!this.detector && !this.worker) {
 			throw new Error("Face detector not initialized");
 		}
 
@@ -107,10 +496,29 @@ export class FaceDetect {
 			throw new Error("Video element is required");
 		}
 
+		if (this.worker) {
+			if (this._isFrameDue(video, interval)) {
+				await this._detectRemote(video);
+			}
+			return this.detections;
+		}
 		await this._useMode("VIDEO");
 		return this._detectVideoFast(video, interval);
 	}
 
+	/**
+	 * Detect faces in one frame of a stream on this thread
+	 * @param {CanvasImageSource} source - Video element, VideoFrame or ImageBitmap
+	 * @param {number} width - Frame width in pixels
+	 * @param {number} height - Frame height in pixels
+	 * @param {number} timestamp - Timestamp in ms, increasing
+	 * @returns {Promise<Array>} Array of detected faces
+	 */
+	async detectFrame(source, width, height, timestamp) {
+		await this._useMode("VIDEO");
+		return this._detectFrame(source, width, height, timestamp);
+	}
+
 	/**
 	 * Internal fast path for video detection, assumes mode === "VIDEO"
 	 * @param {HTMLVideoElement} video
@@ -119,19 +527,180 @@ export class FaceDetect {
 	 * @private
 	 */
 	_detectVideoFast(video, interval = 0.3) {
+		if (!this._isFrameDue(video, interval)) {
+			return this.detections;
+		}
+		return this._detectFrame(
+			video,
+			video.videoWidth,
+			video.videoHeight,
+			performance.now(),
+		);
+	}
+
+	/**
+	 * Whether the interval since the last detected frame has passed, and if so
+	 * mark the current frame as detected
+	 * @param {HTMLVideoElement} video
+	 * @param {number} interval - Seconds
+	 * @returns {boolean}
+	 * @private
+	 */
+	_isFrameDue(video, interval) {
 		if (
 			this.lastVideoTime >= 0 &&
 			video.currentTime - this.lastVideoTime < interval
 		) {
-			return this.detections;
+			return false;
 		}
-
 		this.lastVideoTime = video.currentTime;
-		const result = this.detector.detectForVideo(video, performance.now());
+		return true;
+	}
+
+	/**
+	 * Run the detector (and landmarker) on one frame, assumes mode === "VIDEO"
+	 * @param {CanvasImageSource} source
+	 * @param {number} width
+	 * @param {number} height
+	 * @param {number} timestamp
+	 * @returns {Array}
+	 * @private
+	 */
+	_detectFrame(source, width, height, timestamp) {
+		let result;
+		try {
+			result = this.detector.detectForVideo(source, timestamp);
+		} catch (error) {
+			this._checkModelTrial(error);
+			throw error;
+		}
 		this.detections = result?.detections ?? [];
+		this._checkModelTrial();
+		if (this.landmarker) {
+			this._updateEyeStates(this.landmarker.detectForVideo(source, timestamp));
+			this._attachEyeStates(this.detections, this.eyeStates, width, height);
+		}
+		return this.detections;
+	}
+
+	/**
+	 * Send the current video frame to the worker and take over its results
+	 * @param {HTMLVideoElement} video
+	 * @returns {Promise<Array>}
+	 * @private
+	 */
+	async _detectRemote(video) {
+		this._pendingFrame = true;
+		try {
+			const frame = await grabFrame(video);
+			this._applyRemoteState(
+				await this.worker.call(
+					"face-detect-video",
+					{ frame, width: video.videoWidth, height: video.videoHeight },
+					[frame],
+				),
+			);
+			this._checkModelTrial();
+		} catch (error) {
+			this._checkModelTrial(error);
+			throw error;
+		} finally {
+			this._pendingFrame = false;
+		}
 		return this.detections;
 	}
 
+	/**
+	 * Mirror the detection state of the worker
+	 * @param {Object} state - See faceState() in vision.worker.js
+	 * @private
+	 */
+	_applyRemoteState(state) {
+		this.detections = state.detections;
+		this.eyeStates = state.eyeStates;
+		this.lastBlinkAt = state.lastBlinkAt;
+	}
+
+	/**
+	 * Update the live eye states from a landmarker result and note blinks
+	 * @param {FaceLandmarkerResult} result
+	 * @private
+	 */
+	_updateEyeStates(result) {
+		this.eyeStates = this._computeEyeStates(result);
+		// A blink is closed -> open on any face
+		const anyClosed = this.eyeStates.some((state) => !state.open);
+		if (this._eyesWereClosed && !anyClosed) {
+			this.lastBlinkAt = Date.now();
+		}
+		this._eyesWereClosed = anyClosed;
+	}
+
+	/**
+	 * Eye states of a landmarker result, one per face
+	 * @param {FaceLandmarkerResult} result
+	 * @returns {Array} See getEyeStates
+	 * @private
+	 */
+	_computeEyeStates(result) {
+		const blendshapes = result?.faceBlendshapes ?? [];
+		const landmarks = result?.faceLandmarks ?? [];
+
+		return blendshapes.map((shape, index) => {
+			const score = (name) =>
+				shape.categories.find((c) => c.categoryName === name)?.score ?? 0;
+			// Blendshapes are from the subject's point of view
+			const left = 1 - score("eyeBlinkLeft");
+			const right = 1 - score("eyeBlinkRight");
+			const points = landmarks[index] ?? [];
+			const center = { x: 0.5, y: 0.5 };
+			if (points.length > 0) {
+				center.x = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+				center.y = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+			}
+			const open =
+				left > 1 - EYE_CLOSED_THRESHOLD && right > 1 - EYE_CLOSED_THRESHOLD;
+			return {
+				left,
+				right,
+				open,
+				smile: (score("mouthSmileLeft") + score("mouthSmileRight")) / 2,
+				center,
+				// The iris is hidden by closed lids
+				gaze: open ? estimateGaze(points) : null,
+			};
+		});
+	}
+
+	/**
+	 * Attach the nearest eye state to each detection as detection.eyes
+	 * @param {Array} detections
+	 * @param {Array} eyeStates
+	 * @param {number} width - Frame width in pixels
+	 * @param {number} height - Frame height in pixels
+	 * @private
+	 */
+	_attachEyeStates(detections, eyeStates, width, height) {
+		if (!width || !height) return;
+		for (const detection of detections) {
+			const box = detection.boundingBox;
+			const cx = (box.originX + box.width / 2) / width;
+			const cy = (box.originY + box.height / 2) / height;
+			let best = null;
+			let bestDist = Number.POSITIVE_INFINITY;
+			for (const state of eyeStates) {
+				const dist = Math.hypot(state.center.x - cx, state.center.y - cy);
+				if (dist < bestDist) {
+					best = state;
+					bestDist = dist;
+				}
+			}
+			// Only accept matches whose center is inside the face box
+			const maxDist = Math.max(box.width / width, box.height / height) / 2;
+			detection.eyes = best && bestDist <= maxDist ? best : null;
+		}
+	}
+
 	/**
 	 * Start real-time face detection on a video element
 	 * @param {HTMLVideoElement} video - The video element
@@ -139,7 +708,7 @@ export class FaceDetect {
 	 * @param {Function} onError - Callback function to handle errors
 	 */
 	async start(video, onResults = null, onError = null) {
-		if (!this.detector) {
+		if (!this.detector && !this.worker) {
 			throw new Error("Face detector not initialized");
 		}
 
@@ -152,7 +721,9 @@ export class FaceDetect {
 		this.onError = onError;
 		this.isRunning = true;
 
-		await this._useMode("VIDEO");
+		if (!this.worker) {
+			await this._useMode("VIDEO");
+		}
 
 		this._scheduleNextLoop();
 	}
@@ -173,7 +744,20 @@ export class FaceDetect {
 		}
 
 		try {
-			this._detectVideoFast(v, this.interval);
+			if (!this.worker) {
+				if (!this._pendingFrame) {
+					this._detectVideoFast(v, this.interval);
+				}
+			} else if (!this._pendingFrame && this._isFrameDue(v, this.interval)) {
+				// Results arrive with a later frame, frames in between are skipped
+				this._detectRemote(v).catch((error) => {
+					if (this.onError) {
+						this.onError(error);
+					} else {
+						console.error("Face detection error:", error);
+					}
+				});
+			}
 			if (this.onResults) {
 				this.onResults(this.detections);
 			}
@@ -217,6 +801,9 @@ export class FaceDetect {
 
 		this.video = null;
 		this.lastVideoTime = -1;
+		this._eyesWereClosed = false;
+		this._modelTrial = null;
+		this.worker?.call("face-reset").catch(() => {});
 	}
 
 	/**
@@ -227,6 +814,49 @@ export class FaceDetect {
 		return this.detections;
 	}
 
+	/**
+	 * Get the latest eye states, one per face found by the landmarker
+	 * @returns {Array<{left:number,right:number,open:boolean,smile:number,center:{x:number,y:number},gaze:{x:number,y:number}|null}>}
+	 */
+	getEyeStates() {
+		return this.eyeStates;
+	}
+
+	/**
+	 * When the eyes last opened after a blink, closed -> open on any face
+	 * @returns {number} Date.now() timestamp, 0 before the first blink
+	 */
+	getLastBlinkAt() {
+		return this.lastBlinkAt;
+	}
+
+	/**
+	 * Whether every detected face has its eyes open
+	 * @param {Array} eyeStates - Optional, e.g. from analyzeImage, the live ones by default
+	 * @returns {boolean|null} null if unknown (no landmarker or no face)
+	 */
+	areEyesOpen(eyeStates = this.eyeStates) {
+		if (!this.hasLandmarker() || eyeStates.length === 0) {
+			return null;
+		}
+		return eyeStates.every((state) => state.open);
+	}
+
+	/**
+	 * Average smile of the faces found by the landmarker
+	 * @param {Array} eyeStates - Optional, e.g. from analyzeImage, the live ones by default
+	 * @returns {number|null} 0 (neutral) to 1 (broad smile), null if unknown
+	 */
+	getSmileScore(eyeStates = this.eyeStates) {
+		if (!this.hasLandmarker() || eyeStates.length === 0) {
+			return null;
+		}
+		return (
+			eyeStates.reduce((sum, state) => sum + (state.smile ?? 0), 0) /
+			eyeStates.length
+		);
+	}
+
 	/**
 	 * Release all resources
 	 */
@@ -234,8 +864,58 @@ export class FaceDetect {
 		this.stop();
 		this.detector?.close?.();
 		this.detector = null;
+		this.landmarker?.close?.();
+		this.landmarker = null;
+		this.worker?.call("face-dispose").catch(() => {});
+		this.worker = null;
+		this._remoteLandmarker = false;
+		this.vision = null;
 		this.detections = [];
+		this.eyeStates = [];
 		this.mode = null;
+		this.model = null;
+		this.delegate = null;
+	}
+
+	/**
+	 * Create a FaceDetector with the given model
+	 * @param {string} model - faceModel value
+	 * @param {string} delegate - "GPU" or "CPU"
+	 * @returns {Promise<FaceDetector>}
+	 * @private
+	 */
+	_createDetector(model, delegate) {
+		const options = this.options;
+		const modelAssetPath =
+			model === faceModel.SHORT_RANGE
+				? (options.modelAssetPath ?? MODEL_URLS[model])
+				: MODEL_URLS[model];
+		return FaceDetector.createFromOptions(this.vision, {
+			baseOptions: { modelAssetPath, delegate },
+			runningMode: this.mode ?? "VIDEO",
+			minDetectionConfidence: options.minDetectionConfidence ?? 0.5,
+			minSuppressionThreshold: options.minSuppressionThreshold ?? 0.3,
+		});
+	}
+
+	/**
+	 * Create a task with the preferred delegate, retrying on the CPU when the
+	 * GPU delegate fails (missing WebGL, blocklisted drivers)
+	 * @param {(delegate:string) => Promise<Object>} create
+	 * @param {string} delegate - Preferred delegate
+	 * @returns {Promise<{task:Object, delegate:string}>}
+	 * @private
+	 */
+	async _createWithFallback(create, delegate) {
+		try {
+			return { task: await create(delegate), delegate };
+		} catch (error) {
+			if (delegate === "CPU") {
+				throw error;
+			}
+			console.warn(`${delegate} delegate failed, retrying on CPU:`, error);
+			return { task: await create("CPU"), delegate: "CPU" };
+		}
 	}
 
 	/**
@@ -249,6 +929,7 @@ export class FaceDetect {
 		}
 
 		await this.detector.setOptions({ runningMode: mode });
+		await this.landmarker?.setOptions({ runningMode: mode });
 		this.mode = mode;
 	}
 }
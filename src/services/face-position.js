@@ -0,0 +1,213 @@
+/*
+Face position evaluation, extracted from main.js so that it can run without
+a camera (smoothing, replay of detections).
+*/
+import { detectFaceClipping } from "./face-clipping.js";
+import { classifyGaze } from "./gaze.js";
+import {
+	classifyHeadPose,
+	estimateHeadPose,
+	isPastLimit,
+} from "./head-pose.js";
+
+export const facePosition = {
+	CENTERED: "centered",
+	LEFT: "left",
+	RIGHT: "right",
+	BOTTOM: "bottom",
+	TOP: "top",
+};
+
+export const faceDistance = {
+	CLOSE: "close",
+	FAR: "far",
+	NORMAL: "normal",
+};
+
+export const DEFAULT_FRAMING_THRESHOLDS = {
+	centerX: 0.5, // Target, or an array of targets (nearest one is used)
+	horizontalOffset: 0.1,
+	top: 0.5,
+	bottom: 0.65,
+	sizeClose: 0.17,
+	sizeFar: 0.09,
+};
+
+// https://ai.google.dev/edge/api/mediapipe/js/tasks-vision.boundingbox
+// Horizontal values are mirrored like the selfie preview unless mirrored is false (rear camera)
+export function computeDetectionContext(
+	detection,
+	videoWidth,
+	videoHeight,
+	mirrored = true,
+) {
+	const boundingBox = detection.boundingBox;
+	const centerX = (boundingBox.originX + boundingBox.width / 2) / videoWidth;
+	const normalizedCenterX = mirrored ? 1 - centerX : centerX;
+	const normalizedCenterY =
+		(boundingBox.originY + boundingBox.height / 2) / videoHeight;
+	const normalizedSize =
+		(boundingBox.width * boundingBox.height) / (videoWidth * videoHeight);
+	const normalizedWidth = boundingBox.width / videoWidth;
+	const normalizedHeight = boundingBox.height / videoHeight;
+	const angle = boundingBox.angle;
+	const keypoints = detection.keypoints.map((keypoint) => ({
+		x: keypoint.x,
+		y: keypoint.y,
+	}));
+	return {
+		normalizedCenterX,
+		normalizedCenterY,
+		normalizedSize,
+		normalizedWidth,
+		normalizedHeight,
+		angle,
+		keypoints,
+	};
+}
+
+/**
+ * Horizontal target nearest to a face center
+ * @param {Object} thresholds - See DEFAULT_FRAMING_THRESHOLDS
+ * @param {number} centerX - Normalized face center
+ * @returns {number}
+ */
+export function getHorizontalTarget(thresholds, centerX) {
+	const t = thresholds.centerX ?? DEFAULT_FRAMING_THRESHOLDS.centerX;
+	const targets = Array.isArray(t) ? t : [t];
+	return targets.reduce((best, target) =>
+		Math.abs(target - centerX) < Math.abs(best - centerX) ? target : best,
+	);
+}
+
+/**
+ * Classify position and distance from normalized center and size
+ * @param {{centerX:number, centerY:number, size:number}} metrics
+ * @param {Object} thresholds - See DEFAULT_FRAMING_THRESHOLDS
+ * @param {{positions:string[], distance:string}|null} previous - Previous classification, for hysteresis
+ * @param {{position:number, size:number}} bands - Hysteresis half-widths
+ * @returns {{positions:string[], distance:string}}
+ */
+export function classifyFraming(
+	metrics,
+	thresholds = DEFAULT_FRAMING_THRESHOLDS,
+	previous = null,
+	bands = { position: 0, size: 0 },
+) {
+	const t = { ...DEFAULT_FRAMING_THRESHOLDS, ...thresholds };
+	const was = (flag) => !!previous?.positions?.includes(flag);
+	const { centerX, centerY, size } = metrics;
+	const targetX = getHorizontalTarget(t, centerX);
+
+	const positions = [];
+	if (
+		isPastLimit(
+			centerX,
+			targetX - t.horizontalOffset,
+			-1,
+			was(facePosition.LEFT),
+			bands.position,
+		)
+	) {
+		positions.push(facePosition.LEFT);
+	} else if (
+		isPastLimit(
+			centerX,
+			targetX + t.horizontalOffset,
+			1,
+			was(facePosition.RIGHT),
+			bands.position,
+		)
+	) {
+		positions.push(facePosition.RIGHT);
+	}
+	if (isPastLimit(centerY, t.top, -1, was(facePosition.TOP), bands.position)) {
+		positions.push(facePosition.TOP);
+	} else if (
+		isPastLimit(centerY, t.bottom, 1, was(facePosition.BOTTOM), bands.position)
+	) {
+		positions.push(facePosition.BOTTOM);
+	}
+
+	if (positions.length === 0) {
+		positions.push(facePosition.CENTERED);
+	}
+
+	let distance = faceDistance.NORMAL;
+	const wasDistance = (d) => previous?.distance === d;
+	if (
+		isPastLimit(
+			size,
+			t.sizeClose,
+			1,
+			wasDistance(faceDistance.CLOSE),
+			bands.size,
+		)
+	) {
+		distance = faceDistance.CLOSE;
+	} else if (
+		isPastLimit(size, t.sizeFar, -1, wasDistance(faceDistance.FAR), bands.size)
+	) {
+		distance = faceDistance.FAR;
+	}
+
+	return { positions, distance };
+}
+
+/**
+ * Evaluate every detected face independently (no smoothing)
+ * @param {Array} detections - FaceDetector detections
+ * @param {number} videoWidth
+ * @param {number} videoHeight
+ * @param {Object} thresholds - See DEFAULT_FRAMING_THRESHOLDS
+ * @param {boolean} mirrored - Sides as in a mirrored preview (front camera)
+ * @returns {Array<Object>} One evaluation per detection
+ */
+export function evaluateFacePosition(
+	detections,
+	videoWidth,
+	videoHeight,
+	thresholds = DEFAULT_FRAMING_THRESHOLDS,
+	mirrored = true,
+) {
+	if (detections.length === 0) {
+		return [];
+	}
+	const evals = [];
+	detections.forEach((detection) => {
+		const { normalizedCenterX, normalizedCenterY, normalizedSize, keypoints } =
+			computeDetectionContext(detection, videoWidth, videoHeight, mirrored);
+
+		const metrics = {
+			centerX: normalizedCenterX,
+			centerY: normalizedCenterY,
+			size: normalizedSize,
+		};
+		const { positions, distance } = classifyFraming(metrics, thresholds);
+
+		const headPose = estimateHeadPose(keypoints, videoWidth, videoHeight);
+		const orientation = classifyHeadPose(headPose);
+
+		// Only known when the landmarker is loaded
+		const eyesOpen = detection.eyes ? detection.eyes.open : null;
+		const gaze = detection.eyes?.gaze ?? null;
+
+		evals.push({
+			positions,
+			distance,
+			headPose,
+			orientation,
+			eyesOpen,
+			gaze,
+			gazeDirection: classifyGaze(gaze),
+			clipping: detectFaceClipping(
+				detection,
+				videoWidth,
+				videoHeight,
+				mirrored,
+			),
+			metrics,
+		});
+	});
+	return evals;
+}
@@ -0,0 +1,157 @@
+/*
+Temporal smoothing for face evaluations, so that guidance does not flip
+between two instructions when the face sits near a threshold.
+
+The primary face (evals[0]) is smoothed with an exponential moving average on
+its normalized center, size, head pose and gaze, then classified again with
+enter/exit hysteresis bands around each threshold.
+*/
+import {
+	classifyFraming,
+	DEFAULT_FRAMING_THRESHOLDS,
+} from "./face-position.js";
+import { classifyGaze } from "./gaze.js";
+import { classifyHeadPose } from "./head-pose.js";
+
+const DEFAULT_OPTIONS = {
+	alpha: 0.5, // EMA weight of the newest frame
+	resetAfterMs: 1000, // Start over when the face was lost for this long
+	bands: {
+		position: 0.02, // Normalized center
+		size: 0.01, // Normalized area
+		angle: 5, // Head pose, degrees
+		gaze: 0.05, // Gaze, -1 to 1
+	},
+};
+
+const ema = (prev, next, alpha) => prev + alpha * (next - prev);
+
+export class FaceSmoother {
+	/**
+	 * @param {Object} options - See DEFAULT_OPTIONS
+	 */
+	constructor(options = {}) {
+		this.alpha = options.alpha ?? DEFAULT_OPTIONS.alpha;
+		this.resetAfterMs = options.resetAfterMs ?? DEFAULT_OPTIONS.resetAfterMs;
+		this.bands = { ...DEFAULT_OPTIONS.bands, ...options.bands };
+		this.thresholds = {
+			...DEFAULT_FRAMING_THRESHOLDS,
+			...options.thresholds,
+		};
+		this.state = null; // { metrics, headPose, gaze, positions, distance, orientation, gazeDirection }
+		this.lastSeenAt = 0;
+	}
+
+	/**
+	 * Forget the smoothed state
+	 */
+	reset() {
+		this.state = null;
+		this.lastSeenAt = 0;
+	}
+
+	/**
+	 * Set the framing thresholds used for classification
+	 * @param {Object} thresholds - See DEFAULT_FRAMING_THRESHOLDS
+	 */
+	setThresholds(thresholds) {
+		this.thresholds = { ...DEFAULT_FRAMING_THRESHOLDS, ...thresholds };
+	}
+
+	/**
+	 * Smooth the primary face of a frame
+	 * @param {Array<Object>} evals - Output of evaluateFacePosition for one frame
+	 * @param {number} now - Frame timestamp in ms
+	 * @returns {Array<Object>} Same evaluations with evals[0] smoothed
+	 */
+	update(evals, now = Date.now()) {
+		if (!evals || evals.length === 0) {
+			if (this.state && now - this.lastSeenAt > this.resetAfterMs) {
+				this.reset();
+			}
+			return [];
+		}
+
+		const [primary, ...others] = evals;
+		const stale = !this.state || now - this.lastSeenAt > this.resetAfterMs;
+		this.lastSeenAt = now;
+
+		let metrics;
+		let headPose;
+		let gaze;
+		if (stale) {
+			metrics = { ...primary.metrics };
+			headPose = primary.headPose ? { ...primary.headPose } : null;
+			gaze = primary.gaze ? { ...primary.gaze } : null;
+		} else {
+			const prev = this.state;
+			metrics = {
+				centerX: ema(prev.metrics.centerX, primary.metrics.centerX, this.alpha),
+				centerY: ema(prev.metrics.centerY, primary.metrics.centerY, this.alpha),
+				size: ema(prev.metrics.size, primary.metrics.size, this.alpha),
+			};
+			headPose = primary.headPose;
+			if (prev.headPose && primary.headPose) {
+				headPose = {
+					yaw: ema(prev.headPose.yaw, primary.headPose.yaw, this.alpha),
+					pitch: ema(prev.headPose.pitch, primary.headPose.pitch, this.alpha),
+					roll: ema(prev.headPose.roll, primary.headPose.roll, this.alpha),
+				};
+			}
+			// Unknown while the eyes are closed, then start over
+			gaze = primary.gaze;
+			if (prev.gaze && primary.gaze) {
+				gaze = {
+					x: ema(prev.gaze.x, primary.gaze.x, this.alpha),
+					y: ema(prev.gaze.y, primary.gaze.y, this.alpha),
+				};
+			}
+		}
+
+		const previous = stale ? null : this.state;
+		const { positions, distance } = classifyFraming(
+			metrics,
+			this.thresholds,
+			previous,
+			this.bands,
+		);
+		const orientation = classifyHeadPose(
+			headPose,
+			undefined,
+			previous?.orientation ?? null,
+			this.bands.angle,
+		);
+
+		const gazeDirection = classifyGaze(
+			gaze,
+			undefined,
+			previous?.gazeDirection ?? null,
+			this.bands.gaze,
+		);
+
+		this.state = {
+			metrics,
+			headPose,
+			gaze,
+			positions,
+			distance,
+			orientation,
+			gazeDirection,
+		};
+
+		return [
+			{
+				...primary,
+				positions,
+				distance,
+				headPose,
+				orientation,
+				gaze,
+				gazeDirection,
+				metrics,
+				raw: primary,
+			},
+			...others,
+		];
+	}
+}
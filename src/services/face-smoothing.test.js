@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	classifyFraming,
+	faceDistance,
+	facePosition,
+} from "./face-position.js";
+import { FaceSmoother } from "./face-smoothing.js";
+
+// Primary face of one frame, like evaluateFacePosition returns it
+function frame(metrics) {
+	return [
+		{
+			metrics: { centerX: 0.5, centerY: 0.55, size: 0.12, ...metrics },
+			headPose: null,
+			gaze: null,
+		},
+	];
+}
+
+// Feed the values one frame apart, return the smoothed primary of each frame
+function run(smoother, key, values, start = 0, stepMs = 100) {
+	return values.map(
+		(value, i) =>
+			smoother.update(frame({ [key]: value }), start + i * stepMs)[0],
+	);
+}
+
+describe("FaceSmoother", () => {
+	it("converges to a steady face with the EMA", () => {
+		const smoother = new FaceSmoother({ alpha: 0.5 });
+		smoother.update(frame({ centerX: 0.5 }), 0);
+		const [first, ...rest] = run(smoother, "centerX", Array(10).fill(0.8), 100);
+		assert.ok(Math.abs(first.metrics.centerX - 0.65) < 1e-9);
+		const last = rest.at(-1).metrics.centerX;
+		assert.ok(last < 0.8 && 0.8 - last < 0.001, `centerX ${last}`);
+	});
+
+	it("does not flip between LEFT and CENTERED around the 0.1 offset", () => {
+		const values = [0.41, 0.39, 0.41, 0.39, 0.37, 0.39, 0.41, 0.39, 0.43];
+		const raw = values.map(
+			(centerX) =>
+				classifyFraming({ centerX, centerY: 0.55, size: 0.12 }).positions[0],
+		);
+		assert.deepEqual(raw.slice(0, 4), [
+			facePosition.CENTERED,
+			facePosition.LEFT,
+			facePosition.CENTERED,
+			facePosition.LEFT,
+		]);
+
+		// alpha 1 leaves only the bands (0.02): enter below 0.38, exit above 0.42
+		const smoother = new FaceSmoother({ alpha: 1 });
+		const positions = run(smoother, "centerX", values).map(
+			(e) => e.positions[0],
+		);
+		assert.deepEqual(positions, [
+			facePosition.CENTERED,
+			facePosition.CENTERED,
+			facePosition.CENTERED,
+			facePosition.CENTERED,
+			facePosition.LEFT,
+			facePosition.LEFT,
+			facePosition.LEFT,
+			facePosition.LEFT,
+			facePosition.CENTERED,
+		]);
+	});
+
+	it("holds the distance inside the bands around 0.17 and 0.09", () => {
+		const smoother = new FaceSmoother({ alpha: 1 });
+		// Close: enter above 0.18, exit at 0.16 or below
+		const close = run(smoother, "size", [0.175, 0.185, 0.165, 0.175, 0.155]);
+		assert.deepEqual(
+			close.map((e) => e.distance),
+			[
+				faceDistance.NORMAL,
+				faceDistance.CLOSE,
+				faceDistance.CLOSE,
+				faceDistance.CLOSE,
+				faceDistance.NORMAL,
+			],
+		);
+		// Far: enter below 0.08, exit at 0.10 or above
+		const far = run(
+			smoother,
+			"size",
+			[0.085, 0.075, 0.095, 0.085, 0.105],
+			1000,
+		);
+		assert.deepEqual(
+			far.map((e) => e.distance),
+			[
+				faceDistance.NORMAL,
+				faceDistance.FAR,
+				faceDistance.FAR,
+				faceDistance.FAR,
+				faceDistance.NORMAL,
+			],
+		);
+	});
+
+	it("starts over after the face was lost for resetAfterMs", () => {
+		const smoother = new FaceSmoother({ alpha: 0.5, resetAfterMs: 1000 });
+		smoother.update(frame({ centerX: 0.3 }), 0);
+		assert.equal(
+			smoother.update(frame({ centerX: 0.37 }), 100)[0].positions[0],
+			facePosition.LEFT,
+		);
+
+		// Short gap: blended, and the hysteresis keeps LEFT
+		assert.deepEqual(smoother.update([], 600), []);
+		const blended = smoother.update(frame({ centerX: 0.41 }), 700)[0];
+		assert.ok(blended.metrics.centerX < 0.41);
+		assert.equal(blended.positions[0], facePosition.LEFT);
+
+		// Stale gap: the state is dropped and the next face is taken as is
+		smoother.update([], 1800);
+		assert.equal(smoother.state, null);
+		const fresh = smoother.update(frame({ centerX: 0.39 }), 1900)[0];
+		assert.equal(fresh.metrics.centerX, 0.39);
+		assert.equal(fresh.positions[0], facePosition.CENTERED);
+	});
+
+	it("does not blend across a stale gap without an empty frame", () => {
+		const smoother = new FaceSmoother({ alpha: 0.5, resetAfterMs: 1000 });
+		smoother.update(frame({ centerX: 0.3 }), 0);
+		const fresh = smoother.update(frame({ centerX: 0.6 }), 1500)[0];
+		assert.equal(fresh.metrics.centerX, 0.6);
+	});
+});
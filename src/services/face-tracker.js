@@ -0,0 +1,218 @@
+/*
+Lightweight multi-face tracker: matches detections across frames by the
+intersection over union (IoU) of their bounding boxes and keeps a persistent
+ID per face, so the primary subject does not jump between people of similar
+size.
+
+The primary face is chosen by a strategy and then locked until it is lost:
+- largest: the biggest face of every frame (no lock, the old behavior)
+- first: the face seen first
+- center: the face nearest the frame center when the lock is made
+- manual: a face chosen explicitly, e.g. by voice
+*/
+const DEFAULT_IOU_THRESHOLD = 0.3;
+// A track survives this long without a matching detection
+const DEFAULT_MAX_MISSED_MS = 1000;
+
+export const primaryStrategy = {
+	LARGEST: "largest",
+	FIRST: "first",
+	CENTER: "center",
+	MANUAL: "manual",
+};
+
+/**
+ * Intersection over union of two MediaPipe bounding boxes
+ * @param {Object} a - { originX, originY, width, height }
+ * @param {Object} b
+ * @returns {number} 0-1
+ */
+export function iou(a, b) {
+	const left = Math.max(a.originX, b.originX);
+	const top = Math.max(a.originY, b.originY);
+	const right = Math.min(a.originX + a.width, b.originX + b.width);
+	const bottom = Math.min(a.originY + a.height, b.originY + b.height);
+	const intersection = Math.max(0, right - left) * Math.max(0, bottom - top);
+	const union = a.width * a.height + b.width * b.height - intersection;
+	return union > 0 ? intersection / union : 0;
+}
+
+export class FaceTracker {
+	/**
+	 * @param {Object} options
+	 * @param {number} options.iouThreshold - Minimum IoU to match a track
+	 * @param {number} options.maxMissedMs - Drop tracks unseen for this long
+	 * @param {string} options.strategy - primaryStrategy value
+	 */
+	constructor(options = {}) {
+		this.iouThreshold = options.iouThreshold ?? DEFAULT_IOU_THRESHOLD;
+		this.maxMissedMs = options.maxMissedMs ?? DEFAULT_MAX_MISSED_MS;
+		this.strategy = options.strategy ?? primaryStrategy.FIRST;
+		this.tracks = []; // { id, box, firstSeenAt, lastSeenAt }
+		this.nextId = 1;
+		this.primaryId = null;
+		this.primaryMissing = false;
+	}
+
+	/**
+	 * Forget all tracks and the primary lock
+	 */
+	reset() {
+		this.tracks = [];
+		this.primaryId = null;
+		this.primaryMissing = false;
+	}
+
+	/**
+	 * Match the detections of a frame to tracks
+	 * @param {Array} detections - FaceDetector detections
+	 * @param {number} width - Frame width, for the center strategy
+	 * @param {number} height - Frame height
+	 * @param {number} now - Timestamp in ms
+	 * @returns {Array<{id:number, detection:Object}>} Primary face first, then
+	 *   the others in their input order. Only the others while the locked
+	 *   primary face is briefly missing, see isPrimaryMissing.
+	 */
+	update(detections, width, height, now = Date.now()) {
+		// Greedy matching, best IoU pairs first
+		const pairs = [];
+		detections.forEach((detection, index) => {
+			for (const track of this.tracks) {
+				const overlap = iou(track.box, detection.boundingBox);
+				if (overlap >= this.iouThreshold) {
+					pairs.push({ index, track, overlap });
+				}
+			}
+		});
+		pairs.sort((a, b) => b.overlap - a.overlap);
+
+		const ids = new Array(detections.length).fill(null);
+		const matched = new Set();
+		for (const { index, track } of pairs) {
+			if (ids[index] !== null || matched.has(track)) continue;
+			ids[index] = track.id;
+			matched.add(track);
+			track.box = detections[index].boundingBox;
+			track.lastSeenAt = now;
+		}
+
+		// New faces
+		ids.forEach((id, index) => {
+			if (id !== null) return;
+			const track = {
+				id: this.nextId++,
+				box: detections[index].boundingBox,
+				firstSeenAt: now,
+				lastSeenAt: now,
+			};
+			this.tracks.push(track);
+			ids[index] = track.id;
+		});
+
+		this.tracks = this.tracks.filter(
+			(track) => now - track.lastSeenAt <= this.maxMissedMs,
+		);
+		if (!this.tracks.some((track) => track.id === this.primaryId)) {
+			this.primaryId = null;
+		}
+
+		const tracked = detections.map((detection, index) => ({
+			id: ids[index],
+			detection,
+		}));
+		this.primaryMissing = false;
+		if (tracked.length === 0) {
+			return tracked;
+		}
+
+		// Keep the lock while the primary face is only briefly missing
+		const visible = tracked.some(({ id }) => id === this.primaryId);
+		if (this.strategy === primaryStrategy.LARGEST || this.primaryId === null) {
+			this.primaryId = this._pickPrimary(tracked, width, height);
+		} else if (!visible) {
+			this.primaryMissing = true;
+			return tracked;
+		}
+
+		const primaryIndex = tracked.findIndex(({ id }) => id === this.primaryId);
+		const [primary] = tracked.splice(primaryIndex, 1);
+		return [primary, ...tracked];
+	}
+
+	/**
+	 * Change how the primary face is picked, and pick again now
+	 * @param {string} strategy - primaryStrategy value other than MANUAL
+	 */
+	setStrategy(strategy) {
+		if (!Object.values(primaryStrategy).includes(strategy)) return;
+		this.strategy = strategy;
+		this.primaryId = null;
+	}
+
+	/**
+	 * Lock the primary face to a track
+	 * @param {number} id - Track ID
+	 * @returns {boolean} false if no such face is tracked
+	 */
+	lockPrimary(id) {
+		if (!this.tracks.some((track) => track.id === id)) {
+			return false;
+		}
+		this.strategy = primaryStrategy.MANUAL;
+		this.primaryId = id;
+		return true;
+	}
+
+	getPrimaryId() {
+		return this.primaryId;
+	}
+
+	/**
+	 * Whether the locked primary face was not in the latest frame although
+	 * other faces were, so the first face update() returned is someone else
+	 * @returns {boolean}
+	 */
+	isPrimaryMissing() {
+		return this.primaryMissing;
+	}
+
+	getStrategy() {
+		return this.strategy;
+	}
+
+	/**
+	 * Pick the primary face by the current strategy. Manual locks fall back to
+	 * the first face when the chosen face was lost.
+	 * @param {Array<{id:number, detection:Object}>} tracked
+	 * @param {number} width
+	 * @param {number} height
+	 * @returns {number}
+	 * @private
+	 */
+	_pickPrimary(tracked, width, height) {
+		const area = ({ detection: { boundingBox: b } }) => b.width * b.height;
+		const by = (score) =>
+			tracked.reduce((best, t) => (score(t) > score(best) ? t : best)).id;
+
+		switch (this.strategy) {
+			case primaryStrategy.LARGEST:
+				return by(area);
+			case primaryStrategy.CENTER:
+				return by(({ detection: { boundingBox: b } }) => {
+					const dx = (b.originX + b.width / 2) / width - 0.5;
+					const dy = (b.originY + b.height / 2) / height - 0.5;
+					return -Math.hypot(dx, dy);
+				});
+			default: {
+				const firstSeen = new Map(
+					this.tracks.map((track) => [track.id, track.firstSeenAt]),
+				);
+				// Oldest track, the larger face on a tie
+				return tracked.reduce((best, t) => {
+					const age = firstSeen.get(t.id) - firstSeen.get(best.id);
+					return age < 0 || (age === 0 && area(t) > area(best)) ? t : best;
+				}).id;
+			}
+		}
+	}
+}
@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { FaceTracker, primaryStrategy } from "./face-tracker.js";
+
+function face(originX, width = 100) {
+	return {
+		boundingBox: { originX, originY: 100, width, height: width, angle: 0 },
+	};
+}
+
+describe("FaceTracker", () => {
+	it("does not promote another face while the locked primary is missing", () => {
+		const tracker = new FaceTracker({ strategy: primaryStrategy.FIRST });
+		const [primary] = tracker.update([face(100)], 640, 480, 0);
+		// A larger face joins, the first one stays primary
+		const joined = tracker.update([face(400, 150), face(100)], 640, 480, 100);
+		assert.equal(joined[0].id, primary.id);
+		assert.equal(tracker.isPrimaryMissing(), false);
+
+		// The primary turns away for a moment
+		const missing = tracker.update([face(400, 150)], 640, 480, 200);
+		assert.equal(tracker.isPrimaryMissing(), true);
+		assert.equal(tracker.getPrimaryId(), primary.id);
+		assert.notEqual(missing[0].id, primary.id);
+
+		const back = tracker.update([face(400, 150), face(105)], 640, 480, 300);
+		assert.equal(tracker.isPrimaryMissing(), false);
+		assert.equal(back[0].id, primary.id);
+	});
+
+	it("picks a new primary once the lock has expired", () => {
+		const tracker = new FaceTracker({
+			strategy: primaryStrategy.FIRST,
+			maxMissedMs: 1000,
+		});
+		tracker.update([face(100)], 640, 480, 0);
+		tracker.update([face(400, 150)], 640, 480, 500);
+		assert.equal(tracker.isPrimaryMissing(), true);
+
+		const [next] = tracker.update([face(400, 150)], 640, 480, 1500);
+		assert.equal(tracker.isPrimaryMissing(), false);
+		assert.equal(tracker.getPrimaryId(), next.id);
+	});
+
+	it("never holds with the largest strategy", () => {
+		const tracker = new FaceTracker({ strategy: primaryStrategy.LARGEST });
+		tracker.update([face(100, 150), face(400)], 640, 480, 0);
+		const [largest] = tracker.update([face(400)], 640, 480, 100);
+		assert.equal(tracker.isPrimaryMissing(), false);
+		assert.equal(tracker.getPrimaryId(), largest.id);
+	});
+});
@@ -0,0 +1,244 @@
+/*
+Stand-in for the camera: plays a video file or an image sequence as a
+MediaStream, so face detection, segmentation and guidance run on machines
+without a camera (headless browsers, demos).
+
+The frames are drawn on a canvas and streamed with captureStream(), so the
+preview <video> and ImageCapture (captureWithBlob) work as with a camera.
+
+Chosen in the settings (Source button, kept in localStorage), or by the
+"source" URL parameter. The parameter only works in development (vite) and in
+builds made with VITE_FILE_SOURCE=true, so a link cannot replace the camera
+of the deployed app; "?source=camera" uses the camera despite the setting.
+Both take:
+- video:<url>, or a single URL that is not an image: looped video file
+- images[@fps]:<url>,<url>,...: image sequence, 5 frames per second by default
+Numbered files can be given as a range, e.g. images@10:/samples/frame-{001..120}.jpg
+Files under public/ are served from the site root.
+*/
+// import.meta.env is only defined when bundled by Vite, not in Node scripts
+const env = import.meta.env ?? {};
+// Whether the URL parameter is honored
+export const FILE_SOURCE_ENABLED = !!env.DEV || env.VITE_FILE_SOURCE === "true";
+const STORAGE_KEY = "camera_source";
+const DEFAULT_IMAGE_FPS = 5;
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp|gif|bmp|avif)(\?.*)?$/i;
+
+export const sourceType = {
+	VIDEO: "video",
+	IMAGES: "images",
+};
+
+/**
+ * Expand a numbered range, e.g. "f-{08..10}.jpg" -> f-08.jpg, f-09.jpg, f-10.jpg
+ * @param {string} url
+ * @returns {string[]}
+ */
+function expandRange(url) {
+	const match = url.match(/\{(\d+)\.\.(\d+)\}/);
+	if (!match) {
+		return [url];
+	}
+	const [range, from, to] = match;
+	const width = from.length;
+	const urls = [];
+	for (let n = Number(from); n <= Number(to); n++) {
+		urls.push(url.replace(range, String(n).padStart(width, "0")));
+	}
+	return urls;
+}
+
+/**
+ * Parse a source setting, see the grammar above
+ * @param {string|null} value
+ * @returns {{type:string, urls:string[], fps:number}|null} null for the camera
+ */
+export function parseCameraSource(value) {
+	const spec = value?.trim();
+	if (!spec || spec === "camera") {
+		return null;
+	}
+	let type = null;
+	let fps = DEFAULT_IMAGE_FPS;
+	let list = spec;
+	const prefix = spec.match(/^(video|images)(?:@(\d+(?:\.\d+)?))?:/);
+	if (prefix) {
+		type = prefix[1];
+		if (prefix[2]) {
+			fps = Number(prefix[2]);
+		}
+		list = spec.slice(prefix[0].length);
+	}
+	const urls = list
+		.split(",")
+		.map((url) => url.trim())
+		.filter(Boolean)
+		.flatMap(expandRange);
+	if (urls.length === 0) {
+		return null;
+	}
+	type ??=
+		urls.length > 1 || IMAGE_EXTENSIONS.test(urls[0])
+			? sourceType.IMAGES
+			: sourceType.VIDEO;
+	return {
+		type,
+		urls: type === sourceType.VIDEO ? urls.slice(0, 1) : urls,
+		fps,
+	};
+}
+
+/**
+ * Source chosen by the URL parameter (where enabled), else by the setting
+ * @returns {{type:string, urls:string[], fps:number}|null} null for the camera
+ */
+export function loadCameraSource() {
+	const param = FILE_SOURCE_ENABLED
+		? new URLSearchParams(window.location.search).get("source")
+		: null;
+	return parseCameraSource(param ?? loadCameraSourceSetting());
+}
+
+/**
+ * The source setting as entered
+ * @returns {string} Empty for the camera
+ */
+export function loadCameraSourceSetting() {
+	try {
+		return localStorage.getItem(STORAGE_KEY) ?? "";
+	} catch (_) {
+		return "";
+	}
+}
+
+/**
+ * Persist the source setting
+ * @param {string} value - See the grammar above, empty for the camera
+ */
+export function saveCameraSource(value) {
+	try {
+		if (value) {
+			localStorage.setItem(STORAGE_KEY, value);
+		} else {
+			localStorage.removeItem(STORAGE_KEY);
+		}
+	} catch (_) {}
+}
+
+export class FileCameraSource {
+	/**
+	 * @param {{type:string, urls:string[], fps:number}} source - See parseCameraSource
+	 */
+	constructor(source) {
+		this.source = source;
+		this.canvas = null;
+		this.stream = null;
+		this.media = null; // HTMLVideoElement, or the HTMLImageElement list
+		this.timer = null;
+	}
+
+	/**
+	 * Load the files and start streaming
+	 * @param {Object} options
+	 * @param {number} options.frameRate - Frames per second of the stream
+	 * @returns {Promise<MediaStream>}
+	 */
+	async start(options = {}) {
+		this.stop();
+		const frameRate = options.frameRate ?? 30;
+		this.canvas = document.createElement("canvas");
+		const ctx = this.canvas.getContext("2d");
+		if (!ctx) {
+			throw new Error("Canvas unavailable");
+		}
+
+		let draw;
+		if (this.source.type === sourceType.VIDEO) {
+			const video = await this._loadVideo(this.source.urls[0]);
+			this.media = video;
+			this.canvas.width = video.videoWidth;
+			this.canvas.height = video.videoHeight;
+			draw = () => ctx.drawImage(video, 0, 0);
+		} else {
+			const images = await Promise.all(
+				this.source.urls.map((url) => this._loadImage(url)),
+			);
+			this.media = images;
+			this.canvas.width = images[0].naturalWidth;
+			this.canvas.height = images[0].naturalHeight;
+			const startedAt = performance.now();
+			const frameMs = 1000 / this.source.fps;
+			draw = () => {
+				const index =
+					Math.floor((performance.now() - startedAt) / frameMs) % images.length;
+				const image = images[index];
+				// Scale frames of another size to the first one
+				ctx.drawImage(image, 0, 0, this.canvas.width, this.canvas.height);
+			};
+		}
+
+		// Redraw every tick, the stream only carries frames that were painted
+		draw();
+		this.timer = setInterval(draw, 1000 / frameRate);
+		this.stream = this.canvas.captureStream(frameRate);
+		return this.stream;
+	}
+
+	/**
+	 * Stop streaming and release the files
+	 */
+	stop() {
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+		if (this.stream) {
+			this.stream.getTracks().forEach((track) => void track.stop());
+			this.stream = null;
+		}
+		if (this.media instanceof HTMLVideoElement) {
+			this.media.pause();
+			this.media.removeAttribute("src");
+			this.media.load();
+		}
+		this.media = null;
+		this.canvas = null;
+	}
+
+	/**
+	 * @param {string} url
+	 * @returns {Promise<HTMLVideoElement>}
+	 * @private
+	 */
+	async _loadVideo(url) {
+		const video = document.createElement("video");
+		video.crossOrigin = "anonymous";
+		video.muted = true;
+		video.loop = true;
+		video.playsInline = true;
+		await new Promise((resolve, reject) => {
+			video.onloadeddata = resolve;
+			video.onerror = () => reject(new Error(`Could not load video ${url}`));
+			video.src = url;
+		});
+		await video.play();
+		return video;
+	}
+
+	/**
+	 * @param {string} url
+	 * @returns {Promise<HTMLImageElement>}
+	 * @private
+	 */
+	async _loadImage(url) {
+		const image = new Image();
+		image.crossOrigin = "anonymous";
+		image.src = url;
+		try {
+			await image.decode();
+		} catch (_) {
+			throw new Error(`Could not load image ${url}`);
+		}
+		return image;
+	}
+}
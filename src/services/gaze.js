@@ -0,0 +1,103 @@
+/*
+Rough gaze estimation from the iris landmarks of FaceLandmarker, to tell
+whether the user looks at the lens or at the screen.
+https://ai.google.dev/edge/mediapipe/solutions/vision/face_landmarker#models
+
+The 478-point face mesh ends with 10 iris landmarks. Coordinates are
+normalized to the unmirrored camera frame.
+
+Gaze is the iris position inside each eye opening, averaged over both eyes,
+from -1 to 1 and from the user's point of view:
+- x > 0: looking towards the user's left
+- y > 0: looking up
+
+It does not include the head pose: a face turned away is reported by
+head-pose.js, this only tells where the eyes point within the face.
+*/
+import { isPastLimit } from "./head-pose.js";
+
+// Corners across the image (left to right in the unmirrored frame), lids, iris center
+const EYES = [
+	{ corners: [33, 133], lids: [159, 145], iris: 468 }, // User's right eye
+	{ corners: [362, 263], lids: [386, 374], iris: 473 }, // User's left eye
+];
+const IRIS_LANDMARK_COUNT = 478;
+// Eyes narrower than this (normalized to the frame width) are too small to tell
+const MIN_EYE_WIDTH = 0.015;
+
+export const gazeDirection = {
+	CAMERA: "camera",
+	LEFT: "left",
+	RIGHT: "right",
+	UP: "up",
+	DOWN: "down",
+};
+
+const DEFAULT_THRESHOLDS = {
+	x: 0.35,
+	y: 0.3,
+};
+
+/**
+ * Estimate the gaze from one face of the landmarker
+ * @param {Array<{x:number,y:number}>} landmarks - Normalized face mesh landmarks
+ * @returns {{x:number,y:number}|null} null without iris landmarks or when the eyes are too small
+ */
+export function estimateGaze(landmarks) {
+	if (!landmarks || landmarks.length < IRIS_LANDMARK_COUNT) {
+		return null;
+	}
+	let x = 0;
+	let y = 0;
+	for (const { corners, lids, iris } of EYES) {
+		const [first, second] = corners.map((i) => landmarks[i]);
+		const [upper, lower] = lids.map((i) => landmarks[i]);
+		const center = landmarks[iris];
+		const width = second.x - first.x;
+		const height = lower.y - upper.y;
+		if (width < MIN_EYE_WIDTH || height <= 0) {
+			return null;
+		}
+		// 0 when the iris is centered in the eye opening
+		x += ((center.x - first.x) / width) * 2 - 1;
+		y += 1 - ((center.y - upper.y) / height) * 2;
+	}
+	return { x: x / EYES.length, y: y / EYES.length };
+}
+
+/**
+ * Classify a gaze estimate
+ * @param {{x:number,y:number}|null} gaze
+ * @param {Object} thresholds - Optional { x, y }
+ * @param {string|null} previous - Direction of the previous frame, for hysteresis
+ * @param {number} band - Hysteresis half-width
+ * @returns {string|null} gazeDirection value, null when unknown
+ */
+export function classifyGaze(
+	gaze,
+	thresholds = DEFAULT_THRESHOLDS,
+	previous = null,
+	band = 0,
+) {
+	if (!gaze) {
+		return null;
+	}
+	const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+	const past = (value, limit, direction, flag) =>
+		isPastLimit(value, limit, direction, previous === flag, band);
+
+	// Looking down at the screen is the most common case, check it first
+	if (past(gaze.y, -t.y, -1, gazeDirection.DOWN)) {
+		return gazeDirection.DOWN;
+	}
+	if (past(gaze.y, t.y, 1, gazeDirection.UP)) {
+		return gazeDirection.UP;
+	}
+	if (past(gaze.x, t.x, 1, gazeDirection.LEFT)) {
+		return gazeDirection.LEFT;
+	}
+	if (past(gaze.x, -t.x, -1, gazeDirection.RIGHT)) {
+		return gazeDirection.RIGHT;
+	}
+	return gazeDirection.CAMERA;
+}
@@ -0,0 +1,113 @@
+/*
+Group selfie framing: evaluates the union of all detected faces instead of
+the largest face only, and counts faces cut off at each side of the frame.
+
+Sides are from the user's point of view (mirrored like the preview for the
+front camera, as is for the rear camera), the same as facePosition LEFT/RIGHT.
+*/
+import {
+	classifyFraming,
+	DEFAULT_FRAMING_THRESHOLDS,
+	faceDistance,
+} from "./face-position.js";
+
+// Faces closer than this to a frame border count as cut off
+export const DEFAULT_SAFE_MARGIN = 0.05;
+// A union narrower than this with only small faces means the phone is too far
+const MIN_GROUP_WIDTH = 0.4;
+
+/**
+ * @typedef {Object} GroupEvaluation
+ * @property {number} faceCount
+ * @property {{left:number,top:number,right:number,bottom:number}} union - Normalized
+ * @property {{left:number,right:number,top:number,bottom:number}} cutOff - Faces outside the safe margin per side
+ * @property {boolean} fits - Whether every face is inside the safe margins
+ * @property {string[]} positions - facePosition values for the union center
+ * @property {string} distance - faceDistance value for the whole group
+ */
+
+/**
+ * Evaluate the framing of all faces together
+ * @param {Array} detections - FaceDetector detections
+ * @param {number} videoWidth
+ * @param {number} videoHeight
+ * @param {Object} thresholds - See DEFAULT_FRAMING_THRESHOLDS
+ * @param {number} margin - Safe margin, normalized
+ * @param {boolean} mirrored - Whether the preview is mirrored (front camera)
+ * @returns {GroupEvaluation|null} null when there is no face
+ */
+export function evaluateGroupFraming(
+	detections,
+	videoWidth,
+	videoHeight,
+	thresholds = DEFAULT_FRAMING_THRESHOLDS,
+	margin = DEFAULT_SAFE_MARGIN,
+	mirrored = true,
+) {
+	if (!detections.length || !videoWidth || !videoHeight) {
+		return null;
+	}
+
+	const boxes = detections.map(({ boundingBox: b }) => ({
+		left: mirrored
+			? 1 - (b.originX + b.width) / videoWidth
+			: b.originX / videoWidth,
+		right: mirrored
+			? 1 - b.originX / videoWidth
+			: (b.originX + b.width) / videoWidth,
+		top: b.originY / videoHeight,
+		bottom: (b.originY + b.height) / videoHeight,
+		size: (b.width * b.height) / (videoWidth * videoHeight),
+	}));
+
+	const union = {
+		left: Math.min(...boxes.map((b) => b.left)),
+		right: Math.max(...boxes.map((b) => b.right)),
+		top: Math.min(...boxes.map((b) => b.top)),
+		bottom: Math.max(...boxes.map((b) => b.bottom)),
+	};
+
+	const count = (predicate) => boxes.filter(predicate).length;
+	const cutOff = {
+		left: count((b) => b.left < margin),
+		right: count((b) => b.right > 1 - margin),
+		top: count((b) => b.top < margin),
+		bottom: count((b) => b.bottom > 1 - margin),
+	};
+	const fits = cutOff.left + cutOff.right + cutOff.top + cutOff.bottom === 0;
+
+	// The group as a whole is centered, whatever the profile's horizontal target
+	const { positions } = classifyFraming(
+		{
+			centerX: (union.left + union.right) / 2,
+			centerY: (union.top + union.bottom) / 2,
+			size: 0,
+		},
+		{ ...thresholds, centerX: 0.5 },
+	);
+
+	const t = { ...DEFAULT_FRAMING_THRESHOLDS, ...thresholds };
+	const unionWidth = union.right - union.left;
+	const unionHeight = union.bottom - union.top;
+	const largestFace = Math.max(...boxes.map((b) => b.size));
+	let distance = faceDistance.NORMAL;
+	if (
+		(cutOff.left > 0 && cutOff.right > 0) ||
+		(cutOff.top > 0 && cutOff.bottom > 0) ||
+		unionWidth > 1 - 2 * margin ||
+		unionHeight > 1 - 2 * margin
+	) {
+		distance = faceDistance.CLOSE;
+	} else if (unionWidth < MIN_GROUP_WIDTH && largestFace < t.sizeFar) {
+		distance = faceDistance.FAR;
+	}
+
+	return {
+		faceCount: detections.length,
+		union,
+		cutOff,
+		fits,
+		positions,
+		distance,
+	};
+}
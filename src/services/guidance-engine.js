@@ -0,0 +1,577 @@
+/*
+Framing guidance shared by the automatic guidance of GUIDE mode (selected
+verbosity, runs continuously) and the start_guide tool (detailed phrases,
+runs until the framing is aligned).
+
+The engine is fed plain frame snapshots, so it runs without a camera:
+{ evals, group, groupMode, body, tilt, lighting, faceCount, autoCapture, facingMode }
+where evals come from evaluateFacePosition (primary face first), group
+from evaluateGroupFraming and body from evaluateBodyFraming (body profiles
+only, null otherwise). frameFromDetections builds one from raw FaceDetector
+detections.
+
+With the rear camera (facingMode "environment") the user photographs someone
+else: the preview is not mirrored, so the same rules give the right
+directions, and the rear-camera phrases talk about "them" instead of "you".
+
+Rules only give phrase keys, the words come from a PhraseCatalog
+(guidance-phrases.js) in the user's language and verbosity.
+
+Rules are checked in order; the first matching rule gives the instruction.
+When no blocking rule matches the framing is aligned, and advisory rules
+(lighting) only change the aligned phrase.
+
+Events (CustomEvent, details in parentheses):
+- "instruction" ({ key, message, cue }): something to fix, at most once per interval
+- "aligned" ({ key, message }): framing became good, once per aligned state
+- "lost" ({}): no face for a while after one was seen
+*/
+import { bodyPart, evaluateBodyFraming } from "./body-framing.js";
+import { phoneTilt } from "./device-tilt.js";
+import { clippedSide } from "./face-clipping.js";
+import {
+	evaluateFacePosition,
+	faceDistance,
+	facePosition,
+} from "./face-position.js";
+import { gazeDirection } from "./gaze.js";
+import { DEFAULT_SAFE_MARGIN, evaluateGroupFraming } from "./group-framing.js";
+import { PhraseCatalog } from "./guidance-phrases.js";
+import { guidanceCue } from "./haptics.js";
+import { headOrientation } from "./head-pose.js";
+import { lightingStatus } from "./lighting.js";
+import { cameraFacing } from "./photo-capture.js";
+
+const DEFAULT_INTERVAL_MS = 4000;
+const DEFAULT_LOST_DELAY_MS = 1000;
+
+const TILT_KEYS = [
+	[phoneTilt.TILTED_BACK, "tilt_back"],
+	[phoneTilt.TILTED_FORWARD, "tilt_forward"],
+	[phoneTilt.ROLLED_LEFT, "roll_left"],
+	[phoneTilt.ROLLED_RIGHT, "roll_right"],
+];
+
+// Priority: yaw, then pitch, then roll
+const HEAD_KEYS = [
+	[headOrientation.TURNED_LEFT, "head_turned_left"],
+	[headOrientation.TURNED_RIGHT, "head_turned_right"],
+	[headOrientation.CHIN_UP, "head_chin_up"],
+	[headOrientation.CHIN_DOWN, "head_chin_down"],
+	[headOrientation.TILTED_LEFT, "head_tilted_left"],
+	[headOrientation.TILTED_RIGHT, "head_tilted_right"],
+];
+
+const POSITION_RULES = [
+	[facePosition.TOP, "up", guidanceCue.UP],
+	[facePosition.BOTTOM, "down", guidanceCue.DOWN],
+	[facePosition.LEFT, "left", guidanceCue.LEFT],
+	[facePosition.RIGHT, "right", guidanceCue.RIGHT],
+];
+
+/**
+ * @typedef {Object} GuidanceRule
+ * @property {string} id
+ * @property {boolean} [advisory] - Does not block alignment
+ * @property {(frame: Object) => ({key:string, params?:Object, cue?:string}|null)} check
+ */
+
+/** @type {GuidanceRule[]} */
+export const DEFAULT_RULES = [
+	{
+		// Faces are often not found at all in the dark, say why
+		id: "face",
+		check: ({ evals, lighting }) =>
+			evals.length === 0
+				? {
+						key: lighting === lightingStatus.TOO_DARK ? "too_dark" : "no_face",
+					}
+				: null,
+	},
+	{
+		// A tilted phone distorts the framing, level it before anything else
+		id: "tilt",
+		check: ({ tilt }) => {
+			const match = TILT_KEYS.find(([flag]) => tilt?.flags.includes(flag));
+			return match ? { key: match[1] } : null;
+		},
+	},
+	{
+		id: "group",
+		check: ({ groupMode, group, faceCount }) => {
+			if (!groupMode || !group) return null;
+			const { cutOff, positions, distance } = group;
+			const params = { faceCount: group.faceCount ?? faceCount };
+			// Priority 1: not everyone can fit
+			if (distance === faceDistance.CLOSE) {
+				return { key: "group_close", params, cue: guidanceCue.FARTHER };
+			}
+			// Priority 2: faces cut off at one side
+			const cutCues = {
+				left: guidanceCue.LEFT,
+				right: guidanceCue.RIGHT,
+				top: guidanceCue.UP,
+				bottom: guidanceCue.DOWN,
+			};
+			for (const side of ["left", "right", "top", "bottom"]) {
+				if (cutOff[side] > 0) {
+					return {
+						key: `group_cut_${side}`,
+						params: { ...params, count: cutOff[side] },
+						cue: cutCues[side],
+					};
+				}
+			}
+			// Priority 3: everyone fits, center the group
+			if (distance === faceDistance.FAR) {
+				return { key: "group_far", params, cue: guidanceCue.CLOSER };
+			}
+			for (const [position, suffix, cue] of POSITION_RULES) {
+				if (positions.includes(position)) {
+					return { key: `group_${suffix}`, params, cue };
+				}
+			}
+			return null;
+		},
+	},
+	{
+		// Body profiles: needed parts cut off, then too much of the body, then centering
+		id: "body",
+		check: ({ groupMode, body }) => {
+			if (groupMode || !body) return null;
+			const { missing, extra, positions } = body;
+			const lower = missing.filter((part) => part !== bodyPart.HEAD);
+			if (missing.includes(bodyPart.HEAD)) {
+				return lower.length > 0
+					? { key: "body_cut_both", cue: guidanceCue.FARTHER }
+					: { key: "body_cut_head", cue: guidanceCue.UP };
+			}
+			if (lower.length > 0) {
+				// The highest missing part, everything below it is missing too
+				return { key: `body_cut_${lower[0]}`, cue: guidanceCue.FARTHER };
+			}
+			if (extra.length > 0) {
+				return { key: "body_far", cue: guidanceCue.CLOSER };
+			}
+			if (positions.includes(facePosition.LEFT)) {
+				return { key: "turn_left", cue: guidanceCue.LEFT };
+			}
+			if (positions.includes(facePosition.RIGHT)) {
+				return { key: "turn_right", cue: guidanceCue.RIGHT };
+			}
+			return null;
+		},
+	},
+	{
+		// A face cut off by the frame is reported as close or off-center, explain why instead
+		id: "clipping",
+		check: ({ groupMode, evals }) => {
+			const clipping = evals[0].clipping;
+			if (groupMode || !clipping || clipping.sides.length === 0) return null;
+			const { sides, half, missingKeypoints } = clipping;
+			const has = (side) => sides.includes(side);
+			if (
+				(has(clippedSide.LEFT) && has(clippedSide.RIGHT)) ||
+				(has(clippedSide.TOP) && has(clippedSide.BOTTOM))
+			) {
+				return { key: "clip_both", cue: guidanceCue.FARTHER };
+			}
+			const halfSuffix = (side) => (half.includes(side) ? "_half" : "");
+			if (has(clippedSide.TOP)) {
+				const eyesMissing = missingKeypoints.some((name) =>
+					name.endsWith("eye"),
+				);
+				return {
+					key: eyesMissing
+						? "clip_top_eyes"
+						: `clip_top${halfSuffix(clippedSide.TOP)}`,
+					cue: guidanceCue.UP,
+				};
+			}
+			if (has(clippedSide.BOTTOM)) {
+				return {
+					key: missingKeypoints.includes("mouth")
+						? "clip_bottom_mouth"
+						: `clip_bottom${halfSuffix(clippedSide.BOTTOM)}`,
+					cue: guidanceCue.DOWN,
+				};
+			}
+			if (has(clippedSide.LEFT)) {
+				return {
+					key: `clip_left${halfSuffix(clippedSide.LEFT)}`,
+					cue: guidanceCue.LEFT,
+				};
+			}
+			return {
+				key: `clip_right${halfSuffix(clippedSide.RIGHT)}`,
+				cue: guidanceCue.RIGHT,
+			};
+		},
+	},
+	{
+		id: "distance",
+		check: ({ groupMode, body, evals }) => {
+			// The body rule already checked the distance
+			if (groupMode || body) return null;
+			const { distance } = evals[0];
+			if (distance === faceDistance.CLOSE) {
+				return { key: "too_close", cue: guidanceCue.FARTHER };
+			}
+			if (distance === faceDistance.FAR) {
+				return { key: "too_far", cue: guidanceCue.CLOSER };
+			}
+			return null;
+		},
+	},
+	{
+		// Vertical first, then horizontal
+		id: "position",
+		check: ({ groupMode, body, evals }) => {
+			if (groupMode || body) return null;
+			const keys = {
+				up: "point_up",
+				down: "point_down",
+				left: "turn_left",
+				right: "turn_right",
+			};
+			for (const [position, suffix, cue] of POSITION_RULES) {
+				if (evals[0].positions.includes(position)) {
+					return { key: keys[suffix], cue };
+				}
+			}
+			return null;
+		},
+	},
+	{
+		// Centered but not facing the camera, e.g. in profile
+		id: "head",
+		check: ({ groupMode, evals }) => {
+			if (groupMode) return null;
+			const match = HEAD_KEYS.find(([flag]) =>
+				evals[0].orientation.includes(flag),
+			);
+			return match ? { key: match[1] } : null;
+		},
+	},
+	{
+		// Once framed, eye contact with the lens rather than the screen
+		id: "gaze",
+		check: ({ groupMode, evals }) => {
+			const direction = evals[0].gazeDirection;
+			if (groupMode || !direction || direction === gazeDirection.CAMERA) {
+				return null;
+			}
+			return { key: `gaze_${direction}` };
+		},
+	},
+	{
+		id: "lighting",
+		advisory: true,
+		check: ({ lighting }) =>
+			lighting && lighting !== lightingStatus.GOOD
+				? { key: `lighting_${lighting}` }
+				: null,
+	},
+];
+
+/**
+ * @typedef {Object} GuidanceDecision
+ * @property {boolean} aligned
+ * @property {boolean} faceFound
+ * @property {string} key - Phrase key
+ * @property {Object} params - Phrase params
+ * @property {string|null} cue - guidanceCue value for haptics
+ * @property {string|null} advisory - Phrase key of the advisory, if any
+ * @property {string} ruleId - Rule that matched, "aligned" when none did
+ */
+
+export class GuidanceEngine extends EventTarget {
+	/**
+	 * @param {Object} options
+	 * @param {GuidanceRule[]} options.rules - Checked in order
+	 * @param {PhraseCatalog} options.catalog - Phrases, shared to follow the settings
+	 * @param {number} options.interval - Minimum ms between two instructions
+	 * @param {number} options.lostDelay - ms without a face before "lost"
+	 * @param {Function} options.canSpeak - Returns false to hold back instructions
+	 */
+	constructor(options = {}) {
+		super();
+		this.rules = options.rules ?? DEFAULT_RULES;
+		this.catalog = options.catalog ?? new PhraseCatalog();
+		this.interval = options.interval ?? DEFAULT_INTERVAL_MS;
+		this.lostDelay = options.lostDelay ?? DEFAULT_LOST_DELAY_MS;
+		this.canSpeak = options.canSpeak ?? (() => true);
+		this.running = false;
+		this.verbosity = null; // null: the catalog's selected verbosity
+		this.untilAligned = false;
+		this._resetTracking();
+		this._completion = null;
+		this._resolve = null;
+	}
+
+	/**
+	 * Start guiding
+	 * @param {Object} options
+	 * @param {string} options.verbosity - verbosity value, the catalog's selected one by default
+	 * @param {boolean} options.untilAligned - Complete once the framing is aligned
+	 */
+	start(options = {}) {
+		if (this.running) {
+			this.stop();
+		}
+		this.verbosity = options.verbosity ?? null;
+		this.untilAligned = !!options.untilAligned;
+		this._resetTracking();
+		this._completion = new Promise((resolve) => {
+			this._resolve = resolve;
+		});
+		this.running = true;
+	}
+
+	/**
+	 * Stop guiding, awaitComplete() resolves with reason "stopped"
+	 */
+	stop() {
+		if (!this.running) return;
+		this._finish({ reason: "stopped", message: null });
+	}
+
+	isRunning() {
+		return this.running;
+	}
+
+	/**
+	 * Wait until guidance is aligned (untilAligned mode) or stopped
+	 * @returns {Promise<{reason:"aligned"|"stopped", message:string|null}>}
+	 */
+	awaitComplete() {
+		return this._completion ?? Promise.resolve({ reason: "stopped" });
+	}
+
+	/**
+	 * Forget the last announced state, so the current one is announced again
+	 */
+	resetState() {
+		this.lastState = null;
+	}
+
+	/**
+	 * Decide what to say about a frame, without side effects
+	 * @param {Object} frame
+	 * @returns {GuidanceDecision}
+	 */
+	evaluate(frame) {
+		const faceFound = frame.evals.length > 0;
+		let advisory = null;
+		for (const rule of this.rules) {
+			const result = rule.check(frame);
+			if (!result) continue;
+			if (rule.advisory) {
+				advisory ??= result.key;
+				continue;
+			}
+			return {
+				aligned: false,
+				faceFound,
+				key: result.key,
+				params: result.params ?? {},
+				cue: result.cue ?? null,
+				advisory,
+				ruleId: rule.id,
+			};
+		}
+		const isGroup = frame.groupMode && !!frame.group;
+		return {
+			aligned: true,
+			faceFound,
+			key: isGroup ? "group_aligned" : "aligned",
+			params: {
+				count: frame.group?.faceCount ?? frame.faceCount,
+				faceCount: frame.faceCount,
+				autoCapture: !!frame.autoCapture,
+				eyeContact: frame.evals[0]?.gazeDirection === gazeDirection.CAMERA,
+				untilAligned: this.untilAligned,
+			},
+			cue: guidanceCue.PERFECT,
+			advisory,
+			ruleId: "aligned",
+		};
+	}
+
+	/**
+	 * Phrase of a key at the current verbosity
+	 * @param {string} key
+	 * @param {Object} params
+	 * @param {string} facingMode - cameraFacing value of the frame
+	 * @returns {string} Empty when there is nothing to say
+	 */
+	phrase(key, params = {}, facingMode = cameraFacing.USER) {
+		return this.catalog.get(key, params, {
+			verbosity: this.verbosity ?? undefined,
+			facingMode,
+		});
+	}
+
+	/**
+	 * Feed one frame, emitting events as needed
+	 * @param {Object} frame
+	 * @param {number} now - Timestamp in ms
+	 * @returns {GuidanceDecision|null} null when not running
+	 */
+	update(frame, now = Date.now()) {
+		if (!this.running) {
+			return null;
+		}
+		const decision = this.evaluate(frame);
+
+		if (decision.faceFound) {
+			this.lastFaceSeenAt = now;
+			this.lostEmitted = false;
+		} else if (
+			this.lastFaceSeenAt !== null &&
+			!this.lostEmitted &&
+			now - this.lastFaceSeenAt >= this.lostDelay
+		) {
+			this.lostEmitted = true;
+			this._emit("lost", {});
+		}
+
+		if (decision.aligned) {
+			const advisory = decision.advisory
+				? this.phrase(decision.advisory, {}, frame.facingMode)
+				: "";
+			const message = this.phrase(
+				decision.key,
+				{ ...decision.params, advisory },
+				frame.facingMode,
+			);
+			if (this.untilAligned) {
+				this._emit("aligned", { key: decision.key, message });
+				this._finish({ reason: "aligned", message });
+				return decision;
+			}
+			// Announce once per aligned state
+			const state = `${decision.key}:${decision.advisory ?? ""}:${decision.key === "group_aligned" ? decision.params.count : ""}`;
+			if (this.lastState !== state && this.canSpeak()) {
+				this.lastState = state;
+				this.lastTime = now;
+				this._emit("aligned", { key: decision.key, message });
+			}
+			return decision;
+		}
+
+		if (now - this.lastTime < this.interval || !this.canSpeak()) {
+			return decision;
+		}
+		const message = this.phrase(
+			decision.key,
+			decision.params,
+			frame.facingMode,
+		);
+		if (message) {
+			this.lastState = message;
+			this.lastTime = now;
+			this._emit("instruction", {
+				key: decision.key,
+				message,
+				cue: decision.cue,
+			});
+		}
+		return decision;
+	}
+
+	/**
+	 * @private
+	 */
+	_resetTracking() {
+		this.lastState = null;
+		this.lastTime = Number.NEGATIVE_INFINITY;
+		this.lastFaceSeenAt = null; // null until a face was seen
+		this.lostEmitted = false;
+	}
+
+	/**
+	 * @param {{reason:string, message:string|null}} result
+	 * @private
+	 */
+	_finish(result) {
+		this.running = false;
+		const resolve = this._resolve;
+		this._resolve = null;
+		resolve?.(result);
+	}
+
+	/**
+	 * @param {string} type
+	 * @param {Object} detail
+	 * @private
+	 */
+	_emit(type, detail) {
+		this.dispatchEvent(new CustomEvent(type, { detail }));
+	}
+}
+
+/**
+ * Build a frame from raw detections, e.g. for tests or replays
+ * @param {Array} detections - FaceDetector detections, primary face first
+ * @param {number} videoWidth
+ * @param {number} videoHeight
+ * @param {Object} options
+ * @param {Object} options.thresholds - See DEFAULT_FRAMING_THRESHOLDS
+ * @param {boolean} options.groupMode
+ * @param {Object|null} options.tilt - DeviceTilt state
+ * @param {string|null} options.lighting - lightingStatus value
+ * @param {boolean} options.autoCapture
+ * @param {string} options.facingMode - cameraFacing value, the front camera is mirrored
+ * @param {Array|null} options.pose - PoseLandmarker landmarks of one pose
+ * @param {string[]|null} options.bodyParts - bodyPart values of a body profile
+ * @returns {Object} Frame for GuidanceEngine.update
+ */
+export function frameFromDetections(
+	detections,
+	videoWidth,
+	videoHeight,
+	options = {},
+) {
+	const {
+		thresholds,
+		groupMode = false,
+		tilt = null,
+		lighting = null,
+		autoCapture = false,
+		facingMode = cameraFacing.USER,
+		pose = null,
+		bodyParts = null,
+	} = options;
+	const mirrored = facingMode === cameraFacing.USER;
+	const evals = evaluateFacePosition(
+		detections,
+		videoWidth,
+		videoHeight,
+		thresholds,
+		mirrored,
+	);
+	for (const evaluation of evals) {
+		evaluation.tilt = tilt;
+	}
+	return {
+		evals,
+		group: evaluateGroupFraming(
+			detections,
+			videoWidth,
+			videoHeight,
+			thresholds,
+			DEFAULT_SAFE_MARGIN,
+			mirrored,
+		),
+		groupMode,
+		body: bodyParts
+			? evaluateBodyFraming(pose, { parts: bodyParts, thresholds }, mirrored)
+			: null,
+		tilt,
+		lighting,
+		faceCount: detections.length,
+		autoCapture,
+		facingMode,
+	};
+}
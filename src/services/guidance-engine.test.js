@@ -0,0 +1,149 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { phoneTilt } from "./device-tilt.js";
+import { frameFromDetections, GuidanceEngine } from "./guidance-engine.js";
+import { lightingStatus } from "./lighting.js";
+
+const WIDTH = 1000;
+const HEIGHT = 1000;
+
+// FaceDetector detection facing the camera, center and side normalized. The
+// front camera preview is mirrored: centerX 0.3 is right of center on screen.
+function face(centerX = 0.5, centerY = 0.55, side = 0.35) {
+	const kp = (dx, dy) => ({ x: centerX + dx * side, y: centerY + dy * side });
+	return {
+		boundingBox: {
+			originX: (centerX - side / 2) * WIDTH,
+			originY: (centerY - side / 2) * HEIGHT,
+			width: side * WIDTH,
+			height: side * HEIGHT,
+			angle: 0,
+		},
+		// Right eye, left eye, nose, mouth, right ear, left ear
+		keypoints: [
+			kp(-0.2, -0.15),
+			kp(0.2, -0.15),
+			kp(0, 0.025),
+			kp(0, 0.2),
+			kp(-0.45, -0.05),
+			kp(0.45, -0.05),
+		],
+		categories: [{ score: 0.9 }],
+	};
+}
+
+function frame(detections, options = {}) {
+	return frameFromDetections(detections, WIDTH, HEIGHT, options);
+}
+
+// Start an engine and collect its events as [type, key] pairs
+function startEngine(options = {}, startOptions = {}) {
+	const engine = new GuidanceEngine(options);
+	const events = [];
+	for (const type of ["instruction", "aligned", "lost"]) {
+		engine.addEventListener(type, (event) => {
+			events.push([type, event.detail.key ?? null]);
+		});
+	}
+	engine.start(startOptions);
+	return { engine, events };
+}
+
+describe("GuidanceEngine", () => {
+	it("checks the rules in order", () => {
+		const engine = new GuidanceEngine();
+		const tilt = { roll: 0, pitch: 30, flags: [phoneTilt.TILTED_BACK] };
+		const far = face(0.3, 0.55, 0.2);
+		const rule = (f) => engine.evaluate(f).ruleId;
+
+		assert.equal(rule(frame([])), "face");
+		assert.equal(
+			engine.evaluate(frame([], { lighting: lightingStatus.TOO_DARK })).key,
+			"too_dark",
+		);
+		assert.equal(rule(frame([far], { tilt })), "tilt");
+		// Too far and off-center: the distance comes first
+		assert.equal(rule(frame([far])), "distance");
+		assert.equal(rule(frame([face(0.3)])), "position");
+		assert.equal(rule(frame([face()])), "aligned");
+		// Advisories do not block alignment
+		const dim = engine.evaluate(
+			frame([face()], { lighting: lightingStatus.TOO_DARK }),
+		);
+		assert.equal(dim.aligned, true);
+		assert.equal(dim.advisory, `lighting_${lightingStatus.TOO_DARK}`);
+	});
+
+	it("waits the interval between two instructions", () => {
+		const { engine, events } = startEngine({ interval: 4000 });
+		const offCenter = frame([face(0.3)]);
+		for (const t of [0, 1000, 3999, 4000, 5000]) {
+			engine.update(offCenter, t);
+		}
+		assert.deepEqual(events, [
+			["instruction", "turn_right"],
+			["instruction", "turn_right"],
+		]);
+	});
+
+	it("announces alignment once per aligned state", () => {
+		const { engine, events } = startEngine({ interval: 1000 });
+		const aligned = frame([face()]);
+		for (const t of [0, 100, 200]) {
+			engine.update(aligned, t);
+		}
+		engine.update(frame([face(0.3)]), 1200);
+		engine.update(aligned, 1300);
+		engine.update(aligned, 1400);
+		assert.deepEqual(events, [
+			["aligned", "aligned"],
+			["instruction", "turn_right"],
+			["aligned", "aligned"],
+		]);
+	});
+
+	it("completes awaitComplete() once aligned in untilAligned mode", async () => {
+		const { engine, events } = startEngine({}, { untilAligned: true });
+		engine.update(frame([face(0.3)]), 0);
+		assert.equal(engine.isRunning(), true);
+		engine.update(frame([face()]), 100);
+		const { reason, message } = await engine.awaitComplete();
+		assert.equal(reason, "aligned");
+		assert.ok(message);
+		assert.equal(engine.isRunning(), false);
+		assert.equal(engine.update(frame([face()]), 200), null);
+		assert.deepEqual(events, [
+			["instruction", "turn_right"],
+			["aligned", "aligned"],
+		]);
+	});
+
+	it("resolves awaitComplete() as stopped when stopped", async () => {
+		const { engine } = startEngine({}, { untilAligned: true });
+		engine.stop();
+		assert.equal((await engine.awaitComplete()).reason, "stopped");
+	});
+
+	it("emits lost once after lostDelay without a face", () => {
+		for (const start of [0, 1]) {
+			const { engine, events } = startEngine({ lostDelay: 1000 });
+			engine.update(frame([face()]), start);
+			engine.update(frame([]), start + 600);
+			assert.equal(events.filter(([type]) => type === "lost").length, 0);
+			engine.update(frame([]), start + 1200);
+			engine.update(frame([]), start + 1800);
+			assert.equal(
+				events.filter(([type]) => type === "lost").length,
+				1,
+				`face seen at ${start}`,
+			);
+		}
+	});
+
+	it("does not emit lost before any face was seen", () => {
+		const { engine, events } = startEngine({ lostDelay: 1000 });
+		engine.update(frame([]), 0);
+		engine.update(frame([]), 2000);
+		assert.equal(events.filter(([type]) => type === "lost").length, 0);
+	});
+});
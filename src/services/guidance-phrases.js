@@ -0,0 +1,1568 @@
+/*
+Catalog of the spoken guidance phrases, keyed by guidance event (the phrase
+keys of the GuidanceEngine rules, plus capture and countdown events).
+
+Each locale has three verbosity levels and overrides for the rear camera,
+where the user photographs someone else:
+- terse: a word or two, for users who know the directions
+- normal: short sentences, the automatic guidance of GUIDE mode
+- detailed: full explanations, the start_guide tool
+
+A phrase is a string or a function of the rule params; an empty phrase means
+"say nothing". Missing phrases fall back to the normal level of the same
+locale, then to English, so a partial translation still speaks its language
+where it can.
+*/
+import { cameraFacing } from "./photo-capture.js";
+
+const VERBOSITY_STORAGE_KEY = "guidance_verbosity";
+const LANGUAGE_STORAGE_KEY = "guidance_language";
+
+export const verbosity = {
+	TERSE: "terse",
+	NORMAL: "normal",
+	DETAILED: "detailed",
+};
+
+export const DEFAULT_LOCALE = "en";
+
+/**
+ * Languages with a catalog, as recognition/speech language tags
+ */
+export const SUPPORTED_LANGUAGES = [
+	{ tag: "en-US", label: "English" },
+	{ tag: "es-ES", label: "Español" },
+	{ tag: "fr-FR", label: "Français" },
+];
+
+/**
+ * Join the non-empty parts of a phrase with spaces
+ * @param {...string} parts
+ * @returns {string}
+ */
+function sentences(...parts) {
+	return parts.filter(Boolean).join(" ");
+}
+
+/**
+ * Photo report phrase, with a retake question when a reply can be heard
+ * @param {string} finding - e.g. "Photo saved. It looks slightly blurry"
+ * @param {string} question - e.g. "want to retake?"
+ * @returns {Function} Phrase of { ask }
+ */
+function withRetake(finding, question) {
+	return ({ ask }) => (ask ? `${finding}, ${question}` : `${finding}.`);
+}
+
+/**
+ * Burst report: how many photos were kept, and why the best one won
+ * @param {Object} words
+ * @param {Function} words.chosen - Phrase of { count, kept }
+ * @param {string} words.first - Subject of the reasons when several were kept
+ * @param {string} words.and
+ * @param {Object} words.reasons - Words by shotReason value
+ * @returns {Function} Phrase of { count, kept, reasons }
+ */
+function burstReport({ chosen, first, and, reasons: words }) {
+	return ({ count, kept, reasons = [] }) => {
+		const parts = reasons.map((reason) => words[reason]).filter(Boolean);
+		const why =
+			parts.length > 1
+				? `${parts.slice(0, -1).join(", ")} ${and} ${parts.at(-1)}`
+				: parts[0];
+		if (!why) {
+			return `${chosen({ count, kept })}.`;
+		}
+		return kept === 1
+			? `${chosen({ count, kept })}, ${why}.`
+			: `${chosen({ count, kept })}. ${first} ${why}.`;
+	};
+}
+
+/**
+ * Terse phrases only name the direction, the same for many events
+ * @param {Object} words - { up, down, left, right, farther, closer }
+ * @returns {Object} Phrases by key
+ */
+function terseDirections({ up, down, left, right, farther, closer }) {
+	return {
+		group_close: farther,
+		group_far: closer,
+		group_up: up,
+		group_down: down,
+		group_left: left,
+		group_right: right,
+		clip_both: farther,
+		clip_top_eyes: up,
+		clip_top_half: up,
+		clip_top: up,
+		clip_bottom_mouth: down,
+		clip_bottom_half: down,
+		clip_bottom: down,
+		clip_left_half: left,
+		clip_left: left,
+		clip_right_half: right,
+		clip_right: right,
+		too_close: farther,
+		too_far: closer,
+		point_up: up,
+		point_down: down,
+		turn_left: left,
+		turn_right: right,
+		body_cut_head: up,
+		body_cut_shoulders: farther,
+		body_cut_waist: farther,
+		body_cut_knees: farther,
+		body_cut_feet: farther,
+		body_cut_both: farther,
+		body_far: closer,
+	};
+}
+
+// English
+
+/**
+ * "One person is" / "3 people are"
+ * @param {number} n
+ * @returns {string}
+ */
+function describePeople(n) {
+	return n === 1 ? "One person is" : `${n} people are`;
+}
+
+/**
+ * "one person" / "3 people"
+ * @param {number} n
+ * @returns {string}
+ */
+function countPeople(n) {
+	return n === 1 ? "one person" : `${n} people`;
+}
+
+const STOP_NOTE =
+	"I will stop guidance. Let me know if you want to take a photo right now, or need further assistance.";
+
+const EN = {
+	[verbosity.NORMAL]: {
+		no_face: "",
+		too_dark: "It's too dark",
+		tilt_back: "Hold the phone upright, top towards you",
+		tilt_forward: "Hold the phone upright, top away from you",
+		roll_left: "Level the phone, lower the right side",
+		roll_right: "Level the phone, lower the left side",
+		group_close: "Not everyone fits. Move phone away",
+		group_cut_left: ({ count }) =>
+			`${describePeople(count)} cut off on the left. Turn phone left`,
+		group_cut_right: ({ count }) =>
+			`${describePeople(count)} cut off on the right. Turn phone right`,
+		group_cut_top: ({ count }) =>
+			`${describePeople(count)} cut off at the top. Point phone up`,
+		group_cut_bottom: ({ count }) =>
+			`${describePeople(count)} cut off at the bottom. Point phone down`,
+		group_far: "Move phone closer",
+		group_up: "Point phone up",
+		group_down: "Point phone down",
+		group_left: "Turn phone left",
+		group_right: "Turn phone right",
+		clip_both: "Face cut off on both sides, move phone away",
+		clip_top_eyes: "Your eyes are cut off at the top, point phone up",
+		clip_top_half: "Half your face is outside at the top, point phone up",
+		clip_top: "Your forehead is cut off at the top, point phone up",
+		clip_bottom_mouth: "Your mouth is cut off at the bottom, point phone down",
+		clip_bottom_half:
+			"Half your face is outside at the bottom, point phone down",
+		clip_bottom: "Your chin is cut off at the bottom, point phone down",
+		clip_left_half: "Half your face is outside on the left, turn phone left",
+		clip_left: "Your face is cut off on the left, turn phone left",
+		clip_right_half: "Half your face is outside on the right, turn phone right",
+		clip_right: "Your face is cut off on the right, turn phone right",
+		too_close: "Move phone away",
+		too_far: "Move phone closer",
+		point_up: "Point phone up",
+		point_down: "Point phone down",
+		turn_left: "Turn phone left",
+		turn_right: "Turn phone right",
+		body_cut_head: "Your head is cut off, point phone up",
+		body_cut_shoulders: "Step back, your shoulders are cut off",
+		body_cut_waist: "Step back, your waist is cut off",
+		body_cut_knees: "Step back, your legs are cut off",
+		body_cut_feet: "Step back, your feet are cut off",
+		body_cut_both: "Step back, your head and legs are cut off",
+		body_far: "Step closer",
+		head_turned_left: "Turn your head slightly right",
+		head_turned_right: "Turn your head slightly left",
+		head_chin_up: "Tilt your chin down",
+		head_chin_down: "Lift your chin up",
+		head_tilted_left: "Straighten your head to the right",
+		head_tilted_right: "Straighten your head to the left",
+		gaze_down: "Look up at the lens, above the screen",
+		gaze_up: "Look a little lower, at the lens",
+		gaze_left: "Look a little to your right, at the lens",
+		gaze_right: "Look a little to your left, at the lens",
+		lighting_too_dark: "It's too dark",
+		lighting_backlit: "A light is behind you, turn around",
+		lighting_face_in_shadow: "Your face is in shadow",
+		lighting_overexposed: "Too bright",
+		aligned: ({ advisory, autoCapture, faceCount }) => {
+			if (advisory) {
+				return `Framing is good, but ${advisory.toLowerCase()}.`;
+			}
+			let message = autoCapture
+				? "Perfect. Hold still."
+				: "Perfect. Ready to take a photo.";
+			if (faceCount > 1) {
+				message += " I also see other people in the frame.";
+			}
+			return message;
+		},
+		group_aligned: ({ advisory, autoCapture, count }) => {
+			if (advisory) {
+				return `Everyone is in the frame, but ${advisory.toLowerCase()}.`;
+			}
+			const people = count === 1 ? "One person" : `${count} people`;
+			return autoCapture
+				? `Perfect. ${people} in the frame. Hold still.`
+				: `Perfect. ${people} in the frame. Ready to take a photo.`;
+		},
+		ready: "Look at the camera",
+		guide_intro: "Let me help you position for a perfect selfie.",
+		guide_stopped: "Guidance stopped",
+		eyes_closed_wait: "Open your eyes",
+		hold_still: "Hold still",
+		photo_saved_eyes_closed: "Photo saved, but your eyes may have been closed.",
+		photo_saved_shaky:
+			"Photo saved, but it may be blurry. The phone was moving.",
+		countdown: "Hold still. 3, 2, 1.",
+		countdown_cancelled: "Framing changed. Photo cancelled.",
+		quality_good: "Photo saved. It looks good.",
+		burst_chosen: burstReport({
+			chosen: ({ count, kept }) =>
+				kept === 1
+					? `I kept the best of ${count} photos`
+					: `I kept the best ${kept} of ${count} photos`,
+			first: "The first one is",
+			and: "and",
+			reasons: {
+				sharpest: "the sharpest",
+				eyes_open: "with eyes open",
+				centered: "the best centered",
+				smiling: "with the best smile",
+			},
+		}),
+		quality_no_face: withRetake(
+			"Photo saved, but I can't find your face in it",
+			"want to retake?",
+		),
+		quality_eyes_closed: withRetake(
+			"Photo saved. Your eyes look closed",
+			"want to retake?",
+		),
+		quality_cut_off: withRetake(
+			"Photo saved. Your face is cut off at the edge",
+			"want to retake?",
+		),
+		quality_blurry: withRetake(
+			"Photo saved. It looks slightly blurry",
+			"want to retake?",
+		),
+		quality_dark: withRetake(
+			"Photo saved. It looks too dark",
+			"want to retake?",
+		),
+		quality_bright: withRetake(
+			"Photo saved. It looks too bright",
+			"want to retake?",
+		),
+		quality_off_center: withRetake(
+			"Photo saved. Your face is a bit off center",
+			"want to retake?",
+		),
+	},
+	[verbosity.TERSE]: {
+		...terseDirections({
+			up: "Up",
+			down: "Down",
+			left: "Left",
+			right: "Right",
+			farther: "Farther",
+			closer: "Closer",
+		}),
+		group_cut_left: ({ count }) => `Left, ${count} cut off`,
+		group_cut_right: ({ count }) => `Right, ${count} cut off`,
+		group_cut_top: ({ count }) => `Up, ${count} cut off`,
+		group_cut_bottom: ({ count }) => `Down, ${count} cut off`,
+		tilt_back: "Top towards you",
+		tilt_forward: "Top away from you",
+		roll_left: "Lower the right side",
+		roll_right: "Lower the left side",
+		head_turned_left: "Head right",
+		head_turned_right: "Head left",
+		head_chin_up: "Chin down",
+		head_chin_down: "Chin up",
+		head_tilted_left: "Straighten right",
+		head_tilted_right: "Straighten left",
+		gaze_down: "Eyes up to the lens",
+		gaze_up: "Eyes down to the lens",
+		gaze_left: "Eyes right",
+		gaze_right: "Eyes left",
+		lighting_backlit: "Backlit",
+		lighting_face_in_shadow: "Face in shadow",
+		aligned: ({ advisory, autoCapture }) => {
+			if (advisory) {
+				return `Good, but ${advisory.toLowerCase()}`;
+			}
+			return autoCapture ? "Perfect, hold still" : "Perfect";
+		},
+		group_aligned: ({ advisory, count }) =>
+			advisory
+				? `Good, but ${advisory.toLowerCase()}`
+				: `Perfect, ${count} in frame`,
+		countdown: "3, 2, 1.",
+	},
+	[verbosity.DETAILED]: {
+		no_face:
+			"I can't detect your face yet. Try holding the phone at arm's length in front of you.",
+		too_dark: "It's too dark. Try moving closer to a lamp or a window.",
+		tilt_back:
+			"The phone is leaning back. Hold it upright by tilting the top towards you.",
+		tilt_forward:
+			"The phone is leaning forward. Hold it upright by tilting the top away from you.",
+		roll_left:
+			"The phone is tilted to the side. Level it by lowering the right side a little.",
+		roll_right:
+			"The phone is tilted to the side. Level it by lowering the left side a little.",
+		group_close: ({ faceCount }) =>
+			`I see ${countPeople(faceCount)}. Not everyone fits in the frame. Move the phone further away.`,
+		group_cut_left: ({ count, faceCount }) =>
+			`I see ${countPeople(faceCount)}. ${describePeople(count)} cut off on the left. Turn the phone slightly to your left.`,
+		group_cut_right: ({ count, faceCount }) =>
+			`I see ${countPeople(faceCount)}. ${describePeople(count)} cut off on the right. Turn the phone slightly to your right.`,
+		group_cut_top: ({ count, faceCount }) =>
+			`I see ${countPeople(faceCount)}. ${describePeople(count)} cut off at the top. Point the phone upward a little.`,
+		group_cut_bottom: ({ count, faceCount }) =>
+			`I see ${countPeople(faceCount)}. ${describePeople(count)} cut off at the bottom. Point the phone downward a little.`,
+		group_far: ({ faceCount }) =>
+			`I see ${countPeople(faceCount)}. Too far. Bring the phone closer.`,
+		group_up: ({ faceCount }) =>
+			`I see ${countPeople(faceCount)}. Point the phone upward a little.`,
+		group_down: ({ faceCount }) =>
+			`I see ${countPeople(faceCount)}. Point the phone downward a little.`,
+		group_left: ({ faceCount }) =>
+			`I see ${countPeople(faceCount)}. Turn the phone slightly to your left.`,
+		group_right: ({ faceCount }) =>
+			`I see ${countPeople(faceCount)}. Turn the phone slightly to your right.`,
+		clip_both:
+			"Your face is cut off on both sides because the phone is too close. Move the phone further away.",
+		clip_top_eyes:
+			"Your eyes are cut off at the top. Point the phone upward a little.",
+		clip_top_half:
+			"Half your face is outside at the top. Point the phone upward a little.",
+		clip_top:
+			"Your forehead is cut off at the top. Point the phone upward a little.",
+		clip_bottom_mouth:
+			"Your mouth is cut off at the bottom. Point the phone downward a little.",
+		clip_bottom_half:
+			"Half your face is outside at the bottom. Point the phone downward a little.",
+		clip_bottom:
+			"Your chin is cut off at the bottom. Point the phone downward a little.",
+		clip_left_half:
+			"Half your face is outside on the left. Turn the phone slightly to your left.",
+		clip_left:
+			"Your face is cut off on the left. Turn the phone slightly to your left.",
+		clip_right_half:
+			"Half your face is outside on the right. Turn the phone slightly to your right.",
+		clip_right:
+			"Your face is cut off on the right. Turn the phone slightly to your right.",
+		too_close: "Too close. Move the phone further away.",
+		too_far: "Too far. Bring the phone closer.",
+		point_up: "Point the phone upward a little.",
+		point_down: "Point the phone downward a little.",
+		turn_left: "Turn the phone slightly to your left.",
+		turn_right: "Turn the phone slightly to your right.",
+		body_cut_head:
+			"Your head is cut off at the top. Point the phone upward a little.",
+		body_cut_shoulders:
+			"Your shoulders are cut off. Step back from the phone, or move the phone further away.",
+		body_cut_waist:
+			"Your waist is cut off. Step back from the phone, or move the phone further away.",
+		body_cut_knees:
+			"Your legs are cut off. Step back from the phone, or move the phone further away.",
+		body_cut_feet:
+			"Your feet are cut off at the bottom. Step back from the phone, or move the phone further away.",
+		body_cut_both:
+			"Your body does not fit in the frame, your head and legs are cut off. Step back from the phone, or move the phone further away.",
+		body_far:
+			"I can see more of you than this shot needs. Step closer to the phone, or bring the phone closer.",
+		head_turned_left:
+			"Your head is turned away. Turn your head slightly right to face the phone.",
+		head_turned_right:
+			"Your head is turned away. Turn your head slightly left to face the phone.",
+		head_chin_up: "Tilt your chin down a little.",
+		head_chin_down: "Lift your chin up a little.",
+		head_tilted_left:
+			"Your head is tilted. Straighten it by tilting slightly to your right.",
+		head_tilted_right:
+			"Your head is tilted. Straighten it by tilting slightly to your left.",
+		gaze_down:
+			"You are looking down at the screen. Look up at the camera lens, at the top of the phone.",
+		gaze_up:
+			"You are looking above the phone. Look a little lower, at the camera lens.",
+		gaze_left:
+			"You are looking to the side. Look a little to your right, at the camera lens.",
+		gaze_right:
+			"You are looking to the side. Look a little to your left, at the camera lens.",
+		lighting_too_dark:
+			"It's too dark. Try moving closer to a lamp or a window.",
+		lighting_backlit:
+			"Your face is in shadow because a light is behind you. Turn around to face the light.",
+		lighting_face_in_shadow: "Your face is in shadow. Turn towards a light.",
+		lighting_overexposed:
+			"The picture is too bright. Move out of direct light.",
+		aligned: ({ advisory, eyeContact, untilAligned }) =>
+			sentences(
+				"Perfect! Your face is centered, facing the camera and at a good distance. The phone is level.",
+				eyeContact && "You are looking right at the lens.",
+				"Ready to take a photo.",
+				advisory,
+				untilAligned && STOP_NOTE,
+			),
+		group_aligned: ({ advisory, count, untilAligned }) =>
+			sentences(
+				`Perfect! ${count === 1 ? "One person is" : `All ${count} people are`} in the frame. Ready to take a photo.`,
+				advisory,
+				untilAligned && STOP_NOTE,
+			),
+	},
+};
+
+// Rear camera: phone directions are the same, the subject is "them"
+const EN_REAR = {
+	[verbosity.NORMAL]: {
+		group_cut_left: ({ count }) =>
+			`${describePeople(count)} cut off on the left. Pan left`,
+		group_cut_right: ({ count }) =>
+			`${describePeople(count)} cut off on the right. Pan right`,
+		group_left: "Pan left",
+		group_right: "Pan right",
+		clip_both: "Face cut off on both sides, move phone away",
+		clip_top_eyes: "Their eyes are cut off at the top, point phone up",
+		clip_top_half: "Half their face is outside at the top, point phone up",
+		clip_top: "Their forehead is cut off at the top, point phone up",
+		clip_bottom_mouth: "Their mouth is cut off at the bottom, point phone down",
+		clip_bottom_half:
+			"Half their face is outside at the bottom, point phone down",
+		clip_bottom: "Their chin is cut off at the bottom, point phone down",
+		clip_left_half: "Half their face is outside on the left, pan left",
+		clip_left: "Their face is cut off on the left, pan left",
+		clip_right_half: "Half their face is outside on the right, pan right",
+		clip_right: "Their face is cut off on the right, pan right",
+		turn_left: "Pan left toward them",
+		turn_right: "Pan right toward them",
+		body_cut_head: "Their head is cut off, point phone up",
+		body_cut_shoulders: "Move back, their shoulders are cut off",
+		body_cut_waist: "Move back, their waist is cut off",
+		body_cut_knees: "Move back, their legs are cut off",
+		body_cut_feet: "Move back, their feet are cut off",
+		body_cut_both: "Move back, their head and legs are cut off",
+		body_far: "Move closer to them",
+		head_turned_left: "Ask them to turn their head to their right",
+		head_turned_right: "Ask them to turn their head to their left",
+		head_chin_up: "Ask them to lower their chin",
+		head_chin_down: "Ask them to lift their chin",
+		head_tilted_left: "Ask them to straighten their head to their right",
+		head_tilted_right: "Ask them to straighten their head to their left",
+		gaze_down: "Ask them to look at the camera",
+		gaze_up: "Ask them to look at the camera",
+		gaze_left: "Ask them to look at the camera",
+		gaze_right: "Ask them to look at the camera",
+		lighting_backlit: "A light is behind them",
+		lighting_face_in_shadow: "Their face is in shadow",
+		ready: "Point the camera at the person",
+		guide_intro: "Let me help you frame them for a perfect photo.",
+		eyes_closed_wait: "Their eyes are closed, wait",
+		photo_saved_eyes_closed:
+			"Photo saved, but their eyes may have been closed.",
+		quality_no_face: withRetake(
+			"Photo saved, but I can't find their face in it",
+			"want to retake?",
+		),
+		quality_eyes_closed: withRetake(
+			"Photo saved. Their eyes look closed",
+			"want to retake?",
+		),
+		quality_cut_off: withRetake(
+			"Photo saved. Their face is cut off at the edge",
+			"want to retake?",
+		),
+		quality_off_center: withRetake(
+			"Photo saved. Their face is a bit off center",
+			"want to retake?",
+		),
+	},
+	[verbosity.TERSE]: {
+		turn_left: "Pan left",
+		turn_right: "Pan right",
+		group_left: "Pan left",
+		group_right: "Pan right",
+		head_turned_left: "Their head to their right",
+		head_turned_right: "Their head to their left",
+		head_chin_up: "Their chin down",
+		head_chin_down: "Their chin up",
+		head_tilted_left: "Their head straight",
+		head_tilted_right: "Their head straight",
+		gaze_down: "Their eyes to the lens",
+		gaze_up: "Their eyes to the lens",
+		gaze_left: "Their eyes to the lens",
+		gaze_right: "Their eyes to the lens",
+	},
+	[verbosity.DETAILED]: {
+		no_face:
+			"I can't detect anyone yet. Point the phone at the person you want to photograph.",
+		group_cut_left: ({ count, faceCount }) =>
+			`I see ${countPeople(faceCount)}. ${describePeople(count)} cut off on the left. Pan the phone slightly to your left.`,
+		group_cut_right: ({ count, faceCount }) =>
+			`I see ${countPeople(faceCount)}. ${describePeople(count)} cut off on the right. Pan the phone slightly to your right.`,
+		group_left: ({ faceCount }) =>
+			`I see ${countPeople(faceCount)}. Pan the phone slightly to your left.`,
+		group_right: ({ faceCount }) =>
+			`I see ${countPeople(faceCount)}. Pan the phone slightly to your right.`,
+		clip_both:
+			"Their face is cut off on both sides because the phone is too close. Move the phone further away.",
+		clip_top_eyes:
+			"Their eyes are cut off at the top. Point the phone upward a little.",
+		clip_top_half:
+			"Half their face is outside at the top. Point the phone upward a little.",
+		clip_top:
+			"Their forehead is cut off at the top. Point the phone upward a little.",
+		clip_bottom_mouth:
+			"Their mouth is cut off at the bottom. Point the phone downward a little.",
+		clip_bottom_half:
+			"Half their face is outside at the bottom. Point the phone downward a little.",
+		clip_bottom:
+			"Their chin is cut off at the bottom. Point the phone downward a little.",
+		clip_left_half:
+			"Half their face is outside on the left. Pan the phone slightly to your left.",
+		clip_left:
+			"Their face is cut off on the left. Pan the phone slightly to your left.",
+		clip_right_half:
+			"Half their face is outside on the right. Pan the phone slightly to your right.",
+		clip_right:
+			"Their face is cut off on the right. Pan the phone slightly to your right.",
+		too_close: "Too close to them. Move the phone further away.",
+		too_far: "Too far from them. Bring the phone closer.",
+		turn_left: "Pan the phone slightly to your left, toward them.",
+		turn_right: "Pan the phone slightly to your right, toward them.",
+		body_cut_head:
+			"Their head is cut off at the top. Point the phone upward a little.",
+		body_cut_shoulders:
+			"Their shoulders are cut off. Move back, or ask them to step back.",
+		body_cut_waist:
+			"Their waist is cut off. Move back, or ask them to step back.",
+		body_cut_knees:
+			"Their legs are cut off. Move back, or ask them to step back.",
+		body_cut_feet:
+			"Their feet are cut off at the bottom. Move back, or ask them to step back.",
+		body_cut_both:
+			"They do not fit in the frame, their head and legs are cut off. Move back, or ask them to step back.",
+		body_far:
+			"I can see more of them than this shot needs. Move closer to them.",
+		head_turned_left:
+			"Their head is turned away. Ask them to turn their head slightly to their right.",
+		head_turned_right:
+			"Their head is turned away. Ask them to turn their head slightly to their left.",
+		head_chin_up: "Ask them to tilt their chin down a little.",
+		head_chin_down: "Ask them to lift their chin up a little.",
+		head_tilted_left:
+			"Their head is tilted. Ask them to straighten it by tilting slightly to their right.",
+		head_tilted_right:
+			"Their head is tilted. Ask them to straighten it by tilting slightly to their left.",
+		gaze_down:
+			"They are looking down, not at the camera. Ask them to look at the lens.",
+		gaze_up: "They are looking above the camera. Ask them to look at the lens.",
+		gaze_left: "They are looking to the side. Ask them to look at the lens.",
+		gaze_right: "They are looking to the side. Ask them to look at the lens.",
+		lighting_backlit:
+			"Their face is in shadow because a light is behind them. Move so that the light is behind you, or ask them to face the light.",
+		lighting_face_in_shadow:
+			"Their face is in shadow. Ask them to turn towards a light.",
+		aligned: ({ advisory, eyeContact, untilAligned }) =>
+			sentences(
+				"Perfect! Their face is centered, facing the camera and at a good distance. The phone is level.",
+				eyeContact && "They are looking right at the lens.",
+				"Ready to take a photo.",
+				advisory,
+				untilAligned && STOP_NOTE,
+			),
+	},
+};
+
+// Spanish
+
+/**
+ * "Una persona está cortada" / "3 personas están cortadas"
+ * @param {number} n
+ * @returns {string}
+ */
+function esCutOff(n) {
+	return n === 1 ? "Una persona está cortada" : `${n} personas están cortadas`;
+}
+
+const ES_STOP_NOTE =
+	"Detendré la guía. Dime si quieres hacer la foto ahora o si necesitas más ayuda.";
+
+const ES = {
+	[verbosity.NORMAL]: {
+		no_face: "",
+		too_dark: "Está demasiado oscuro",
+		tilt_back: "Sostén el teléfono recto, con la parte de arriba hacia ti",
+		tilt_forward:
+			"Sostén el teléfono recto, con la parte de arriba hacia fuera",
+		roll_left: "Nivela el teléfono, baja el lado derecho",
+		roll_right: "Nivela el teléfono, baja el lado izquierdo",
+		group_close: "No caben todos. Aleja el teléfono",
+		group_cut_left: ({ count }) =>
+			`${esCutOff(count)} a la izquierda. Gira el teléfono a la izquierda`,
+		group_cut_right: ({ count }) =>
+			`${esCutOff(count)} a la derecha. Gira el teléfono a la derecha`,
+		group_cut_top: ({ count }) =>
+			`${esCutOff(count)} arriba. Apunta el teléfono hacia arriba`,
+		group_cut_bottom: ({ count }) =>
+			`${esCutOff(count)} abajo. Apunta el teléfono hacia abajo`,
+		group_far: "Acerca el teléfono",
+		group_up: "Apunta el teléfono hacia arriba",
+		group_down: "Apunta el teléfono hacia abajo",
+		group_left: "Gira el teléfono a la izquierda",
+		group_right: "Gira el teléfono a la derecha",
+		clip_both: "Cara cortada por ambos lados, aleja el teléfono",
+		clip_top_eyes:
+			"Tus ojos quedan cortados arriba, apunta el teléfono hacia arriba",
+		clip_top_half:
+			"Media cara queda fuera por arriba, apunta el teléfono hacia arriba",
+		clip_top: "Tu frente queda cortada arriba, apunta el teléfono hacia arriba",
+		clip_bottom_mouth:
+			"Tu boca queda cortada abajo, apunta el teléfono hacia abajo",
+		clip_bottom_half:
+			"Media cara queda fuera por abajo, apunta el teléfono hacia abajo",
+		clip_bottom:
+			"Tu barbilla queda cortada abajo, apunta el teléfono hacia abajo",
+		clip_left_half:
+			"Media cara queda fuera por la izquierda, gira el teléfono a la izquierda",
+		clip_left:
+			"Tu cara queda cortada a la izquierda, gira el teléfono a la izquierda",
+		clip_right_half:
+			"Media cara queda fuera por la derecha, gira el teléfono a la derecha",
+		clip_right:
+			"Tu cara queda cortada a la derecha, gira el teléfono a la derecha",
+		too_close: "Aleja el teléfono",
+		too_far: "Acerca el teléfono",
+		point_up: "Apunta el teléfono hacia arriba",
+		point_down: "Apunta el teléfono hacia abajo",
+		turn_left: "Gira el teléfono a la izquierda",
+		turn_right: "Gira el teléfono a la derecha",
+		body_cut_head: "Tu cabeza queda cortada, apunta el teléfono hacia arriba",
+		body_cut_shoulders: "Da un paso atrás, tus hombros quedan cortados",
+		body_cut_waist: "Da un paso atrás, tu cintura queda cortada",
+		body_cut_knees: "Da un paso atrás, tus piernas quedan cortadas",
+		body_cut_feet: "Da un paso atrás, tus pies quedan cortados",
+		body_cut_both: "Da un paso atrás, tu cabeza y tus piernas quedan cortadas",
+		body_far: "Acércate un paso",
+		head_turned_left: "Gira la cabeza un poco a la derecha",
+		head_turned_right: "Gira la cabeza un poco a la izquierda",
+		head_chin_up: "Baja la barbilla",
+		head_chin_down: "Levanta la barbilla",
+		head_tilted_left: "Endereza la cabeza hacia la derecha",
+		head_tilted_right: "Endereza la cabeza hacia la izquierda",
+		gaze_down: "Mira hacia arriba, al objetivo, encima de la pantalla",
+		gaze_up: "Mira un poco más abajo, al objetivo",
+		gaze_left: "Mira un poco hacia tu derecha, al objetivo",
+		gaze_right: "Mira un poco hacia tu izquierda, al objetivo",
+		lighting_too_dark: "Está demasiado oscuro",
+		lighting_backlit: "Hay una luz detrás de ti, date la vuelta",
+		lighting_face_in_shadow: "Tu cara está en sombra",
+		lighting_overexposed: "Demasiado brillo",
+		aligned: ({ advisory, autoCapture, faceCount }) => {
+			if (advisory) {
+				return `El encuadre es bueno, pero ${advisory.toLowerCase()}.`;
+			}
+			return sentences(
+				autoCapture
+					? "Perfecto. No te muevas."
+					: "Perfecto. Listo para hacer la foto.",
+				faceCount > 1 && "También veo a otras personas en la imagen.",
+			);
+		},
+		group_aligned: ({ advisory, autoCapture, count }) => {
+			if (advisory) {
+				return `Todos están en la imagen, pero ${advisory.toLowerCase()}.`;
+			}
+			const people = count === 1 ? "Una persona" : `${count} personas`;
+			return autoCapture
+				? `Perfecto. ${people} en la imagen. No te muevas.`
+				: `Perfecto. ${people} en la imagen. Listo para hacer la foto.`;
+		},
+		ready: "Mira a la cámara",
+		guide_intro: "Te ayudo a colocarte para un selfi perfecto.",
+		guide_stopped: "Guía detenida",
+		eyes_closed_wait: "Abre los ojos",
+		hold_still: "No te muevas",
+		photo_saved_eyes_closed:
+			"Foto guardada, pero puede que tuvieras los ojos cerrados.",
+		photo_saved_shaky:
+			"Foto guardada, pero puede que salga movida. El teléfono se movía.",
+		countdown: "No te muevas. 3, 2, 1.",
+		countdown_cancelled: "El encuadre ha cambiado. Foto cancelada.",
+		quality_good: "Foto guardada. Se ve bien.",
+		burst_chosen: burstReport({
+			chosen: ({ count, kept }) =>
+				kept === 1
+					? `Me quedé con la mejor de ${count} fotos`
+					: `Me quedé con las ${kept} mejores de ${count} fotos`,
+			first: "La primera es",
+			and: "y",
+			reasons: {
+				sharpest: "la más nítida",
+				eyes_open: "con los ojos abiertos",
+				centered: "la mejor centrada",
+				smiling: "con la mejor sonrisa",
+			},
+		}),
+		quality_no_face: withRetake(
+			"Foto guardada, pero no encuentro tu cara en ella",
+			"¿quieres repetirla?",
+		),
+		quality_eyes_closed: withRetake(
+			"Foto guardada. Parece que tienes los ojos cerrados",
+			"¿quieres repetirla?",
+		),
+		quality_cut_off: withRetake(
+			"Foto guardada. Tu cara sale cortada en el borde",
+			"¿quieres repetirla?",
+		),
+		quality_blurry: withRetake(
+			"Foto guardada. Parece un poco borrosa",
+			"¿quieres repetirla?",
+		),
+		quality_dark: withRetake(
+			"Foto guardada. Parece demasiado oscura",
+			"¿quieres repetirla?",
+		),
+		quality_bright: withRetake(
+			"Foto guardada. Parece demasiado clara",
+			"¿quieres repetirla?",
+		),
+		quality_off_center: withRetake(
+			"Foto guardada. Tu cara no está centrada",
+			"¿quieres repetirla?",
+		),
+	},
+	[verbosity.TERSE]: {
+		...terseDirections({
+			up: "Arriba",
+			down: "Abajo",
+			left: "Izquierda",
+			right: "Derecha",
+			farther: "Aléjalo",
+			closer: "Acércalo",
+		}),
+		group_cut_left: ({ count }) => `Izquierda, ${count} fuera`,
+		group_cut_right: ({ count }) => `Derecha, ${count} fuera`,
+		group_cut_top: ({ count }) => `Arriba, ${count} fuera`,
+		group_cut_bottom: ({ count }) => `Abajo, ${count} fuera`,
+		tilt_back: "Parte de arriba hacia ti",
+		tilt_forward: "Parte de arriba hacia fuera",
+		roll_left: "Baja el lado derecho",
+		roll_right: "Baja el lado izquierdo",
+		head_turned_left: "Cabeza a la derecha",
+		head_turned_right: "Cabeza a la izquierda",
+		head_chin_up: "Barbilla abajo",
+		head_chin_down: "Barbilla arriba",
+		head_tilted_left: "Endereza a la derecha",
+		head_tilted_right: "Endereza a la izquierda",
+		gaze_down: "Ojos arriba, al objetivo",
+		gaze_up: "Ojos abajo, al objetivo",
+		gaze_left: "Ojos a la derecha",
+		gaze_right: "Ojos a la izquierda",
+		lighting_backlit: "Contraluz",
+		lighting_face_in_shadow: "Cara en sombra",
+		aligned: ({ advisory, autoCapture }) => {
+			if (advisory) {
+				return `Bien, pero ${advisory.toLowerCase()}`;
+			}
+			return autoCapture ? "Perfecto, quieto" : "Perfecto";
+		},
+		group_aligned: ({ advisory, count }) =>
+			advisory
+				? `Bien, pero ${advisory.toLowerCase()}`
+				: `Perfecto, ${count} en la imagen`,
+		countdown: "3, 2, 1.",
+	},
+	[verbosity.DETAILED]: {
+		no_face:
+			"Todavía no detecto tu cara. Sostén el teléfono con el brazo extendido delante de ti.",
+		too_dark: "Está demasiado oscuro. Acércate a una lámpara o a una ventana.",
+		too_close: "Demasiado cerca. Aleja un poco el teléfono.",
+		too_far: "Demasiado lejos. Acerca el teléfono.",
+		point_up: "Apunta el teléfono un poco hacia arriba.",
+		point_down: "Apunta el teléfono un poco hacia abajo.",
+		turn_left: "Gira el teléfono un poco hacia tu izquierda.",
+		turn_right: "Gira el teléfono un poco hacia tu derecha.",
+		body_cut_head:
+			"Tu cabeza queda cortada arriba. Apunta el teléfono un poco hacia arriba.",
+		body_cut_shoulders:
+			"Tus hombros quedan cortados. Aléjate del teléfono o aleja el teléfono.",
+		body_cut_waist:
+			"Tu cintura queda cortada. Aléjate del teléfono o aleja el teléfono.",
+		body_cut_knees:
+			"Tus piernas quedan cortadas. Aléjate del teléfono o aleja el teléfono.",
+		body_cut_feet:
+			"Tus pies quedan cortados abajo. Aléjate del teléfono o aleja el teléfono.",
+		body_cut_both:
+			"No cabes en la imagen, tu cabeza y tus piernas quedan cortadas. Aléjate del teléfono o aleja el teléfono.",
+		body_far:
+			"Veo más de ti de lo que necesita esta foto. Acércate al teléfono o acerca el teléfono.",
+		head_turned_left:
+			"Tienes la cabeza girada. Gírala un poco a la derecha para mirar al teléfono.",
+		head_turned_right:
+			"Tienes la cabeza girada. Gírala un poco a la izquierda para mirar al teléfono.",
+		head_chin_up: "Baja un poco la barbilla.",
+		head_chin_down: "Levanta un poco la barbilla.",
+		head_tilted_left:
+			"Tienes la cabeza inclinada. Enderézala inclinándola un poco hacia tu derecha.",
+		head_tilted_right:
+			"Tienes la cabeza inclinada. Enderézala inclinándola un poco hacia tu izquierda.",
+		gaze_down:
+			"Estás mirando la pantalla. Mira hacia arriba, al objetivo de la cámara, en la parte superior del teléfono.",
+		gaze_up:
+			"Estás mirando por encima del teléfono. Mira un poco más abajo, al objetivo de la cámara.",
+		gaze_left:
+			"Estás mirando hacia un lado. Mira un poco hacia tu derecha, al objetivo de la cámara.",
+		gaze_right:
+			"Estás mirando hacia un lado. Mira un poco hacia tu izquierda, al objetivo de la cámara.",
+		lighting_too_dark:
+			"Está demasiado oscuro. Acércate a una lámpara o a una ventana.",
+		lighting_backlit:
+			"Tu cara está en sombra porque hay una luz detrás de ti. Date la vuelta para mirar hacia la luz.",
+		lighting_face_in_shadow: "Tu cara está en sombra. Gírate hacia una luz.",
+		lighting_overexposed:
+			"La imagen está demasiado clara. Apártate de la luz directa.",
+		aligned: ({ advisory, eyeContact, untilAligned }) =>
+			sentences(
+				"¡Perfecto! Tu cara está centrada, mirando a la cámara y a buena distancia. El teléfono está nivelado.",
+				eyeContact && "Estás mirando directamente al objetivo.",
+				"Listo para hacer la foto.",
+				advisory,
+				untilAligned && ES_STOP_NOTE,
+			),
+		group_aligned: ({ advisory, count, untilAligned }) =>
+			sentences(
+				`¡Perfecto! ${count === 1 ? "Una persona está" : `Las ${count} personas están`} en la imagen. Listo para hacer la foto.`,
+				advisory,
+				untilAligned && ES_STOP_NOTE,
+			),
+	},
+};
+
+const ES_REAR = {
+	[verbosity.NORMAL]: {
+		group_cut_left: ({ count }) =>
+			`${esCutOff(count)} a la izquierda. Gira a la izquierda`,
+		group_cut_right: ({ count }) =>
+			`${esCutOff(count)} a la derecha. Gira a la derecha`,
+		clip_top_eyes:
+			"Sus ojos quedan cortados arriba, apunta el teléfono hacia arriba",
+		clip_top: "Su frente queda cortada arriba, apunta el teléfono hacia arriba",
+		clip_bottom_mouth:
+			"Su boca queda cortada abajo, apunta el teléfono hacia abajo",
+		clip_bottom:
+			"Su barbilla queda cortada abajo, apunta el teléfono hacia abajo",
+		clip_left: "Su cara queda cortada a la izquierda, gira a la izquierda",
+		clip_right: "Su cara queda cortada a la derecha, gira a la derecha",
+		turn_left: "Gira a la izquierda, hacia la persona",
+		turn_right: "Gira a la derecha, hacia la persona",
+		body_cut_head: "Su cabeza queda cortada, apunta el teléfono hacia arriba",
+		body_cut_shoulders: "Retrocede, sus hombros quedan cortados",
+		body_cut_waist: "Retrocede, su cintura queda cortada",
+		body_cut_knees: "Retrocede, sus piernas quedan cortadas",
+		body_cut_feet: "Retrocede, sus pies quedan cortados",
+		body_cut_both: "Retrocede, su cabeza y sus piernas quedan cortadas",
+		body_far: "Acércate a la persona",
+		head_turned_left: "Pídele que gire la cabeza hacia su derecha",
+		head_turned_right: "Pídele que gire la cabeza hacia su izquierda",
+		head_chin_up: "Pídele que baje la barbilla",
+		head_chin_down: "Pídele que levante la barbilla",
+		head_tilted_left: "Pídele que enderece la cabeza hacia su derecha",
+		head_tilted_right: "Pídele que enderece la cabeza hacia su izquierda",
+		gaze_down: "Pídele que mire a la cámara",
+		gaze_up: "Pídele que mire a la cámara",
+		gaze_left: "Pídele que mire a la cámara",
+		gaze_right: "Pídele que mire a la cámara",
+		lighting_backlit: "Hay una luz detrás de la persona",
+		lighting_face_in_shadow: "Su cara está en sombra",
+		ready: "Apunta la cámara a la persona",
+		guide_intro: "Te ayudo a encuadrar a la persona para una foto perfecta.",
+		eyes_closed_wait: "Tiene los ojos cerrados, espera",
+		photo_saved_eyes_closed:
+			"Foto guardada, pero puede que tuviera los ojos cerrados.",
+		quality_no_face: withRetake(
+			"Foto guardada, pero no encuentro su cara en ella",
+			"¿quieres repetirla?",
+		),
+		quality_eyes_closed: withRetake(
+			"Foto guardada. Parece que tiene los ojos cerrados",
+			"¿quieres repetirla?",
+		),
+		quality_cut_off: withRetake(
+			"Foto guardada. Su cara sale cortada en el borde",
+			"¿quieres repetirla?",
+		),
+		quality_off_center: withRetake(
+			"Foto guardada. Su cara no está centrada",
+			"¿quieres repetirla?",
+		),
+	},
+	[verbosity.TERSE]: {
+		head_turned_left: "Su cabeza a su derecha",
+		head_turned_right: "Su cabeza a su izquierda",
+		head_chin_up: "Su barbilla abajo",
+		head_chin_down: "Su barbilla arriba",
+		head_tilted_left: "Su cabeza recta",
+		head_tilted_right: "Su cabeza recta",
+		gaze_down: "Sus ojos al objetivo",
+		gaze_up: "Sus ojos al objetivo",
+		gaze_left: "Sus ojos al objetivo",
+		gaze_right: "Sus ojos al objetivo",
+	},
+	[verbosity.DETAILED]: {
+		no_face:
+			"Todavía no detecto a nadie. Apunta el teléfono a la persona que quieres fotografiar.",
+		turn_left: "Gira el teléfono un poco hacia tu izquierda, hacia la persona.",
+		turn_right: "Gira el teléfono un poco hacia tu derecha, hacia la persona.",
+		body_cut_head:
+			"Su cabeza queda cortada arriba. Apunta el teléfono un poco hacia arriba.",
+		body_cut_shoulders:
+			"Sus hombros quedan cortados. Retrocede o pídele que dé un paso atrás.",
+		body_cut_waist:
+			"Su cintura queda cortada. Retrocede o pídele que dé un paso atrás.",
+		body_cut_knees:
+			"Sus piernas quedan cortadas. Retrocede o pídele que dé un paso atrás.",
+		body_cut_feet:
+			"Sus pies quedan cortados abajo. Retrocede o pídele que dé un paso atrás.",
+		body_cut_both:
+			"No cabe en la imagen, su cabeza y sus piernas quedan cortadas. Retrocede o pídele que dé un paso atrás.",
+		body_far:
+			"Veo más de la persona de lo que necesita esta foto. Acércate a ella.",
+		head_turned_left:
+			"Tiene la cabeza girada. Pídele que la gire un poco hacia su derecha.",
+		head_turned_right:
+			"Tiene la cabeza girada. Pídele que la gire un poco hacia su izquierda.",
+		head_chin_up: "Pídele que baje un poco la barbilla.",
+		head_chin_down: "Pídele que levante un poco la barbilla.",
+		head_tilted_left:
+			"Tiene la cabeza inclinada. Pídele que la enderece inclinándola un poco hacia su derecha.",
+		head_tilted_right:
+			"Tiene la cabeza inclinada. Pídele que la enderece inclinándola un poco hacia su izquierda.",
+		gaze_down:
+			"Está mirando hacia abajo, no a la cámara. Pídele que mire al objetivo.",
+		gaze_up:
+			"Está mirando por encima de la cámara. Pídele que mire al objetivo.",
+		gaze_left: "Está mirando hacia un lado. Pídele que mire al objetivo.",
+		gaze_right: "Está mirando hacia un lado. Pídele que mire al objetivo.",
+		lighting_backlit:
+			"Su cara está en sombra porque hay una luz detrás. Colócate de modo que la luz quede detrás de ti, o pídele que mire hacia la luz.",
+		lighting_face_in_shadow:
+			"Su cara está en sombra. Pídele que se gire hacia una luz.",
+		aligned: ({ advisory, eyeContact, untilAligned }) =>
+			sentences(
+				"¡Perfecto! Su cara está centrada, mirando a la cámara y a buena distancia. El teléfono está nivelado.",
+				eyeContact && "Está mirando directamente al objetivo.",
+				"Listo para hacer la foto.",
+				advisory,
+				untilAligned && ES_STOP_NOTE,
+			),
+	},
+};
+
+// French
+
+/**
+ * "Une personne est coupée" / "3 personnes sont coupées"
+ * @param {number} n
+ * @returns {string}
+ */
+function frCutOff(n) {
+	return n === 1 ? "Une personne est coupée" : `${n} personnes sont coupées`;
+}
+
+const FR_STOP_NOTE =
+	"J'arrête le guidage. Dites-moi si vous voulez prendre la photo maintenant ou si vous avez besoin d'aide.";
+
+const FR = {
+	[verbosity.NORMAL]: {
+		no_face: "",
+		too_dark: "Il fait trop sombre",
+		tilt_back: "Tenez le téléphone droit, le haut vers vous",
+		tilt_forward: "Tenez le téléphone droit, le haut vers l'avant",
+		roll_left: "Mettez le téléphone à niveau, baissez le côté droit",
+		roll_right: "Mettez le téléphone à niveau, baissez le côté gauche",
+		group_close: "Tout le monde ne rentre pas. Éloignez le téléphone",
+		group_cut_left: ({ count }) =>
+			`${frCutOff(count)} à gauche. Tournez le téléphone vers la gauche`,
+		group_cut_right: ({ count }) =>
+			`${frCutOff(count)} à droite. Tournez le téléphone vers la droite`,
+		group_cut_top: ({ count }) =>
+			`${frCutOff(count)} en haut. Orientez le téléphone vers le haut`,
+		group_cut_bottom: ({ count }) =>
+			`${frCutOff(count)} en bas. Orientez le téléphone vers le bas`,
+		group_far: "Rapprochez le téléphone",
+		group_up: "Orientez le téléphone vers le haut",
+		group_down: "Orientez le téléphone vers le bas",
+		group_left: "Tournez le téléphone vers la gauche",
+		group_right: "Tournez le téléphone vers la droite",
+		clip_both: "Visage coupé des deux côtés, éloignez le téléphone",
+		clip_top_eyes:
+			"Vos yeux sont coupés en haut, orientez le téléphone vers le haut",
+		clip_top_half:
+			"La moitié de votre visage dépasse en haut, orientez le téléphone vers le haut",
+		clip_top:
+			"Votre front est coupé en haut, orientez le téléphone vers le haut",
+		clip_bottom_mouth:
+			"Votre bouche est coupée en bas, orientez le téléphone vers le bas",
+		clip_bottom_half:
+			"La moitié de votre visage dépasse en bas, orientez le téléphone vers le bas",
+		clip_bottom:
+			"Votre menton est coupé en bas, orientez le téléphone vers le bas",
+		clip_left_half:
+			"La moitié de votre visage dépasse à gauche, tournez le téléphone vers la gauche",
+		clip_left:
+			"Votre visage est coupé à gauche, tournez le téléphone vers la gauche",
+		clip_right_half:
+			"La moitié de votre visage dépasse à droite, tournez le téléphone vers la droite",
+		clip_right:
+			"Votre visage est coupé à droite, tournez le téléphone vers la droite",
+		too_close: "Éloignez le téléphone",
+		too_far: "Rapprochez le téléphone",
+		point_up: "Orientez le téléphone vers le haut",
+		point_down: "Orientez le téléphone vers le bas",
+		turn_left: "Tournez le téléphone vers la gauche",
+		turn_right: "Tournez le téléphone vers la droite",
+		body_cut_head: "Votre tête est coupée, orientez le téléphone vers le haut",
+		body_cut_shoulders: "Reculez, vos épaules sont coupées",
+		body_cut_waist: "Reculez, votre taille est coupée",
+		body_cut_knees: "Reculez, vos jambes sont coupées",
+		body_cut_feet: "Reculez, vos pieds sont coupés",
+		body_cut_both: "Reculez, votre tête et vos jambes sont coupées",
+		body_far: "Approchez-vous",
+		head_turned_left: "Tournez un peu la tête vers la droite",
+		head_turned_right: "Tournez un peu la tête vers la gauche",
+		head_chin_up: "Baissez le menton",
+		head_chin_down: "Relevez le menton",
+		head_tilted_left: "Redressez la tête vers la droite",
+		head_tilted_right: "Redressez la tête vers la gauche",
+		gaze_down: "Levez les yeux vers l'objectif, au-dessus de l'écran",
+		gaze_up: "Regardez un peu plus bas, vers l'objectif",
+		gaze_left: "Regardez un peu vers votre droite, vers l'objectif",
+		gaze_right: "Regardez un peu vers votre gauche, vers l'objectif",
+		lighting_too_dark: "Il fait trop sombre",
+		lighting_backlit: "Une lumière est derrière vous, retournez-vous",
+		lighting_face_in_shadow: "Votre visage est dans l'ombre",
+		lighting_overexposed: "Trop lumineux",
+		aligned: ({ advisory, autoCapture, faceCount }) => {
+			if (advisory) {
+				return `Le cadrage est bon, mais ${advisory.toLowerCase()}.`;
+			}
+			return sentences(
+				autoCapture
+					? "Parfait. Ne bougez plus."
+					: "Parfait. Prêt à prendre la photo.",
+				faceCount > 1 && "Je vois aussi d'autres personnes dans l'image.",
+			);
+		},
+		group_aligned: ({ advisory, autoCapture, count }) => {
+			if (advisory) {
+				return `Tout le monde est dans l'image, mais ${advisory.toLowerCase()}.`;
+			}
+			const people = count === 1 ? "Une personne" : `${count} personnes`;
+			return autoCapture
+				? `Parfait. ${people} dans l'image. Ne bougez plus.`
+				: `Parfait. ${people} dans l'image. Prêt à prendre la photo.`;
+		},
+		ready: "Regardez la caméra",
+		guide_intro: "Je vais vous aider à vous placer pour un selfie parfait.",
+		guide_stopped: "Guidage arrêté",
+		eyes_closed_wait: "Ouvrez les yeux",
+		hold_still: "Ne bougez plus",
+		photo_saved_eyes_closed:
+			"Photo enregistrée, mais vos yeux étaient peut-être fermés.",
+		photo_saved_shaky:
+			"Photo enregistrée, mais elle est peut-être floue. Le téléphone bougeait.",
+		countdown: "Ne bougez plus. 3, 2, 1.",
+		countdown_cancelled: "Le cadrage a changé. Photo annulée.",
+		quality_good: "Photo enregistrée. Elle est réussie.",
+		burst_chosen: burstReport({
+			chosen: ({ count, kept }) =>
+				kept === 1
+					? `J'ai gardé la meilleure des ${count} photos`
+					: `J'ai gardé les ${kept} meilleures des ${count} photos`,
+			first: "La première est",
+			and: "et",
+			reasons: {
+				sharpest: "la plus nette",
+				eyes_open: "avec les yeux ouverts",
+				centered: "la mieux cadrée",
+				smiling: "avec le plus beau sourire",
+			},
+		}),
+		quality_no_face: withRetake(
+			"Photo enregistrée, mais je ne trouve pas votre visage",
+			"voulez-vous la refaire ?",
+		),
+		quality_eyes_closed: withRetake(
+			"Photo enregistrée. Vos yeux semblent fermés",
+			"voulez-vous la refaire ?",
+		),
+		quality_cut_off: withRetake(
+			"Photo enregistrée. Votre visage est coupé au bord",
+			"voulez-vous la refaire ?",
+		),
+		quality_blurry: withRetake(
+			"Photo enregistrée. Elle semble un peu floue",
+			"voulez-vous la refaire ?",
+		),
+		quality_dark: withRetake(
+			"Photo enregistrée. Elle semble trop sombre",
+			"voulez-vous la refaire ?",
+		),
+		quality_bright: withRetake(
+			"Photo enregistrée. Elle semble trop claire",
+			"voulez-vous la refaire ?",
+		),
+		quality_off_center: withRetake(
+			"Photo enregistrée. Votre visage n'est pas centré",
+			"voulez-vous la refaire ?",
+		),
+	},
+	[verbosity.TERSE]: {
+		...terseDirections({
+			up: "Haut",
+			down: "Bas",
+			left: "Gauche",
+			right: "Droite",
+			farther: "Éloignez",
+			closer: "Rapprochez",
+		}),
+		group_cut_left: ({ count }) => `Gauche, ${count} hors cadre`,
+		group_cut_right: ({ count }) => `Droite, ${count} hors cadre`,
+		group_cut_top: ({ count }) => `Haut, ${count} hors cadre`,
+		group_cut_bottom: ({ count }) => `Bas, ${count} hors cadre`,
+		tilt_back: "Le haut vers vous",
+		tilt_forward: "Le haut vers l'avant",
+		roll_left: "Baissez le côté droit",
+		roll_right: "Baissez le côté gauche",
+		head_turned_left: "Tête à droite",
+		head_turned_right: "Tête à gauche",
+		head_chin_up: "Menton en bas",
+		head_chin_down: "Menton en haut",
+		head_tilted_left: "Redressez à droite",
+		head_tilted_right: "Redressez à gauche",
+		gaze_down: "Les yeux vers l'objectif",
+		gaze_up: "Les yeux plus bas",
+		gaze_left: "Les yeux à droite",
+		gaze_right: "Les yeux à gauche",
+		lighting_backlit: "Contre-jour",
+		lighting_face_in_shadow: "Visage dans l'ombre",
+		aligned: ({ advisory, autoCapture }) => {
+			if (advisory) {
+				return `Bien, mais ${advisory.toLowerCase()}`;
+			}
+			return autoCapture ? "Parfait, ne bougez plus" : "Parfait";
+		},
+		group_aligned: ({ advisory, count }) =>
+			advisory
+				? `Bien, mais ${advisory.toLowerCase()}`
+				: `Parfait, ${count} dans l'image`,
+		countdown: "3, 2, 1.",
+	},
+	[verbosity.DETAILED]: {
+		no_face:
+			"Je ne détecte pas encore votre visage. Tenez le téléphone à bout de bras devant vous.",
+		too_dark:
+			"Il fait trop sombre. Rapprochez-vous d'une lampe ou d'une fenêtre.",
+		too_close: "Trop près. Éloignez un peu le téléphone.",
+		too_far: "Trop loin. Rapprochez le téléphone.",
+		point_up: "Orientez le téléphone un peu vers le haut.",
+		point_down: "Orientez le téléphone un peu vers le bas.",
+		turn_left: "Tournez le téléphone un peu vers votre gauche.",
+		turn_right: "Tournez le téléphone un peu vers votre droite.",
+		body_cut_head:
+			"Votre tête est coupée en haut. Orientez le téléphone un peu vers le haut.",
+		body_cut_shoulders:
+			"Vos épaules sont coupées. Reculez ou éloignez le téléphone.",
+		body_cut_waist:
+			"Votre taille est coupée. Reculez ou éloignez le téléphone.",
+		body_cut_knees:
+			"Vos jambes sont coupées. Reculez ou éloignez le téléphone.",
+		body_cut_feet:
+			"Vos pieds sont coupés en bas. Reculez ou éloignez le téléphone.",
+		body_cut_both:
+			"Vous n'entrez pas dans le cadre, votre tête et vos jambes sont coupées. Reculez ou éloignez le téléphone.",
+		body_far:
+			"Je vois plus de vous que cette photo n'en demande. Approchez-vous du téléphone ou rapprochez-le.",
+		head_turned_left:
+			"Votre tête est tournée. Tournez-la un peu vers la droite pour faire face au téléphone.",
+		head_turned_right:
+			"Votre tête est tournée. Tournez-la un peu vers la gauche pour faire face au téléphone.",
+		head_chin_up: "Baissez un peu le menton.",
+		head_chin_down: "Relevez un peu le menton.",
+		head_tilted_left:
+			"Votre tête est penchée. Redressez-la en l'inclinant un peu vers votre droite.",
+		head_tilted_right:
+			"Votre tête est penchée. Redressez-la en l'inclinant un peu vers votre gauche.",
+		gaze_down:
+			"Vous regardez l'écran. Levez les yeux vers l'objectif de la caméra, en haut du téléphone.",
+		gaze_up:
+			"Vous regardez au-dessus du téléphone. Regardez un peu plus bas, vers l'objectif de la caméra.",
+		gaze_left:
+			"Vous regardez sur le côté. Regardez un peu vers votre droite, vers l'objectif de la caméra.",
+		gaze_right:
+			"Vous regardez sur le côté. Regardez un peu vers votre gauche, vers l'objectif de la caméra.",
+		lighting_too_dark:
+			"Il fait trop sombre. Rapprochez-vous d'une lampe ou d'une fenêtre.",
+		lighting_backlit:
+			"Votre visage est dans l'ombre car une lumière est derrière vous. Retournez-vous pour faire face à la lumière.",
+		lighting_face_in_shadow:
+			"Votre visage est dans l'ombre. Tournez-vous vers une lumière.",
+		lighting_overexposed:
+			"L'image est trop lumineuse. Éloignez-vous de la lumière directe.",
+		aligned: ({ advisory, eyeContact, untilAligned }) =>
+			sentences(
+				"Parfait ! Votre visage est centré, face à la caméra et à bonne distance. Le téléphone est droit.",
+				eyeContact && "Vous regardez bien l'objectif.",
+				"Prêt à prendre la photo.",
+				advisory,
+				untilAligned && FR_STOP_NOTE,
+			),
+		group_aligned: ({ advisory, count, untilAligned }) =>
+			sentences(
+				`Parfait ! ${count === 1 ? "Une personne est" : `Les ${count} personnes sont`} dans l'image. Prêt à prendre la photo.`,
+				advisory,
+				untilAligned && FR_STOP_NOTE,
+			),
+	},
+};
+
+const FR_REAR = {
+	[verbosity.NORMAL]: {
+		group_cut_left: ({ count }) =>
+			`${frCutOff(count)} à gauche. Pivotez vers la gauche`,
+		group_cut_right: ({ count }) =>
+			`${frCutOff(count)} à droite. Pivotez vers la droite`,
+		group_left: "Pivotez vers la gauche",
+		group_right: "Pivotez vers la droite",
+		clip_top_eyes:
+			"Ses yeux sont coupés en haut, orientez le téléphone vers le haut",
+		clip_top_half:
+			"La moitié de son visage dépasse en haut, orientez le téléphone vers le haut",
+		clip_top: "Son front est coupé en haut, orientez le téléphone vers le haut",
+		clip_bottom_mouth:
+			"Sa bouche est coupée en bas, orientez le téléphone vers le bas",
+		clip_bottom_half:
+			"La moitié de son visage dépasse en bas, orientez le téléphone vers le bas",
+		clip_bottom:
+			"Son menton est coupé en bas, orientez le téléphone vers le bas",
+		clip_left_half:
+			"La moitié de son visage dépasse à gauche, pivotez vers la gauche",
+		clip_left: "Son visage est coupé à gauche, pivotez vers la gauche",
+		clip_right_half:
+			"La moitié de son visage dépasse à droite, pivotez vers la droite",
+		clip_right: "Son visage est coupé à droite, pivotez vers la droite",
+		turn_left: "Pivotez vers la gauche, vers la personne",
+		turn_right: "Pivotez vers la droite, vers la personne",
+		body_cut_head: "Sa tête est coupée, orientez le téléphone vers le haut",
+		body_cut_shoulders: "Reculez, ses épaules sont coupées",
+		body_cut_waist: "Reculez, sa taille est coupée",
+		body_cut_knees: "Reculez, ses jambes sont coupées",
+		body_cut_feet: "Reculez, ses pieds sont coupés",
+		body_cut_both: "Reculez, sa tête et ses jambes sont coupées",
+		body_far: "Approchez-vous de la personne",
+		head_turned_left: "Demandez-lui de tourner la tête vers sa droite",
+		head_turned_right: "Demandez-lui de tourner la tête vers sa gauche",
+		head_chin_up: "Demandez-lui de baisser le menton",
+		head_chin_down: "Demandez-lui de relever le menton",
+		head_tilted_left: "Demandez-lui de redresser la tête vers sa droite",
+		head_tilted_right: "Demandez-lui de redresser la tête vers sa gauche",
+		gaze_down: "Demandez-lui de regarder la caméra",
+		gaze_up: "Demandez-lui de regarder la caméra",
+		gaze_left: "Demandez-lui de regarder la caméra",
+		gaze_right: "Demandez-lui de regarder la caméra",
+		lighting_backlit: "Une lumière est derrière la personne",
+		lighting_face_in_shadow: "Son visage est dans l'ombre",
+		ready: "Dirigez la caméra vers la personne",
+		guide_intro:
+			"Je vais vous aider à cadrer la personne pour une photo parfaite.",
+		eyes_closed_wait: "Ses yeux sont fermés, attendez",
+		photo_saved_eyes_closed:
+			"Photo enregistrée, mais ses yeux étaient peut-être fermés.",
+		quality_no_face: withRetake(
+			"Photo enregistrée, mais je ne trouve pas son visage",
+			"voulez-vous la refaire ?",
+		),
+		quality_eyes_closed: withRetake(
+			"Photo enregistrée. Ses yeux semblent fermés",
+			"voulez-vous la refaire ?",
+		),
+		quality_cut_off: withRetake(
+			"Photo enregistrée. Son visage est coupé au bord",
+			"voulez-vous la refaire ?",
+		),
+		quality_off_center: withRetake(
+			"Photo enregistrée. Son visage n'est pas centré",
+			"voulez-vous la refaire ?",
+		),
+	},
+	[verbosity.TERSE]: {
+		turn_left: "Pivotez à gauche",
+		turn_right: "Pivotez à droite",
+		group_left: "Pivotez à gauche",
+		group_right: "Pivotez à droite",
+		head_turned_left: "Sa tête vers sa droite",
+		head_turned_right: "Sa tête vers sa gauche",
+		head_chin_up: "Son menton en bas",
+		head_chin_down: "Son menton en haut",
+		head_tilted_left: "Sa tête droite",
+		head_tilted_right: "Sa tête droite",
+		gaze_down: "Ses yeux vers l'objectif",
+		gaze_up: "Ses yeux vers l'objectif",
+		gaze_left: "Ses yeux vers l'objectif",
+		gaze_right: "Ses yeux vers l'objectif",
+	},
+	[verbosity.DETAILED]: {
+		no_face:
+			"Je ne détecte encore personne. Dirigez le téléphone vers la personne à photographier.",
+		turn_left:
+			"Tournez le téléphone un peu vers votre gauche, vers la personne.",
+		turn_right:
+			"Tournez le téléphone un peu vers votre droite, vers la personne.",
+		body_cut_head:
+			"Sa tête est coupée en haut. Orientez le téléphone un peu vers le haut.",
+		body_cut_shoulders:
+			"Ses épaules sont coupées. Reculez ou demandez-lui de reculer.",
+		body_cut_waist: "Sa taille est coupée. Reculez ou demandez-lui de reculer.",
+		body_cut_knees:
+			"Ses jambes sont coupées. Reculez ou demandez-lui de reculer.",
+		body_cut_feet:
+			"Ses pieds sont coupés en bas. Reculez ou demandez-lui de reculer.",
+		body_cut_both:
+			"La personne n'entre pas dans le cadre, sa tête et ses jambes sont coupées. Reculez ou demandez-lui de reculer.",
+		body_far:
+			"Je vois plus de la personne que cette photo n'en demande. Approchez-vous d'elle.",
+		head_turned_left:
+			"Sa tête est tournée. Demandez-lui de la tourner un peu vers sa droite.",
+		head_turned_right:
+			"Sa tête est tournée. Demandez-lui de la tourner un peu vers sa gauche.",
+		head_chin_up: "Demandez-lui de baisser un peu le menton.",
+		head_chin_down: "Demandez-lui de relever un peu le menton.",
+		head_tilted_left:
+			"Sa tête est penchée. Demandez-lui de la redresser en l'inclinant un peu vers sa droite.",
+		head_tilted_right:
+			"Sa tête est penchée. Demandez-lui de la redresser en l'inclinant un peu vers sa gauche.",
+		gaze_down:
+			"La personne regarde vers le bas, pas la caméra. Demandez-lui de regarder l'objectif.",
+		gaze_up:
+			"La personne regarde au-dessus de la caméra. Demandez-lui de regarder l'objectif.",
+		gaze_left:
+			"La personne regarde sur le côté. Demandez-lui de regarder l'objectif.",
+		gaze_right:
+			"La personne regarde sur le côté. Demandez-lui de regarder l'objectif.",
+		lighting_backlit:
+			"Son visage est dans l'ombre car une lumière est derrière la personne. Placez-vous pour avoir la lumière dans le dos, ou demandez-lui de faire face à la lumière.",
+		lighting_face_in_shadow:
+			"Son visage est dans l'ombre. Demandez-lui de se tourner vers une lumière.",
+		aligned: ({ advisory, eyeContact, untilAligned }) =>
+			sentences(
+				"Parfait ! Son visage est centré, face à la caméra et à bonne distance. Le téléphone est droit.",
+				eyeContact && "La personne regarde bien l'objectif.",
+				"Prêt à prendre la photo.",
+				advisory,
+				untilAligned && FR_STOP_NOTE,
+			),
+	},
+};
+
+const CATALOG = {
+	en: { self: EN, rear: EN_REAR },
+	es: { self: ES, rear: ES_REAR },
+	fr: { self: FR, rear: FR_REAR },
+};
+
+// Levels a level falls back on, least specific first
+const LEVEL_CHAIN = {
+	[verbosity.TERSE]: [verbosity.NORMAL, verbosity.TERSE],
+	[verbosity.NORMAL]: [verbosity.NORMAL],
+	[verbosity.DETAILED]: [verbosity.NORMAL, verbosity.DETAILED],
+};
+
+/**
+ * Catalog locale of a language tag, e.g. "es-MX" -> "es"
+ * @param {string|null} language - BCP 47 tag
+ * @returns {string} DEFAULT_LOCALE when there is no catalog for it
+ */
+export function resolveLocale(language) {
+	const locale = language?.toLowerCase().split("-")[0];
+	return locale && CATALOG[locale] ? locale : DEFAULT_LOCALE;
+}
+
+/**
+ * All phrases of a locale, level and camera, with the fallbacks applied
+ * @param {string} locale - Key of the catalog, see resolveLocale
+ * @param {string} level - verbosity value
+ * @param {string} facingMode - cameraFacing value
+ * @returns {Object} Phrases by key
+ */
+export function buildPhraseTable(locale, level, facingMode) {
+	const variants =
+		facingMode === cameraFacing.ENVIRONMENT ? ["self", "rear"] : ["self"];
+	const locales =
+		locale === DEFAULT_LOCALE ? [DEFAULT_LOCALE] : [DEFAULT_LOCALE, locale];
+	const table = {};
+	for (const name of locales) {
+		for (const chained of LEVEL_CHAIN[level] ?? LEVEL_CHAIN.normal) {
+			for (const variant of variants) {
+				Object.assign(table, CATALOG[name]?.[variant][chained]);
+			}
+		}
+	}
+	return table;
+}
+
+export class PhraseCatalog {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.language - BCP 47 tag, e.g. SpeechManager.getLanguage()
+	 * @param {string} options.verbosity - verbosity value
+	 * @param {Object} options.overrides - Phrases by verbosity, over every locale
+	 */
+	constructor(options = {}) {
+		this.locale = resolveLocale(options.language);
+		this.verbosity = options.verbosity ?? verbosity.NORMAL;
+		this.overrides = options.overrides ?? {};
+		this._tables = new Map();
+	}
+
+	/**
+	 * Use the catalog of a language, English when there is none
+	 * @param {string} language - BCP 47 tag
+	 */
+	setLanguage(language) {
+		this.locale = resolveLocale(language);
+	}
+
+	getLocale() {
+		return this.locale;
+	}
+
+	/**
+	 * @param {string} level - verbosity value
+	 */
+	setVerbosity(level) {
+		if (LEVEL_CHAIN[level]) {
+			this.verbosity = level;
+		}
+	}
+
+	getVerbosity() {
+		return this.verbosity;
+	}
+
+	/**
+	 * Phrase of a guidance event
+	 * @param {string} key
+	 * @param {Object} params - Rule params
+	 * @param {Object} options
+	 * @param {string} options.verbosity - Instead of the selected level
+	 * @param {string} options.facingMode - cameraFacing value
+	 * @returns {string} Empty when there is nothing to say
+	 */
+	get(key, params = {}, options = {}) {
+		const level = options.verbosity ?? this.verbosity;
+		const phrase = this._table(level, options.facingMode)[key];
+		if (typeof phrase === "function") {
+			return phrase(params);
+		}
+		return phrase ?? "";
+	}
+
+	/**
+	 * @param {string} level
+	 * @param {string} facingMode
+	 * @returns {Object}
+	 * @private
+	 */
+	_table(level, facingMode = cameraFacing.USER) {
+		const id = `${this.locale}:${level}:${facingMode}`;
+		let table = this._tables.get(id);
+		if (!table) {
+			table = {
+				...buildPhraseTable(this.locale, level, facingMode),
+				...this.overrides[level],
+			};
+			this._tables.set(id, table);
+		}
+		return table;
+	}
+}
+
+/**
+ * Load the persisted verbosity
+ * @returns {string}
+ */
+export function loadVerbosity() {
+	try {
+		const level = localStorage.getItem(VERBOSITY_STORAGE_KEY);
+		if (level && LEVEL_CHAIN[level]) {
+			return level;
+		}
+	} catch (_) {}
+	return verbosity.NORMAL;
+}
+
+/**
+ * Persist the selected verbosity
+ * @param {string} level
+ */
+export function saveVerbosity(level) {
+	try {
+		localStorage.setItem(VERBOSITY_STORAGE_KEY, level);
+	} catch (_) {}
+}
+
+/**
+ * Load the persisted language, or the browser language when it has a catalog
+ * @returns {string} BCP 47 tag
+ */
+export function loadLanguage() {
+	try {
+		const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+		if (stored) {
+			return stored;
+		}
+	} catch (_) {}
+	// Keep the regional variant for recognition, e.g. "es-MX"
+	const browser = typeof navigator !== "undefined" ? navigator.language : "";
+	if (
+		browser &&
+		resolveLocale(browser) === browser.toLowerCase().split("-")[0]
+	) {
+		return browser;
+	}
+	return SUPPORTED_LANGUAGES[0].tag;
+}
+
+/**
+ * Persist the selected language
+ * @param {string} tag
+ */
+export function saveLanguage(tag) {
+	try {
+		localStorage.setItem(LANGUAGE_STORAGE_KEY, tag);
+	} catch (_) {}
+}
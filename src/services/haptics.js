@@ -0,0 +1,138 @@
+/*
+Haptic guidance with the Vibration API.
+https://developer.mozilla.org/en-US/docs/Web/API/Vibration_API
+
+Each cue has a distinct pattern (vibrate/pause durations in ms):
+- left: 2 short        - right: 3 short
+- up: 1 long           - down: 2 long
+- closer: short-long   - farther: long-short
+- lost: 1 very long    - perfect: fast ripple
+*/
+const STORAGE_KEY = "guidance_channel";
+
+export const guidanceCue = {
+	LEFT: "left",
+	RIGHT: "right",
+	UP: "up",
+	DOWN: "down",
+	CLOSER: "closer",
+	FARTHER: "farther",
+	LOST: "lost",
+	PERFECT: "perfect",
+};
+
+export const HAPTIC_PATTERNS = {
+	[guidanceCue.LEFT]: [60, 80, 60],
+	[guidanceCue.RIGHT]: [60, 80, 60, 80, 60],
+	[guidanceCue.UP]: [300],
+	[guidanceCue.DOWN]: [300, 120, 300],
+	[guidanceCue.CLOSER]: [60, 120, 300],
+	[guidanceCue.FARTHER]: [300, 120, 60],
+	[guidanceCue.LOST]: [700],
+	[guidanceCue.PERFECT]: [40, 40, 40, 40, 40, 40, 40],
+};
+
+export const guidanceChannel = {
+	SPEECH: "speech",
+	HAPTICS: "haptics",
+	BOTH: "both",
+};
+
+const CHANNEL_ORDER = [
+	guidanceChannel.BOTH,
+	guidanceChannel.SPEECH,
+	guidanceChannel.HAPTICS,
+];
+
+export class HapticGuidance {
+	constructor() {
+		this.channel = this._loadChannel();
+	}
+
+	/**
+	 * Whether the device can vibrate
+	 * @returns {boolean}
+	 */
+	isSupported() {
+		return typeof navigator !== "undefined" && "vibrate" in navigator;
+	}
+
+	/**
+	 * Set and persist the guidance channel
+	 * @param {string} channel - guidanceChannel value
+	 */
+	setChannel(channel) {
+		if (!CHANNEL_ORDER.includes(channel)) return;
+		this.channel = channel;
+		try {
+			localStorage.setItem(STORAGE_KEY, channel);
+		} catch (_) {}
+		if (!this.usesHaptics()) {
+			this.cancel();
+		}
+		window.dispatchEvent(
+			new CustomEvent("guidance:channel-changed", {
+				detail: { channel },
+			}),
+		);
+	}
+
+	/**
+	 * Switch to the next channel: both -> speech -> haptics -> both
+	 * @returns {string} The new channel
+	 */
+	cycleChannel() {
+		const index = CHANNEL_ORDER.indexOf(this.channel);
+		this.setChannel(CHANNEL_ORDER[(index + 1) % CHANNEL_ORDER.length]);
+		return this.channel;
+	}
+
+	getChannel() {
+		return this.channel;
+	}
+
+	usesSpeech() {
+		return this.channel !== guidanceChannel.HAPTICS;
+	}
+
+	usesHaptics() {
+		return this.channel !== guidanceChannel.SPEECH;
+	}
+
+	/**
+	 * Play the pattern of a cue if haptics are on
+	 * @param {string} cue - guidanceCue value
+	 * @returns {boolean} Whether a vibration was started
+	 */
+	signal(cue) {
+		const pattern = HAPTIC_PATTERNS[cue];
+		if (!pattern || !this.usesHaptics() || !this.isSupported()) {
+			return false;
+		}
+		try {
+			return navigator.vibrate(pattern);
+		} catch (_) {
+			return false;
+		}
+	}
+
+	/**
+	 * Stop any ongoing vibration
+	 */
+	cancel() {
+		if (!this.isSupported()) return;
+		try {
+			navigator.vibrate(0);
+		} catch (_) {}
+	}
+
+	_loadChannel() {
+		try {
+			const stored = localStorage.getItem(STORAGE_KEY);
+			if (CHANNEL_ORDER.includes(stored)) {
+				return stored;
+			}
+		} catch (_) {}
+		return guidanceChannel.BOTH;
+	}
+}
@@ -0,0 +1,154 @@
+/*
+Rough head pose estimation from the six BlazeFace keypoints.
+https://ai.google.dev/edge/mediapipe/solutions/vision/face_detector#models
+
+Keypoint order: right eye, left eye, nose tip, mouth center, right ear tragion,
+left ear tragion. Coordinates are normalized to the unmirrored camera frame.
+
+All angles are in degrees and from the user's point of view:
+- yaw > 0: head turned towards the user's left
+- pitch > 0: chin up
+- roll > 0: head tilted towards the user's left shoulder
+*/
+
+const KP = {
+	RIGHT_EYE: 0,
+	LEFT_EYE: 1,
+	NOSE: 2,
+	MOUTH: 3,
+	RIGHT_EAR: 4,
+	LEFT_EAR: 5,
+};
+
+// Nose tip sits roughly halfway between the eye line and the mouth when facing the camera
+const NEUTRAL_PITCH_RATIO = 0.5;
+const PITCH_SCALE = 120;
+
+export const headOrientation = {
+	FACING: "facing",
+	TURNED_LEFT: "turned_left",
+	TURNED_RIGHT: "turned_right",
+	CHIN_UP: "chin_up",
+	CHIN_DOWN: "chin_down",
+	TILTED_LEFT: "tilted_left",
+	TILTED_RIGHT: "tilted_right",
+};
+
+const DEFAULT_THRESHOLDS = {
+	yaw: 20,
+	pitch: 15,
+	roll: 15,
+};
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+const toDegrees = (rad) => (rad * 180) / Math.PI;
+
+/**
+ * Estimate yaw/pitch/roll from BlazeFace keypoints
+ * @param {Array<{x:number,y:number}>} keypoints - Normalized keypoints
+ * @param {number} videoWidth
+ * @param {number} videoHeight
+ * @returns {{yaw:number,pitch:number,roll:number}|null} null if keypoints are incomplete
+ */
+export function estimateHeadPose(keypoints, videoWidth, videoHeight) {
+	if (!keypoints || keypoints.length < 6 || !videoWidth || !videoHeight) {
+		return null;
+	}
+
+	// Work in pixels so that the aspect ratio does not skew the angles
+	const p = keypoints.map((kp) => ({
+		x: kp.x * videoWidth,
+		y: kp.y * videoHeight,
+	}));
+	const rightEye = p[KP.RIGHT_EYE];
+	const leftEye = p[KP.LEFT_EYE];
+	const nose = p[KP.NOSE];
+	const mouth = p[KP.MOUTH];
+	const rightEar = p[KP.RIGHT_EAR];
+	const leftEar = p[KP.LEFT_EAR];
+
+	// Yaw: nose offset from the midpoint between the ears
+	const earMidX = (rightEar.x + leftEar.x) / 2;
+	const halfEarSpan = Math.abs(leftEar.x - rightEar.x) / 2;
+	let yaw = 0;
+	if (halfEarSpan > 1e-3) {
+		yaw = toDegrees(Math.asin(clamp((nose.x - earMidX) / halfEarSpan, -1, 1)));
+	}
+
+	// Pitch: where the nose sits between the eye line and the mouth
+	const eyeMidY = (rightEye.y + leftEye.y) / 2;
+	const eyeToMouth = mouth.y - eyeMidY;
+	let pitch = 0;
+	if (Math.abs(eyeToMouth) > 1e-3) {
+		const ratio = (nose.y - eyeMidY) / eyeToMouth;
+		pitch = clamp((NEUTRAL_PITCH_RATIO - ratio) * PITCH_SCALE, -90, 90);
+	}
+
+	// Roll: slope of the eye line, measured left to right in the image
+	const [first, second] =
+		rightEye.x <= leftEye.x ? [rightEye, leftEye] : [leftEye, rightEye];
+	const roll = toDegrees(Math.atan2(second.y - first.y, second.x - first.x));
+
+	return { yaw, pitch, roll };
+}
+
+/**
+ * Whether a value is past a limit, with a hysteresis band around the limit.
+ * Once past, the value has to come back band further before it is no longer past.
+ * @param {number} value
+ * @param {number} limit
+ * @param {number} direction - 1 for "above limit", -1 for "below limit"
+ * @param {boolean} wasPast - Result for the previous frame
+ * @param {number} band - Half-width of the hysteresis band
+ * @returns {boolean}
+ */
+export function isPastLimit(value, limit, direction, wasPast, band = 0) {
+	const effective = wasPast
+		? limit - direction * band
+		: limit + direction * band;
+	return direction > 0 ? value > effective : value < effective;
+}
+
+/**
+ * Classify a head pose into orientation flags
+ * @param {{yaw:number,pitch:number,roll:number}|null} pose
+ * @param {Object} thresholds - Optional { yaw, pitch, roll } in degrees
+ * @param {string[]|null} previous - Orientation of the previous frame, for hysteresis
+ * @param {number} band - Hysteresis half-width in degrees
+ * @returns {string[]} headOrientation values, [FACING] when within all thresholds
+ */
+export function classifyHeadPose(
+	pose,
+	thresholds = DEFAULT_THRESHOLDS,
+	previous = null,
+	band = 0,
+) {
+	if (!pose) {
+		return [headOrientation.FACING];
+	}
+	const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+	const was = (flag) => !!previous?.includes(flag);
+	const past = (value, limit, direction, flag) =>
+		isPastLimit(value, limit, direction, was(flag), band);
+
+	const orientation = [];
+	if (past(pose.yaw, t.yaw, 1, headOrientation.TURNED_LEFT)) {
+		orientation.push(headOrientation.TURNED_LEFT);
+	} else if (past(pose.yaw, -t.yaw, -1, headOrientation.TURNED_RIGHT)) {
+		orientation.push(headOrientation.TURNED_RIGHT);
+	}
+	if (past(pose.pitch, t.pitch, 1, headOrientation.CHIN_UP)) {
+		orientation.push(headOrientation.CHIN_UP);
+	} else if (past(pose.pitch, -t.pitch, -1, headOrientation.CHIN_DOWN)) {
+		orientation.push(headOrientation.CHIN_DOWN);
+	}
+	if (past(pose.roll, t.roll, 1, headOrientation.TILTED_LEFT)) {
+		orientation.push(headOrientation.TILTED_LEFT);
+	} else if (past(pose.roll, -t.roll, -1, headOrientation.TILTED_RIGHT)) {
+		orientation.push(headOrientation.TILTED_RIGHT);
+	}
+	if (orientation.length === 0) {
+		orientation.push(headOrientation.FACING);
+	}
+	return orientation;
+}
@@ -0,0 +1,213 @@
+/*
+Lighting quality analysis on a downscaled frame: face luminance against
+background luminance, plus a luminance histogram for global exposure.
+*/
+const SAMPLE_WIDTH = 64;
+const HISTOGRAM_BINS = 16;
+const DEFAULT_INTERVAL_MS = 1000;
+const SMOOTHING = 0.5; // EMA weight of the newest sample
+
+// Luma thresholds, 0-255
+const TOO_DARK_MEAN = 45;
+const DARK_PIXEL = 40;
+const BRIGHT_PIXEL = 245;
+const TOO_DARK_FRACTION = 0.7;
+const OVEREXPOSED_FRACTION = 0.35;
+const FACE_SHADOW_LUMA = 70;
+const FACE_OVEREXPOSED_LUMA = 235;
+// Background brighter than the face by this much means a light behind the user
+const BACKLIGHT_DIFFERENCE = 60;
+
+export const lightingStatus = {
+	GOOD: "good",
+	TOO_DARK: "too_dark",
+	BACKLIT: "backlit",
+	FACE_IN_SHADOW: "face_in_shadow",
+	OVEREXPOSED: "overexposed",
+	UNKNOWN: "unknown",
+};
+
+/**
+ * @typedef {Object} LightingResult
+ * @property {string} status - lightingStatus value
+ * @property {number} meanLuma - Whole frame, 0-255
+ * @property {number|null} faceLuma - null without a face
+ * @property {number|null} backgroundLuma - null without a face
+ * @property {number[]} histogram - Normalized, HISTOGRAM_BINS bins
+ */
+
+/**
+ * Classify lighting from luminance statistics
+ * @param {Object} stats
+ * @returns {string} lightingStatus value
+ */
+export function classifyLighting({
+	meanLuma,
+	faceLuma,
+	backgroundLuma,
+	darkFraction,
+	brightFraction,
+}) {
+	if (meanLuma < TOO_DARK_MEAN || darkFraction > TOO_DARK_FRACTION) {
+		return lightingStatus.TOO_DARK;
+	}
+	if (faceLuma !== null) {
+		if (
+			backgroundLuma - faceLuma > BACKLIGHT_DIFFERENCE &&
+			faceLuma < FACE_SHADOW_LUMA * 1.5
+		) {
+			return lightingStatus.BACKLIT;
+		}
+		if (faceLuma < FACE_SHADOW_LUMA) {
+			return lightingStatus.FACE_IN_SHADOW;
+		}
+		if (faceLuma > FACE_OVEREXPOSED_LUMA) {
+			return lightingStatus.OVEREXPOSED;
+		}
+	}
+	if (brightFraction > OVEREXPOSED_FRACTION) {
+		return lightingStatus.OVEREXPOSED;
+	}
+	return lightingStatus.GOOD;
+}
+
+export class LightingAnalyzer {
+	constructor(options = {}) {
+		this.interval = options.interval ?? DEFAULT_INTERVAL_MS;
+		this.canvas = null;
+		this.ctx = null;
+		this.lastRunAt = 0;
+		this.result = null;
+	}
+
+	/**
+	 * Analyze the frame at most once per interval
+	 * @param {CanvasImageSource} source - Video element or image
+	 * @param {number} width - Source width in pixels
+	 * @param {number} height - Source height in pixels
+	 * @param {Object|null} faceBox - BoundingBox in source pixels, unmirrored
+	 * @param {number} now - Timestamp in ms
+	 * @returns {LightingResult|null} Latest result
+	 */
+	update(source, width, height, faceBox, now = Date.now()) {
+		if (now - this.lastRunAt < this.interval) {
+			return this.result;
+		}
+		this.lastRunAt = now;
+		const sample = this.analyze(source, width, height, faceBox);
+		if (!sample) {
+			return this.result;
+		}
+		// Smooth the luminance values to avoid flicker, then classify again
+		const prev = this.result;
+		if (prev) {
+			const mix = (a, b) =>
+				a === null || b === null ? b : a + SMOOTHING * (b - a);
+			sample.meanLuma = mix(prev.meanLuma, sample.meanLuma);
+			sample.faceLuma = mix(prev.faceLuma, sample.faceLuma);
+			sample.backgroundLuma = mix(prev.backgroundLuma, sample.backgroundLuma);
+			sample.status = classifyLighting(sample);
+		}
+		this.result = sample;
+		return this.result;
+	}
+
+	/**
+	 * Analyze one frame immediately
+	 * @param {CanvasImageSource} source
+	 * @param {number} width
+	 * @param {number} height
+	 * @param {Object|null} faceBox - BoundingBox in source pixels
+	 * @returns {LightingResult|null} null if the frame cannot be read
+	 */
+	analyze(source, width, height, faceBox = null) {
+		if (!width || !height) {
+			return null;
+		}
+		const w = SAMPLE_WIDTH;
+		const h = Math.max(1, Math.round((SAMPLE_WIDTH * height) / width));
+		if (!this.ctx) {
+			this.canvas = document.createElement("canvas");
+			this.ctx = this.canvas.getContext("2d", { willReadFrequently: true });
+		}
+		if (!this.ctx) {
+			return null;
+		}
+		if (this.canvas.width !== w || this.canvas.height !== h) {
+			this.canvas.width = w;
+			this.canvas.height = h;
+		}
+		this.ctx.drawImage(source, 0, 0, w, h);
+		const { data } = this.ctx.getImageData(0, 0, w, h);
+
+		// Face region in sample coordinates
+		const scale = w / width;
+		const face = faceBox
+			? {
+					left: faceBox.originX * scale,
+					top: faceBox.originY * scale,
+					right: (faceBox.originX + faceBox.width) * scale,
+					bottom: (faceBox.originY + faceBox.height) * scale,
+				}
+			: null;
+
+		const histogram = new Array(HISTOGRAM_BINS).fill(0);
+		let total = 0;
+		let dark = 0;
+		let bright = 0;
+		let faceSum = 0;
+		let faceCount = 0;
+		let bgSum = 0;
+		let bgCount = 0;
+		for (let y = 0; y < h; y++) {
+			for (let x = 0; x < w; x++) {
+				const i = (y * w + x) * 4;
+				const luma =
+					0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+				total += luma;
+				histogram[
+					Math.min(HISTOGRAM_BINS - 1, (luma / 256) * HISTOGRAM_BINS) | 0
+				]++;
+				if (luma < DARK_PIXEL) dark++;
+				else if (luma > BRIGHT_PIXEL) bright++;
+				if (
+					face &&
+					x >= face.left &&
+					x < face.right &&
+					y >= face.top &&
+					y < face.bottom
+				) {
+					faceSum += luma;
+					faceCount++;
+				} else {
+					bgSum += luma;
+					bgCount++;
+				}
+			}
+		}
+
+		const n = w * h;
+		const stats = {
+			meanLuma: total / n,
+			faceLuma: faceCount > 0 ? faceSum / faceCount : null,
+			backgroundLuma: face && bgCount > 0 ? bgSum / bgCount : null,
+			darkFraction: dark / n,
+			brightFraction: bright / n,
+			histogram: histogram.map((count) => count / n),
+		};
+		return { ...stats, status: classifyLighting(stats) };
+	}
+
+	/**
+	 * Latest result, null before the first analysis
+	 * @returns {LightingResult|null}
+	 */
+	getResult() {
+		return this.result;
+	}
+
+	reset() {
+		this.lastRunAt = 0;
+		this.result = null;
+	}
+}
@@ -16,6 +16,15 @@ given by GitHub Copilot are taken.
 This will be updated over time when the project evolves.
 
 */
+
+import { FileCameraSource } from "./file-camera-source.js";
+
+// getUserMedia facingMode values
+export const cameraFacing = {
+	USER: "user", // Front camera, selfies, mirrored preview
+	ENVIRONMENT: "environment", // Rear camera, photographing someone else
+};
+
 export class PhotoCapture {
 	constructor() {
 		this.imageCapture = null;
@@ -23,17 +32,20 @@ export class PhotoCapture {
 		this.currentPhotoURL = null;
 		this.canvas = document.createElement("canvas");
 		this.facingMode = null;
+		this.fileSource = null; // FileCameraSource when playing files instead
 	}
 
 	/**
 	 * Initialize camera
 	 * @param {Object} options - Camera configuration
+	 * @param {Object|null} options.source - Play files instead of the camera,
+	 *   see parseCameraSource in file-camera-source.js
 	 * @returns {Promise<MediaStream>}
 	 */
 	async init(options = {}) {
 		const config = {
 			video: {
-				facingMode: options.facingMode ?? "user",
+				facingMode: options.facingMode ?? cameraFacing.USER,
 				width: { ideal: options.width ?? 3840 },
 				height: { ideal: options.height ?? 2160 },
 				frameRate: { ideal: options.frameRate ?? 30 },
@@ -41,15 +53,23 @@ export class PhotoCapture {
 			audio: false,
 		};
 
-		this.facingMode = config.video.facingMode;
-
 		if (this.stream) {
 			this._releaseStream();
 		}
 
-		this.stream = await navigator.mediaDevices.getUserMedia(config);
+		if (options.source) {
+			this.fileSource = new FileCameraSource(options.source);
+			this.stream = await this.fileSource.start({
+				frameRate: config.video.frameRate.ideal,
+			});
+		} else {
+			this.stream = await navigator.mediaDevices.getUserMedia(config);
+		}
 		const [track] = this.stream.getVideoTracks();
 		this.imageCapture = new ImageCapture(track);
+		// facingMode is only a preference, e.g. laptops have no rear camera
+		this.facingMode =
+			track.getSettings?.().facingMode || config.video.facingMode;
 
 		return this.stream;
 	}
@@ -86,6 +106,38 @@ export class PhotoCapture {
 		return { blob };
 	}
 
+	/**
+	 * Take several photos in quick succession
+	 * @param {number} count - Number of frames
+	 * @param {number} intervalMs - Time between two frames
+	 * @returns {Promise<Array<{ blob: Blob }>>}
+	 */
+	async captureBurst(count, intervalMs = 0) {
+		if (!this.imageCapture) {
+			throw new Error("Camera not initialized");
+		}
+
+		// Grab every frame first, encoding is slower than the burst interval
+		const frames = [];
+		try {
+			for (let i = 0; i < count; i++) {
+				if (i > 0 && intervalMs > 0) {
+					await new Promise((resolve) => setTimeout(resolve, intervalMs));
+				}
+				frames.push(await this.imageCapture.grabFrame());
+			}
+		} catch (error) {
+			frames.forEach((frame) => void frame.close?.());
+			throw error;
+		}
+
+		const shots = [];
+		for (const frame of frames) {
+			shots.push({ blob: await this._bitmapToBlob(frame) });
+		}
+		return shots;
+	}
+
 	/**
 	 * Download the photo
 	 * @param {string} filename - Filename (optional)
@@ -133,6 +185,14 @@ export class PhotoCapture {
 		return this.facingMode;
 	}
 
+	/**
+	 * Whether the preview and photos are mirrored, only for the front camera
+	 * @returns {boolean}
+	 */
+	isMirrored() {
+		return this.facingMode === cameraFacing.USER;
+	}
+
 	/**
 	 * Stop current media stream if it exists
 	 * @private
@@ -142,6 +202,8 @@ export class PhotoCapture {
 			this.stream.getTracks().forEach((track) => void track.stop());
 			this.stream = null;
 		}
+		this.fileSource?.stop();
+		this.fileSource = null;
 		this.imageCapture = null;
 	}
 
@@ -163,7 +225,7 @@ export class PhotoCapture {
 		ctx.clearRect(0, 0, canvas.width, canvas.height);
 		ctx.save();
 		// Mirror horizontally for selfie capture
-		if (this.facingMode === "user") {
+		if (this.isMirrored()) {
 			ctx.translate(canvas.width, 0);
 			ctx.scale(-1, 1);
 		}
@@ -0,0 +1,254 @@
+/*
+Quality report of a saved photo, so the user hears more than "Photo saved":
+faces and framing (FaceDetect.analyzeImage), sharpness against the preview
+frames just before the shot, exposure, open eyes and smile.
+
+The same reports rank the frames of a burst, since the user cannot compare
+near-identical shots by looking at them.
+
+The saved photo is oriented like the preview (mirrored for the front camera),
+so its sides are evaluated as is.
+*/
+import { evaluateFacePosition, facePosition } from "./face-position.js";
+import { LightingAnalyzer, lightingStatus } from "./lighting.js";
+
+// Below this fraction of the sharpest recent preview frame the photo counts as blurry
+const BLURRY_RATIO = 0.6;
+
+export const photoIssue = {
+	NO_FACE: "no_face",
+	EYES_CLOSED: "eyes_closed",
+	CUT_OFF: "cut_off",
+	BLURRY: "blurry",
+	DARK: "dark",
+	BRIGHT: "bright",
+	OFF_CENTER: "off_center",
+};
+
+// Most important first, the verdict only names the first one
+const ISSUE_ORDER = Object.values(photoIssue);
+
+// Why a burst frame was chosen, the criteria it wins on
+export const shotReason = {
+	SHARPEST: "sharpest",
+	EYES_OPEN: "eyes_open",
+	CENTERED: "centered",
+	SMILING: "smiling",
+};
+
+const DARK_STATUSES = [
+	lightingStatus.TOO_DARK,
+	lightingStatus.BACKLIT,
+	lightingStatus.FACE_IN_SHADOW,
+];
+
+/**
+ * @typedef {Object} PhotoQuality
+ * @property {number} width
+ * @property {number} height
+ * @property {number|null} faceCount - null without a face detector
+ * @property {string[]} positions - facePosition values of the largest face
+ * @property {string|null} distance - faceDistance value of the largest face
+ * @property {string[]} cutOff - clippedSide values of the largest face
+ * @property {boolean|null} eyesOpen - Everyone's, null if unknown
+ * @property {number|null} smile - 0-1, average of the faces, null if unknown
+ * @property {number|null} sharpness - Variance of the Laplacian, higher is sharper
+ * @property {number|null} sharpnessRatio - Against the sharpest recent preview frame
+ * @property {string|null} exposure - lightingStatus value
+ * @property {number|null} meanLuma - 0-255
+ * @property {number|null} faceLuma - 0-255, null without a face
+ * @property {string[]} issues - photoIssue values, most important first
+ */
+
+/**
+ * Analyze a saved photo
+ * @param {Blob} blob
+ * @param {Object} services
+ * @param {FaceDetect} services.faceService - Optional, for faces, framing and eyes
+ * @param {SteadinessDetector} services.steadiness - Optional, for sharpness
+ * @param {LightingAnalyzer} services.lighting - For exposure
+ * @param {Object} options
+ * @param {Object} options.thresholds - Framing thresholds, see DEFAULT_FRAMING_THRESHOLDS
+ * @param {number|null} options.referenceSharpness - Sharpest recent preview frame
+ * @param {boolean} options.checkSharpness - false when the background is blurred on purpose
+ * @returns {Promise<PhotoQuality>}
+ */
+export async function analyzePhoto(blob, services = {}, options = {}) {
+	const {
+		faceService = null,
+		steadiness = null,
+		lighting = new LightingAnalyzer(),
+	} = services;
+	const {
+		thresholds,
+		referenceSharpness = null,
+		checkSharpness = true,
+	} = options;
+
+	const image = await createImageBitmap(blob);
+	try {
+		const { width, height } = image;
+
+		let detections = [];
+		let eyesOpen = null;
+		let smile = null;
+		if (faceService) {
+			// Results of this photo, not of the live preview
+			const result = await faceService.analyzeImage(image);
+			// Largest face first, like the live preview
+			detections = [...result.detections].sort(
+				(a, b) =>
+					b.boundingBox.width * b.boundingBox.height -
+					a.boundingBox.width * a.boundingBox.height,
+			);
+			eyesOpen = faceService.areEyesOpen(result.eyeStates);
+			smile = faceService.getSmileScore(result.eyeStates);
+		}
+		const [evaluation] = evaluateFacePosition(
+			detections.slice(0, 1),
+			width,
+			height,
+			thresholds,
+			false,
+		);
+
+		const sharpness =
+			steadiness?.measureSharpness(image, width, height) ?? null;
+		const sharpnessRatio =
+			sharpness !== null && referenceSharpness
+				? sharpness / referenceSharpness
+				: null;
+		const exposure = lighting.analyze(
+			image,
+			width,
+			height,
+			detections[0]?.boundingBox ?? null,
+		);
+
+		const found = new Set();
+		if (faceService && detections.length === 0) {
+			found.add(photoIssue.NO_FACE);
+		}
+		if (eyesOpen === false) {
+			found.add(photoIssue.EYES_CLOSED);
+		}
+		if (evaluation?.clipping?.sides.length > 0) {
+			found.add(photoIssue.CUT_OFF);
+		}
+		if (
+			checkSharpness &&
+			sharpnessRatio !== null &&
+			sharpnessRatio < BLURRY_RATIO
+		) {
+			found.add(photoIssue.BLURRY);
+		}
+		if (DARK_STATUSES.includes(exposure?.status)) {
+			found.add(photoIssue.DARK);
+		} else if (exposure?.status === lightingStatus.OVEREXPOSED) {
+			found.add(photoIssue.BRIGHT);
+		}
+		if (evaluation && !evaluation.positions.includes(facePosition.CENTERED)) {
+			found.add(photoIssue.OFF_CENTER);
+		}
+
+		return {
+			width,
+			height,
+			faceCount: faceService ? detections.length : null,
+			positions: evaluation?.positions ?? [],
+			distance: evaluation?.distance ?? null,
+			cutOff: evaluation?.clipping?.sides ?? [],
+			eyesOpen,
+			smile,
+			sharpness,
+			sharpnessRatio,
+			exposure: exposure?.status ?? null,
+			meanLuma: exposure?.meanLuma ?? null,
+			faceLuma: exposure?.faceLuma ?? null,
+			issues: ISSUE_ORDER.filter((issue) => found.has(issue)),
+		};
+	} finally {
+		image.close();
+	}
+}
+
+// Burst ranking criteria, each scored 0-1 per frame. Criteria without a
+// reason count for the score but are not worth telling the user.
+const SHOT_CRITERIA = [
+	{
+		weight: 3,
+		value: (q) => (q.issues.includes(photoIssue.NO_FACE) ? 0 : 1),
+	},
+	{
+		reason: shotReason.EYES_OPEN,
+		weight: 2,
+		value: (q) => (q.eyesOpen === null ? 0.5 : Number(q.eyesOpen)),
+	},
+	{
+		reason: shotReason.SHARPEST,
+		weight: 2,
+		// Relative to the sharpest frame of the burst
+		value: (q, maxSharpness) =>
+			q.sharpness !== null && maxSharpness > 0
+				? q.sharpness / maxSharpness
+				: 0.5,
+	},
+	{
+		weight: 1,
+		value: (q) => (q.issues.includes(photoIssue.CUT_OFF) ? 0 : 1),
+	},
+	{
+		reason: shotReason.CENTERED,
+		weight: 1,
+		value: (q) => (q.issues.includes(photoIssue.OFF_CENTER) ? 0 : 1),
+	},
+	{
+		reason: shotReason.SMILING,
+		weight: 1,
+		value: (q) => q.smile ?? 0,
+	},
+	{
+		weight: 1,
+		value: (q) =>
+			q.issues.includes(photoIssue.DARK) || q.issues.includes(photoIssue.BRIGHT)
+				? 0
+				: 1,
+	},
+];
+
+// Smaller score differences are noise, not a reason to mention
+const REASON_MARGIN = 0.1;
+
+/**
+ * Rank the frames of a burst, best first
+ * @param {PhotoQuality[]} qualities - One report per frame
+ * @returns {Array<{index:number, score:number, reasons:string[]}>} reasons are
+ *   the shotReason values where the frame beats at least one other frame and
+ *   no frame beats it
+ */
+export function rankPhotos(qualities) {
+	const maxSharpness = Math.max(0, ...qualities.map((q) => q.sharpness ?? 0));
+	const values = qualities.map((q) =>
+		SHOT_CRITERIA.map((criterion) => criterion.value(q, maxSharpness)),
+	);
+	const ranked = qualities.map((_, index) => {
+		let score = 0;
+		const reasons = [];
+		SHOT_CRITERIA.forEach((criterion, c) => {
+			const value = values[index][c];
+			score += criterion.weight * value;
+			const others = values.filter((_, i) => i !== index).map((v) => v[c]);
+			if (
+				criterion.reason &&
+				others.length > 0 &&
+				others.every((other) => other <= value) &&
+				others.some((other) => value - other >= REASON_MARGIN)
+			) {
+				reasons.push(criterion.reason);
+			}
+		});
+		return { index, score, reasons };
+	});
+	// Stable, so the earlier frame wins a tie
+	return ranked.sort((a, b) => b.score - a.score);
+}
@@ -49,16 +49,17 @@ export class PhotoStore {
 	/**
 	 * Add a photo blob to the store.
 	 * @param {Blob} blob
+	 * @param {Object} extra - Stored with the photo, e.g. { quality }
 	 * @returns {Promise<{id: number, createdAt: number}>}
 	 */
-	async addPhoto(blob) {
+	async addPhoto(blob, extra = {}) {
 		const db = await this.init();
 		const createdAt = Date.now();
 
 		return new Promise((resolve, reject) => {
 			const tx = db.transaction(STORE_NAME, "readwrite");
 			const store = tx.objectStore(STORE_NAME);
-			const request = store.add({ blob, createdAt });
+			const request = store.add({ blob, createdAt, ...extra });
 
 			request.onsuccess = () => {
 				resolve({ id: request.result, createdAt });
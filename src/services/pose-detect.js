@@ -0,0 +1,177 @@
+/*
+Documents: https://ai.google.dev/edge/mediapipe/solutions/vision/pose_landmarker/web_js
+
+Optional body pose detection for the half-body and full-body composition
+profiles, next to FaceDetect. It is only loaded when such a profile is
+selected, and runs in the vision worker like FaceDetect when supported.
+
+Landmarks are normalized to the frame, unmirrored, with a visibility score
+per landmark (see body-framing.js for the indices used).
+*/
+import { FilesetResolver, PoseLandmarker } from "@mediapipe/tasks-vision";
+import { getAssetUrls } from "./asset-config.js";
+import {
+	canUseVisionWorker,
+	getVisionWorker,
+	grabFrame,
+} from "./vision-worker-client.js";
+
+const assets = getAssetUrls();
+const DEFAULT_MODEL = assets.model("pose_landmarker_lite.task");
+const DEFAULT_WASM = assets.mediapipeWasm;
+
+export class PoseDetect {
+	constructor() {
+		this.landmarker = null;
+		this.worker = null; // VisionWorkerClient when detection runs in the worker
+		this._pendingFrame = false;
+		this.delegate = null; // "GPU" | "CPU", the one that actually loaded
+		this.landmarks = []; // One array of landmarks per pose
+		this.lastVideoTime = -1;
+	}
+
+	/**
+	 * Initialize the pose landmarker
+	 * @param {Object} options - Configuration options
+	 * @param {string} options.delegate - "GPU" (default) or "CPU". GPU falls back
+	 *   to CPU when it fails to load.
+	 * @param {number} options.numPoses - Maximum number of poses (default 1)
+	 * @param {boolean} options.worker - Run in a Web Worker when supported (default true)
+	 * @returns {Promise<PoseLandmarker|VisionWorkerClient>}
+	 */
+	async init(options = {}) {
+		if (this.landmarker || this.worker) {
+			return this.landmarker ?? this.worker; // Already initialized
+		}
+
+		if (options.worker !== false && canUseVisionWorker()) {
+			try {
+				const worker = getVisionWorker();
+				const info = await worker.call("pose-init", {
+					...options,
+					worker: false,
+				});
+				this.worker = worker;
+				this.delegate = info.delegate;
+				return this.worker;
+			} catch (error) {
+				console.warn(
+					"Pose detection worker unavailable, running on the main thread:",
+					error,
+				);
+			}
+		}
+
+		const vision = await FilesetResolver.forVisionTasks(
+			options.wasmPath ?? DEFAULT_WASM,
+		);
+		const create = (delegate) =>
+			PoseLandmarker.createFromOptions(vision, {
+				baseOptions: {
+					modelAssetPath: options.modelAssetPath ?? DEFAULT_MODEL,
+					delegate,
+				},
+				runningMode: "VIDEO",
+				numPoses: options.numPoses ?? 1,
+			});
+		const delegate = options.delegate ?? "GPU";
+		try {
+			this.landmarker = await create(delegate);
+			this.delegate = delegate;
+		} catch (error) {
+			if (delegate === "CPU") {
+				throw error;
+			}
+			console.warn(`${delegate} delegate failed, retrying on CPU:`, error);
+			this.landmarker = await create("CPU");
+			this.delegate = "CPU";
+		}
+		return this.landmarker;
+	}
+
+	/**
+	 * Whether init() has completed
+	 * @returns {boolean}
+	 */
+	isReady() {
+		return !!this.landmarker || !!this.worker;
+	}
+
+	/**
+	 * Detect poses in a video frame. In the worker the results arrive with a
+	 * later call, frames in between are skipped.
+	 * @param {HTMLVideoElement} video - The video element
+	 * @param {number} interval - Minimum interval between detections in seconds
+	 * @returns {Promise<Array>} Landmarks of each pose
+	 */
+	async detectVideo(video, interval = 0.3) {
+		if (!this.isReady()) {
+			throw new Error("Pose detector not initialized");
+		}
+		if (
+			this._pendingFrame ||
+			(this.lastVideoTime >= 0 &&
+				video.currentTime - this.lastVideoTime < interval)
+		) {
+			return this.landmarks;
+		}
+		this.lastVideoTime = video.currentTime;
+
+		if (!this.worker) {
+			return this.detectFrame(video, performance.now());
+		}
+		this._pendingFrame = true;
+		try {
+			const frame = await grabFrame(video);
+			const { landmarks } = await this.worker.call(
+				"pose-detect-video",
+				{ frame },
+				[frame],
+			);
+			this.landmarks = landmarks;
+		} finally {
+			this._pendingFrame = false;
+		}
+		return this.landmarks;
+	}
+
+	/**
+	 * Detect poses in one frame of a stream on this thread
+	 * @param {CanvasImageSource} source - Video element, VideoFrame or ImageBitmap
+	 * @param {number} timestamp - Timestamp in ms, increasing
+	 * @returns {Array} Landmarks of each pose
+	 */
+	detectFrame(source, timestamp) {
+		const result = this.landmarker.detectForVideo(source, timestamp);
+		this.landmarks = result?.landmarks ?? [];
+		return this.landmarks;
+	}
+
+	/**
+	 * Get the latest landmarks
+	 * @returns {Array} Landmarks of each pose
+	 */
+	getLandmarks() {
+		return this.landmarks;
+	}
+
+	/**
+	 * Forget the latest results, e.g. when the camera stops
+	 */
+	reset() {
+		this.landmarks = [];
+		this.lastVideoTime = -1;
+	}
+
+	/**
+	 * Release all resources
+	 */
+	dispose() {
+		this.reset();
+		this.landmarker?.close?.();
+		this.landmarker = null;
+		this.worker?.call("pose-dispose").catch(() => {});
+		this.worker = null;
+		this.delegate = null;
+	}
+}
@@ -8,15 +8,37 @@ JSDoc annotations are generated by GitHub Copilot and reviewed/modified by human
 
 */
 import { FilesetResolver, ImageSegmenter } from "@mediapipe/tasks-vision";
-
-const DEFAULT_MODEL =
-	"https://storage.googleapis.com/mediapipe-models/image_segmenter/selfie_segmenter/float16/latest/selfie_segmenter.tflite";
-const DEFAULT_WASM =
-	"https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm";
+import { getAssetUrls } from "./asset-config.js";
+import {
+	canUseVisionWorker,
+	getVisionWorker,
+	grabFrame,
+} from "./vision-worker-client.js";
+
+const assets = getAssetUrls();
+const DEFAULT_MODEL = assets.model("selfie_segmenter.tflite");
+const DEFAULT_WASM = assets.mediapipeWasm;
+
+/**
+ * Create a canvas, an OffscreenCanvas inside the worker
+ * @param {number} w
+ * @param {number} h
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+function createCanvas(w, h) {
+	if (typeof document === "undefined") {
+		return new OffscreenCanvas(w, h);
+	}
+	const canvas = document.createElement("canvas");
+	canvas.width = w;
+	canvas.height = h;
+	return canvas;
+}
 
 export class SelfieSegmentation {
 	constructor() {
 		this.segmenter = null;
+		this.worker = null; // VisionWorkerClient when segmentation runs in the worker
 		this.mode = null;
 		this.isRunning = false; // Loop
 		this.video = null;
@@ -27,6 +49,9 @@ export class SelfieSegmentation {
 		this.overlayMode = "none"; // 'none' | 'high-contrast'
 		this.blurEnabled = false;
 		this._latestBlurCanvas = null;
+		this._blurCopy = null; // Main-thread copy of the worker's blur composite
+		this._offscreenOwner = null; // Canvas whose control went to the worker
+		this._pendingFrame = false;
 		this.interval = 0.15; // Default interval in seconds
 
 		// Processing canvas for resizing input
@@ -54,16 +79,32 @@ export class SelfieSegmentation {
 	/**
 	 * Initialize the image segmenter
 	 * @param {Object} options - Configuration options
+	 * @param {boolean} options.worker - Run in a Web Worker when supported (default true)
 	 */
 	async init(options = {}) {
-		if (this.segmenter) {
-			return this.segmenter;
+		if (this.segmenter || this.worker) {
+			return this.segmenter ?? this.worker;
+		}
+
+		if (options.worker !== false && canUseVisionWorker()) {
+			try {
+				const worker = getVisionWorker();
+				await worker.call("segmentation-init", { ...options, worker: false });
+				this.worker = worker;
+				return this.worker;
+			} catch (error) {
+				console.warn(
+					"Segmentation worker unavailable, running on the main thread:",
+					error,
+				);
+			}
 		}
 
 		// Initialize processing canvas
-		this.processingCanvas = document.createElement("canvas");
-		this.processingCanvas.width = this.processingWidth;
-		this.processingCanvas.height = this.processingHeight;
+		this.processingCanvas = createCanvas(
+			this.processingWidth,
+			this.processingHeight,
+		);
 		this.processingCtx = this.processingCanvas.getContext("2d", {
 			willReadFrequently: true,
 		});
@@ -86,6 +127,14 @@ export class SelfieSegmentation {
 		return this.segmenter;
 	}
 
+	/**
+	 * Whether init() has completed, on either thread
+	 * @returns {boolean}
+	 */
+	isInitialized() {
+		return !!this.segmenter || !!this.worker;
+	}
+
 	/**
 	 * Start segmentation loop
 	 * @param {HTMLVideoElement} video
@@ -93,13 +142,24 @@ export class SelfieSegmentation {
 	 * @param {number} interval - Update interval in seconds
 	 */
 	start(video, canvas, interval = 0.1) {
-		if (!this.segmenter) {
+		if (!this.isInitialized()) {
 			console.error("Segmenter not initialized");
 			return;
 		}
 		this.video = video;
 		this.canvas = canvas;
-		this.ctx = this.canvas.getContext("2d");
+		if (this.worker) {
+			// The worker draws straight into the preview canvas
+			if (this._offscreenOwner !== canvas) {
+				const offscreen = canvas.transferControlToOffscreen();
+				this.worker
+					.call("segmentation-canvas", { canvas: offscreen }, [offscreen])
+					.catch((error) => console.error("Segmentation error:", error));
+				this._offscreenOwner = canvas;
+			}
+		} else {
+			this.ctx = this.canvas.getContext("2d");
+		}
 		this.interval = interval;
 		this.isRunning = true;
 		this.lastVideoTime = -1;
@@ -125,7 +185,17 @@ export class SelfieSegmentation {
 			this.rafId = null;
 		}
 		this.lastVideoTime = -1;
-		// Clear canvas
+		if (this.worker) {
+			this.worker.call("segmentation-clear").catch(() => {});
+		} else {
+			this.clear();
+		}
+	}
+
+	/**
+	 * Clear the preview canvas
+	 */
+	clear() {
 		if (this.canvas && this.ctx) {
 			this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 		}
@@ -182,29 +252,93 @@ export class SelfieSegmentation {
 			currentTime - this.lastVideoTime >= this.interval
 		) {
 			this.lastVideoTime = currentTime;
-			const startTimeMs = performance.now();
 
-			if (this.segmenter) {
-				// Draw video to processing canvas
-				this.processingCtx.drawImage(
+			if (this.worker) {
+				// Frames arriving while the worker is busy are dropped
+				if (!this._pendingFrame) {
+					this._sendFrame();
+				}
+			} else if (this.segmenter) {
+				this.processFrame(
 					this.video,
-					0,
-					0,
-					this.processingWidth,
-					this.processingHeight,
+					this.video.videoWidth,
+					this.video.videoHeight,
+					performance.now(),
 				);
-
-				const result = this.segmenter.segmentForVideo(
-					this.processingCanvas,
-					startTimeMs,
-				);
-				this.draw(result);
 			}
 		}
 
 		this._scheduleNextLoop();
 	}
 
+	/**
+	 * Segment one frame and draw it to the preview canvas
+	 * @param {CanvasImageSource} source - Video element, VideoFrame or ImageBitmap
+	 * @param {number} width - Frame width
+	 * @param {number} height - Frame height
+	 * @param {number} timestamp - Timestamp in ms, increasing
+	 */
+	processFrame(source, width, height, timestamp) {
+		// Draw video to processing canvas
+		this.processingCtx.drawImage(
+			source,
+			0,
+			0,
+			this.processingWidth,
+			this.processingHeight,
+		);
+
+		const result = this.segmenter.segmentForVideo(
+			this.processingCanvas,
+			timestamp,
+		);
+		this.draw(result, source, width, height);
+	}
+
+	/**
+	 * Send the current video frame to the worker
+	 * @private
+	 */
+	async _sendFrame() {
+		this._pendingFrame = true;
+		try {
+			const frame = await grabFrame(this.video);
+			const result = await this.worker.call(
+				"segmentation-frame",
+				{
+					frame,
+					width: this.video.videoWidth,
+					height: this.video.videoHeight,
+					overlay: this.overlayMode,
+					blur: this.blurEnabled,
+				},
+				[frame],
+			);
+			this._storeBlurBitmap(result.blur ?? null);
+		} catch (error) {
+			console.error("Segmentation error:", error);
+		} finally {
+			this._pendingFrame = false;
+		}
+	}
+
+	/**
+	 * Keep the worker's latest blur composite for capturing
+	 * @param {ImageBitmap|null} bitmap
+	 * @private
+	 */
+	_storeBlurBitmap(bitmap) {
+		if (!bitmap) {
+			this._latestBlurCanvas = null;
+			return;
+		}
+		this._blurCopy ??= createCanvas(bitmap.width, bitmap.height).getContext(
+			"bitmaprenderer",
+		);
+		this._blurCopy.transferFromImageBitmap(bitmap);
+		this._latestBlurCanvas = this._blurCopy.canvas;
+	}
+
 	/**
 	 * Create and return a 2D context; canvas accessible via ctx.canvas
 	 * @param {number} w - Canvas width
@@ -214,10 +348,7 @@ export class SelfieSegmentation {
 	 * @private
 	 */
 	_makeLayer(w, h, ctxOptions) {
-		const canvas = document.createElement("canvas");
-		canvas.width = w;
-		canvas.height = h;
-		return canvas.getContext("2d", ctxOptions || undefined);
+		return createCanvas(w, h).getContext("2d", ctxOptions || undefined);
 	}
 
 	/**
@@ -307,9 +438,10 @@ export class SelfieSegmentation {
 	 * @param {Float32Array} maskData - Segmentation mask data
 	 * @param {number} videoW - Video width
 	 * @param {number} videoH - Video height
+	 * @param {CanvasImageSource} source - Current frame
 	 * @private
 	 */
-	_updateBlurComposite(maskData, videoW, videoH) {
+	_updateBlurComposite(maskData, videoW, videoH, source) {
 		const { mask, bg, fg, out } = this.layers;
 		this._ensureOffscreens(videoW, videoH);
 
@@ -341,7 +473,7 @@ export class SelfieSegmentation {
 		bg.small.clearRect(0, 0, sw, sh);
 		bg.small.imageSmoothingEnabled = true;
 		bg.small.imageSmoothingQuality = "low";
-		bg.small.drawImage(this.video, 0, 0, sw, sh);
+		bg.small.drawImage(source, 0, 0, sw, sh);
 		bg.small.restore();
 
 		// Get blurred background
@@ -366,7 +498,7 @@ export class SelfieSegmentation {
 		// Get foreground (person) cutout
 		fg.full.save();
 		fg.full.clearRect(0, 0, videoW, videoH);
-		fg.full.drawImage(this.video, 0, 0, videoW, videoH);
+		fg.full.drawImage(source, 0, 0, videoW, videoH);
 		fg.full.globalCompositeOperation = "destination-in"; // keep only person
 		fg.full.drawImage(mask.full.canvas, 0, 0, videoW, videoH);
 		fg.full.globalCompositeOperation = "source-over";
@@ -397,12 +529,18 @@ export class SelfieSegmentation {
 	/**
 	 * Draw the segmentation result with overlay effect
 	 * @param {ImageSegmenterResult} result
+	 * @param {CanvasImageSource} source - Frame the result belongs to
+	 * @param {number} width - Frame width
+	 * @param {number} height - Frame height
 	 */
-	draw(result) {
-		if (!this.canvas || !this.video || !this.ctx) return;
+	draw(
+		result,
+		source = this.video,
+		width = source?.videoWidth,
+		height = source?.videoHeight,
+	) {
+		if (!this.canvas || !source || !this.ctx) return;
 		const ctx = this.ctx;
-		const width = this.video.videoWidth;
-		const height = this.video.videoHeight;
 
 		if (!width || !height) return;
 
@@ -414,14 +552,14 @@ export class SelfieSegmentation {
 		const mask = this._selectPrimaryMask(result);
 		try {
 			if (!mask) {
-				ctx.drawImage(this.video, 0, 0, width, height);
+				ctx.drawImage(source, 0, 0, width, height);
 				this._latestBlurCanvas = null;
 				return;
 			}
 
 			// Draw video to processing canvas
 			this.processingCtx.drawImage(
-				this.video,
+				source,
 				0,
 				0,
 				this.processingWidth,
@@ -431,7 +569,7 @@ export class SelfieSegmentation {
 			// Decide if blur needed
 			if (this.blurEnabled) {
 				const maskData = mask.getAsFloat32Array();
-				this._updateBlurComposite(maskData, width, height);
+				this._updateBlurComposite(maskData, width, height, source);
 			} else {
 				this._latestBlurCanvas = null;
 			}
@@ -454,7 +592,7 @@ export class SelfieSegmentation {
 			} else if (this.blurEnabled && this._latestBlurCanvas) {
 				ctx.drawImage(this._latestBlurCanvas, 0, 0, width, height);
 			} else {
-				ctx.drawImage(this.video, 0, 0, width, height);
+				ctx.drawImage(source, 0, 0, width, height);
 			}
 		} finally {
 			try {
@@ -543,6 +681,10 @@ export class SelfieSegmentation {
 			this.segmenter.close();
 			this.segmenter = null;
 		}
+		if (this.worker) {
+			this.worker.call("segmentation-dispose").catch(() => {});
+			this.worker = null;
+		}
 		this._latestBlurCanvas = null;
 	}
 }
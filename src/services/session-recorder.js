@@ -0,0 +1,200 @@
+/*
+Opt-in recording of a guidance session, so a problem a user reports can be
+reproduced: the detections of every detector result with the settings that
+shaped the guidance, the decision taken, and what was said and captured.
+
+The trace is plain JSON and replays without a browser, see
+scripts/replay-trace.mjs:
+{
+	version, startedAt, stoppedAt, meta,
+	frames: [{ t, width, height, detections, pose, primaryId, primaryMissing,
+		profile, groupMode, tilt, lighting, autoCapture, facingMode, decision }],
+	events: [{ t, type, ...detail }]
+}
+Times (t) are ms since the start of the recording. primaryMissing marks the
+results where the locked primary face (primaryId) was not detected; the app
+then held the previous evaluation and detections[0] is someone else.
+*/
+export const TRACE_VERSION = 1;
+
+// About 10 minutes at 3 detector results per second
+const MAX_FRAMES = 2000;
+const MAX_EVENTS = 1000;
+
+/**
+ * Copy the parts of a FaceDetector detection the replay needs
+ * @param {Object} detection
+ * @returns {Object}
+ */
+function serializeDetection(detection) {
+	const { originX, originY, width, height, angle } = detection.boundingBox;
+	return {
+		boundingBox: { originX, originY, width, height, angle },
+		keypoints: (detection.keypoints ?? []).map(({ x, y }) => ({ x, y })),
+		categories: (detection.categories ?? []).map(({ score }) => ({ score })),
+		eyes: detection.eyes
+			? {
+					left: detection.eyes.left,
+					right: detection.eyes.right,
+					open: detection.eyes.open,
+					smile: detection.eyes.smile,
+					center: detection.eyes.center,
+					gaze: detection.eyes.gaze,
+				}
+			: null,
+	};
+}
+
+export class SessionRecorder {
+	constructor() {
+		this.recording = false;
+		this.startedAt = 0;
+		this.stoppedAt = 0;
+		this.meta = {};
+		this.frames = [];
+		this.events = [];
+		this.truncated = false;
+	}
+
+	/**
+	 * Start a new recording, dropping the previous one
+	 * @param {Object} meta - Session settings, e.g. { language, verbosity }
+	 */
+	start(meta = {}) {
+		this.recording = true;
+		this.startedAt = Date.now();
+		this.stoppedAt = 0;
+		this.meta = {
+			userAgent: typeof navigator !== "undefined" ? navigator.userAgent : null,
+			...meta,
+		};
+		this.frames = [];
+		this.events = [];
+		this.truncated = false;
+		this._emitChange();
+	}
+
+	/**
+	 * Stop recording, the trace stays available for export
+	 */
+	stop() {
+		if (!this.recording) return;
+		this.recording = false;
+		this.stoppedAt = Date.now();
+		this._emitChange();
+	}
+
+	isRecording() {
+		return this.recording;
+	}
+
+	/**
+	 * Whether there is a trace to export
+	 * @returns {boolean}
+	 */
+	hasTrace() {
+		return this.startedAt > 0;
+	}
+
+	/**
+	 * Record one detector result and the guidance decision about it
+	 * @param {Object} frame
+	 * @param {Array} frame.detections - FaceDetector detections, primary face first
+	 * @param {number} frame.width
+	 * @param {number} frame.height
+	 * @param {Array|null} frame.pose - PoseLandmarker landmarks of one pose
+	 * @param {number|null} frame.primaryId - FaceTracker id of the primary face
+	 * @param {boolean} frame.primaryMissing - The primary face was not detected
+	 *   and the previous evaluation was held
+	 * @param {string} frame.profile - Composition profile id
+	 * @param {boolean} frame.groupMode
+	 * @param {Object|null} frame.tilt - DeviceTilt state
+	 * @param {string|null} frame.lighting - lightingStatus value
+	 * @param {boolean} frame.autoCapture
+	 * @param {string} frame.facingMode - cameraFacing value
+	 * @param {Object} frame.decision - GuidanceDecision
+	 * @param {number} now - Timestamp in ms
+	 */
+	recordFrame(frame, now = Date.now()) {
+		if (!this.recording) return;
+		if (this.frames.length >= MAX_FRAMES) {
+			this.truncated = true;
+			return;
+		}
+		const { detections, pose, decision, ...settings } = frame;
+		this.frames.push({
+			t: now - this.startedAt,
+			...settings,
+			detections: detections.map(serializeDetection),
+			pose: pose?.map(({ x, y, z, visibility }) => ({ x, y, z, visibility })),
+			decision: decision
+				? {
+						key: decision.key,
+						ruleId: decision.ruleId,
+						aligned: decision.aligned,
+						advisory: decision.advisory,
+					}
+				: null,
+		});
+	}
+
+	/**
+	 * Record something that happened, e.g. spoken guidance or a capture
+	 * @param {string} type - e.g. "guidance", "capture"
+	 * @param {Object} detail
+	 * @param {number} now - Timestamp in ms
+	 */
+	recordEvent(type, detail = {}, now = Date.now()) {
+		if (!this.recording) return;
+		if (this.events.length >= MAX_EVENTS) {
+			this.truncated = true;
+			return;
+		}
+		this.events.push({ t: now - this.startedAt, type, ...detail });
+	}
+
+	/**
+	 * The trace as a plain object
+	 * @returns {Object}
+	 */
+	toJSON() {
+		return {
+			version: TRACE_VERSION,
+			startedAt: new Date(this.startedAt).toISOString(),
+			stoppedAt: this.stoppedAt ? new Date(this.stoppedAt).toISOString() : null,
+			meta: this.meta,
+			truncated: this.truncated,
+			frames: this.frames,
+			events: this.events,
+		};
+	}
+
+	/**
+	 * Download the trace as a JSON file
+	 * @param {string} filename - Optional
+	 */
+	download(filename) {
+		if (!this.hasTrace()) {
+			throw new Error("No session recorded");
+		}
+		const blob = new Blob([JSON.stringify(this.toJSON())], {
+			type: "application/json",
+		});
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement("a");
+		link.href = url;
+		link.download =
+			filename ||
+			`guidance-trace-${new Date(this.startedAt).toISOString().replace(/[:.]/g, "-")}.json`;
+		link.click();
+		setTimeout(() => URL.revokeObjectURL(url), 1000);
+	}
+
+	_emitChange() {
+		window.dispatchEvent(
+			new CustomEvent("recorder:changed", {
+				detail: { recording: this.recording },
+			}),
+		);
+	}
+}
@@ -0,0 +1,244 @@
+/*
+Continuous sonified framing guidance with Web Audio.
+https://developer.mozilla.org/en-US/docs/Web/API/Web_Audio_API
+
+- Stereo pan follows the horizontal offset (sound on the left: turn phone left)
+- Pitch follows the vertical offset (higher: point phone up)
+- Pulse rate follows distance (faster pulses: closer)
+- A steady chord replaces the pulses when framing is good
+*/
+const BASE_FREQUENCY = 440;
+const PITCH_RANGE_SEMITONES = 12;
+// Offsets (normalized) at which pan/pitch reach their extremes
+const FULL_SCALE_OFFSET = 0.3;
+const MIN_PULSE_HZ = 0.8;
+const MAX_PULSE_HZ = 8;
+const PULSE_LENGTH = 0.08; // seconds
+const TONE_VOLUME = 0.25;
+const CHORD_VOLUME = 0.12;
+// Major triad on A4
+const CHORD_FREQUENCIES = [440, 554.37, 659.25];
+const RAMP_TIME = 0.05; // seconds, for parameter smoothing
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+export class GuidanceSonifier {
+	constructor() {
+		this.enabled = false;
+		this.running = false;
+		this.paused = false;
+		this.ctx = null;
+		this.nodes = null;
+		this.pulseHz = 0; // 0 = no pulses
+		this.aligned = false;
+		this._pulseTimer = null;
+	}
+
+	/**
+	 * Turn sonification on or off. Must be called from a user gesture the
+	 * first time so the AudioContext is allowed to start.
+	 * @param {boolean} on
+	 */
+	setEnabled(on) {
+		this.enabled = !!on;
+		if (this.enabled) {
+			this._ensureGraph();
+		} else {
+			this.stop();
+		}
+		window.dispatchEvent(
+			new CustomEvent("sonifier:changed", {
+				detail: { enabled: this.enabled },
+			}),
+		);
+	}
+
+	isEnabled() {
+		return this.enabled;
+	}
+
+	/**
+	 * Start producing sound (silent until the first update)
+	 */
+	start() {
+		if (!this.enabled || this.running) return;
+		if (!this._ensureGraph()) return;
+		this.running = true;
+		this.ctx.resume?.().catch(() => {});
+		this._applyMaster();
+	}
+
+	/**
+	 * Stop all sound
+	 */
+	stop() {
+		this.running = false;
+		this._setPulseRate(0);
+		this.aligned = false;
+		if (this.nodes) {
+			const now = this.ctx.currentTime;
+			this.nodes.chordGain.gain.setTargetAtTime(0, now, RAMP_TIME);
+			this._applyMaster();
+		}
+	}
+
+	/**
+	 * Pause while speech is speaking or listening, without losing state
+	 * @param {boolean} paused
+	 */
+	setPaused(paused) {
+		if (this.paused === !!paused) return;
+		this.paused = !!paused;
+		this._applyMaster();
+	}
+
+	/**
+	 * Update the sound from the current framing
+	 * @param {Object|null} target - null when no face is detected
+	 * @param {number} target.offsetX - Face center minus target, normalized (negative: user's left)
+	 * @param {number} target.offsetY - Face center minus target, normalized (negative: too high)
+	 * @param {number} target.proximity - Face size / ideal size (1 = ideal)
+	 * @param {boolean} target.aligned - Whether framing is good
+	 */
+	update(target) {
+		if (!this.running || !this.nodes) return;
+		const now = this.ctx.currentTime;
+		const { tone, panner, chordGain } = this.nodes;
+
+		if (!target) {
+			// Face lost: silence
+			this.aligned = false;
+			this._setPulseRate(0);
+			chordGain.gain.setTargetAtTime(0, now, RAMP_TIME);
+			return;
+		}
+
+		if (target.aligned) {
+			if (!this.aligned) {
+				this.aligned = true;
+				this._setPulseRate(0);
+				chordGain.gain.setTargetAtTime(CHORD_VOLUME, now, RAMP_TIME);
+			}
+			return;
+		}
+
+		if (this.aligned) {
+			this.aligned = false;
+			chordGain.gain.setTargetAtTime(0, now, RAMP_TIME);
+		}
+
+		const pan = clamp(target.offsetX / FULL_SCALE_OFFSET, -1, 1);
+		const semitones =
+			-clamp(target.offsetY / FULL_SCALE_OFFSET, -1, 1) * PITCH_RANGE_SEMITONES;
+		panner.pan.setTargetAtTime(pan, now, RAMP_TIME);
+		tone.frequency.setTargetAtTime(
+			BASE_FREQUENCY * 2 ** (semitones / 12),
+			now,
+			RAMP_TIME,
+		);
+		this._setPulseRate(clamp(2 * target.proximity, MIN_PULSE_HZ, MAX_PULSE_HZ));
+	}
+
+	/**
+	 * Release the AudioContext
+	 */
+	dispose() {
+		this.stop();
+		this.ctx?.close?.().catch(() => {});
+		this.ctx = null;
+		this.nodes = null;
+	}
+
+	/**
+	 * Create the AudioContext and node graph once
+	 * @returns {boolean} false if Web Audio is unavailable
+	 * @private
+	 */
+	_ensureGraph() {
+		if (this.nodes) return true;
+		const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+		if (!AudioContextClass) {
+			console.warn("Web Audio is not supported in this browser");
+			return false;
+		}
+
+		const ctx = new AudioContextClass();
+		const master = ctx.createGain();
+		master.gain.value = 0;
+		master.connect(ctx.destination);
+
+		// Pulsed, panned guidance tone
+		const tone = ctx.createOscillator();
+		tone.type = "triangle";
+		tone.frequency.value = BASE_FREQUENCY;
+		const toneGain = ctx.createGain();
+		toneGain.gain.value = 0;
+		const panner = ctx.createStereoPanner();
+		tone.connect(toneGain).connect(panner).connect(master);
+		tone.start();
+
+		// Steady chord when aligned
+		const chordGain = ctx.createGain();
+		chordGain.gain.value = 0;
+		chordGain.connect(master);
+		const chord = CHORD_FREQUENCIES.map((frequency) => {
+			const osc = ctx.createOscillator();
+			osc.type = "sine";
+			osc.frequency.value = frequency;
+			osc.connect(chordGain);
+			osc.start();
+			return osc;
+		});
+
+		this.ctx = ctx;
+		this.nodes = { master, tone, toneGain, panner, chordGain, chord };
+		return true;
+	}
+
+	/**
+	 * Master volume: on only while running and not paused
+	 * @private
+	 */
+	_applyMaster() {
+		if (!this.nodes) return;
+		const on = this.running && !this.paused;
+		this.nodes.master.gain.setTargetAtTime(
+			on ? 1 : 0,
+			this.ctx.currentTime,
+			RAMP_TIME,
+		);
+	}
+
+	/**
+	 * Change the pulse rate; 0 stops pulsing
+	 * @param {number} hz
+	 * @private
+	 */
+	_setPulseRate(hz) {
+		this.pulseHz = hz;
+		if (hz > 0 && !this._pulseTimer) {
+			this._pulse();
+		} else if (hz === 0 && this._pulseTimer) {
+			clearTimeout(this._pulseTimer);
+			this._pulseTimer = null;
+		}
+	}
+
+	/**
+	 * Play one pulse and schedule the next at the current rate
+	 * @private
+	 */
+	_pulse() {
+		this._pulseTimer = null;
+		if (!this.running || this.pulseHz <= 0 || !this.nodes) return;
+
+		const gain = this.nodes.toneGain.gain;
+		const t = this.ctx.currentTime;
+		gain.cancelScheduledValues(t);
+		gain.setValueAtTime(0, t);
+		gain.linearRampToValueAtTime(TONE_VOLUME, t + 0.01);
+		gain.linearRampToValueAtTime(0, t + PULSE_LENGTH);
+
+		this._pulseTimer = setTimeout(() => this._pulse(), 1000 / this.pulseHz);
+	}
+}
@@ -20,6 +20,39 @@ export function setupSpeechControlUI(manager) {
     </button>
     <button id="blurToggle" class="speech-control-btn" aria-pressed="false" title="Toggle background blur">
       Blur: Off
+    </button>
+    <button id="compositionBtn" class="speech-control-btn" title="Switch composition profile">
+      Framing: Head and shoulders
+    </button>
+    <button id="cameraToggle" class="speech-control-btn" title="Switch between the front camera (selfie) and the rear camera (photograph someone else)">
+      Camera: Front
+    </button>
+    <button id="sourceBtn" class="speech-control-btn" title="Play a video file or image sequence instead of the camera, e.g. for a demo">
+      Source: Camera
+    </button>
+    <button id="groupToggle" class="speech-control-btn" aria-pressed="false" title="Toggle group selfie framing">
+      Group: Off
+    </button>
+    <button id="sonifyToggle" class="speech-control-btn" aria-pressed="false" title="Toggle continuous guidance tone">
+      Tone: Off
+    </button>
+    <button id="guidanceChannelBtn" class="speech-control-btn" title="Choose speech, vibration or both for guidance">
+      Guidance: Speech + Vibration
+    </button>
+    <button id="verbosityBtn" class="speech-control-btn" title="Choose how much the guidance says">
+      Detail: Normal
+    </button>
+    <button id="languageBtn" class="speech-control-btn" title="Language of speech and guidance">
+      Language: English
+    </button>
+    <button id="eyeCheckToggle" class="speech-control-btn" aria-pressed="true" title="Check for closed eyes before a photo, loads an extra face model">
+      Eyes: On
+    </button>
+    <button id="autoCaptureToggle" class="speech-control-btn" aria-pressed="false" title="Toggle hands-free auto capture">
+      Auto: Off
+    </button>
+    <button id="recordToggle" class="speech-control-btn" aria-pressed="false" title="Record a guidance session to report a problem, the trace is saved when recording stops">
+      Record: Off
     </button>
 	<button id="tokenBtn" class="speech-control-btn" aria-pressed="false" title="Set user key">
 	  Key: None
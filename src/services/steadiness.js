@@ -0,0 +1,278 @@
+/*
+Steadiness detection before a capture, combining two signals:
+- DeviceMotion: variance of the acceleration magnitude over a short window
+  https://developer.mozilla.org/en-US/docs/Web/API/DeviceMotionEvent
+- Frame sharpness: variance of the Laplacian of a downscaled grayscale frame
+
+Sharpness depends on the scene, so a frame counts as sharp relative to the
+sharpest frame seen recently rather than against a fixed value.
+*/
+const MOTION_WINDOW_MS = 500;
+// (m/s²)², hand-held phones at rest stay well below this
+const MOTION_VARIANCE_LIMIT = 0.15;
+const SAMPLE_WIDTH = 160;
+const SHARPNESS_WINDOW_MS = 2000;
+// A frame is sharp when at least this fraction of the recent best sharpness
+const SHARPNESS_RATIO = 0.8;
+const POLL_INTERVAL_MS = 100;
+// Steady readings needed in a row before the moment counts as steady
+const REQUIRED_STEADY_MS = 300;
+
+export class SteadinessDetector {
+	constructor() {
+		this.motionSamples = []; // { t, magnitude }
+		this.sharpnessSamples = []; // { t, value }
+		this.listening = false; // Motion events arrive, or access was granted
+		this.permission = null; // null = not asked, "granted" | "denied"
+		this._subscribed = false;
+		this.canvas = null;
+		this.ctx = null;
+		this._onMotion = this._handleMotion.bind(this);
+	}
+
+	/**
+	 * Start listening to DeviceMotion events. Without a sensor (or without
+	 * permission on iOS) only frame sharpness is used.
+	 */
+	start() {
+		if (this._subscribed || !this.isSupported()) return;
+		window.addEventListener("devicemotion", this._onMotion);
+		this._subscribed = true;
+		this.listening = this.permission === "granted";
+	}
+
+	/**
+	 * Whether the browser has the DeviceMotion API at all
+	 * @returns {boolean}
+	 */
+	isSupported() {
+		return typeof window !== "undefined" && "DeviceMotionEvent" in window;
+	}
+
+	/**
+	 * Whether a permission prompt is needed before events arrive (iOS 13+)
+	 * @returns {boolean}
+	 */
+	needsPermission() {
+		return (
+			this.isSupported() &&
+			typeof window.DeviceMotionEvent.requestPermission === "function" &&
+			this.permission !== "granted"
+		);
+	}
+
+	/**
+	 * Ask for motion sensor access where the browser requires it (iOS).
+	 * Must be called from a user gesture.
+	 * @returns {Promise<boolean>} Whether motion events are allowed
+	 */
+	async requestPermission() {
+		if (!this.isSupported()) {
+			return false;
+		}
+		if (!this.needsPermission()) {
+			return true;
+		}
+		try {
+			this.permission = await window.DeviceMotionEvent.requestPermission();
+		} catch (error) {
+			console.warn("Device motion permission failed:", error);
+			this.permission = "denied";
+		}
+		if (this.permission === "granted") {
+			this.listening = this._subscribed;
+		}
+		return this.permission === "granted";
+	}
+
+	stop() {
+		if (!this._subscribed) return;
+		window.removeEventListener("devicemotion", this._onMotion);
+		this._subscribed = false;
+		this.listening = false;
+		this.motionSamples = [];
+	}
+
+	/**
+	 * Variance of the acceleration magnitude over the last window
+	 * @param {number} now - Timestamp in ms
+	 * @returns {number|null} null without recent motion samples
+	 */
+	getMotionVariance(now = Date.now()) {
+		const recent = this.motionSamples.filter(
+			(s) => now - s.t <= MOTION_WINDOW_MS,
+		);
+		if (recent.length < 3) {
+			return null;
+		}
+		const mean =
+			recent.reduce((sum, s) => sum + s.magnitude, 0) / recent.length;
+		return (
+			recent.reduce((sum, s) => sum + (s.magnitude - mean) ** 2, 0) /
+			recent.length
+		);
+	}
+
+	/**
+	 * Variance of the Laplacian of a downscaled grayscale frame
+	 * @param {CanvasImageSource} source - Video element or image
+	 * @param {number} width - Source width in pixels
+	 * @param {number} height - Source height in pixels
+	 * @returns {number|null} Higher is sharper, null if the frame cannot be read
+	 */
+	measureSharpness(source, width, height) {
+		if (!width || !height) {
+			return null;
+		}
+		const w = SAMPLE_WIDTH;
+		const h = Math.max(3, Math.round((SAMPLE_WIDTH * height) / width));
+		if (!this.ctx) {
+			this.canvas = document.createElement("canvas");
+			this.ctx = this.canvas.getContext("2d", { willReadFrequently: true });
+		}
+		if (!this.ctx) {
+			return null;
+		}
+		if (this.canvas.width !== w || this.canvas.height !== h) {
+			this.canvas.width = w;
+			this.canvas.height = h;
+		}
+		this.ctx.drawImage(source, 0, 0, w, h);
+		const { data } = this.ctx.getImageData(0, 0, w, h);
+		return laplacianVariance(data, w, h);
+	}
+
+	/**
+	 * Whether the phone and the picture are steady right now
+	 * @param {CanvasImageSource} source
+	 * @param {number} width
+	 * @param {number} height
+	 * @param {number} now - Timestamp in ms
+	 * @returns {{steady:boolean, motionVariance:number|null, sharpness:number|null}}
+	 */
+	check(source, width, height, now = Date.now()) {
+		const motionVariance = this.getMotionVariance(now);
+		const sharpness = this.measureSharpness(source, width, height);
+
+		this.sharpnessSamples = this.sharpnessSamples.filter(
+			(s) => now - s.t <= SHARPNESS_WINDOW_MS,
+		);
+		if (sharpness !== null) {
+			this.sharpnessSamples.push({ t: now, value: sharpness });
+		}
+		const best = Math.max(0, ...this.sharpnessSamples.map((s) => s.value));
+
+		const motionOk =
+			motionVariance === null || motionVariance < MOTION_VARIANCE_LIMIT;
+		const sharpOk = sharpness === null || sharpness >= best * SHARPNESS_RATIO;
+		return { steady: motionOk && sharpOk, motionVariance, sharpness };
+	}
+
+	/**
+	 * Sharpest frame seen recently, to judge a photo taken right after
+	 * @param {number} now - Timestamp in ms
+	 * @returns {number|null} null without recent samples
+	 */
+	getReferenceSharpness(now = Date.now()) {
+		const recent = this.sharpnessSamples.filter(
+			(s) => now - s.t <= SHARPNESS_WINDOW_MS,
+		);
+		if (recent.length === 0) {
+			return null;
+		}
+		return Math.max(...recent.map((s) => s.value));
+	}
+
+	/**
+	 * Wait for a steady moment
+	 * @param {HTMLVideoElement} video
+	 * @param {number} timeoutMs
+	 * @returns {Promise<boolean>} false if still shaking at timeout
+	 */
+	async waitForSteady(video, timeoutMs) {
+		const start = Date.now();
+		let steadySince = 0;
+		while (Date.now() - start < timeoutMs) {
+			const now = Date.now();
+			const { steady } = this.check(
+				video,
+				video.videoWidth,
+				video.videoHeight,
+				now,
+			);
+			if (!steady) {
+				steadySince = 0;
+			} else if (!steadySince) {
+				steadySince = now;
+			}
+			// Collect a few samples first so "recent best" sharpness is meaningful
+			if (
+				steadySince &&
+				now - steadySince >= REQUIRED_STEADY_MS &&
+				now - start >= REQUIRED_STEADY_MS
+			) {
+				return true;
+			}
+			await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+		}
+		return false;
+	}
+
+	/**
+	 * @param {DeviceMotionEvent} event
+	 * @private
+	 */
+	_handleMotion(event) {
+		// Prefer acceleration without gravity; fall back to including gravity
+		const a =
+			event.acceleration?.x != null
+				? event.acceleration
+				: event.accelerationIncludingGravity;
+		if (!a || a.x == null) return;
+		this.listening = true;
+		const now = Date.now();
+		this.motionSamples.push({
+			t: now,
+			magnitude: Math.hypot(a.x, a.y ?? 0, a.z ?? 0),
+		});
+		while (
+			this.motionSamples.length &&
+			now - this.motionSamples[0].t > MOTION_WINDOW_MS
+		) {
+			this.motionSamples.shift();
+		}
+	}
+}
+
+/**
+ * Variance of the 4-neighbour Laplacian over the luma of RGBA pixels
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} w
+ * @param {number} h
+ * @returns {number}
+ */
+export function laplacianVariance(data, w, h) {
+	const gray = new Float32Array(w * h);
+	for (let i = 0; i < w * h; i++) {
+		gray[i] =
+			0.2126 * data[i * 4] +
+			0.7152 * data[i * 4 + 1] +
+			0.0722 * data[i * 4 + 2];
+	}
+	let sum = 0;
+	let sumSq = 0;
+	let n = 0;
+	for (let y = 1; y < h - 1; y++) {
+		for (let x = 1; x < w - 1; x++) {
+			const i = y * w + x;
+			const lap =
+				gray[i - 1] + gray[i + 1] + gray[i - w] + gray[i + w] - 4 * gray[i];
+			sum += lap;
+			sumSq += lap * lap;
+			n++;
+		}
+	}
+	if (n === 0) return 0;
+	const mean = sum / n;
+	return sumSq / n - mean * mean;
+}
@@ -1,4 +1,5 @@
 import { MicVAD } from "@ricky0123/vad-web";
+import { getAssetUrls } from "./asset-config.js";
 
 export class VADService {
 	constructor(vadOptions = {}) {
@@ -26,11 +27,10 @@ export class VADService {
 		if (this._starting) return this._starting;
 
 		this._starting = (async () => {
-			const baseAssetPath =
-				"https://cdn.jsdelivr.net/npm/@ricky0123/vad-web/dist/";
+			const assets = getAssetUrls();
 			const commonOptions = {
-				baseAssetPath,
-				onnxWASMBasePath: "https://cdn.jsdelivr.net/npm/onnxruntime-web/dist/",
+				baseAssetPath: assets.vadBase,
+				onnxWASMBasePath: assets.onnxWasmBase,
 				onSpeechStart: () => this.onSpeechStart?.(),
 				onSpeechEnd: (audio) => this.onSpeechEnd?.(audio),
 				...this.vadOptions,
@@ -0,0 +1,100 @@
+/*
+Main-thread side of vision.worker.js, which runs face and pose detection and
+selfie segmentation off the main thread so the UI and screen readers stay
+responsive. FaceDetect, PoseDetect and SelfieSegmentation use it when
+available and fall back to running on the main thread otherwise.
+
+Messages are { id, type, payload } requests answered by { id, result } or
+{ id, error }. Frames are sent as transferred VideoFrame or ImageBitmap
+objects, the worker closes them.
+*/
+
+let sharedClient = null;
+
+/**
+ * Whether the browser can run inference in a worker
+ * @returns {boolean}
+ */
+export function canUseVisionWorker() {
+	return (
+		typeof Worker !== "undefined" &&
+		typeof OffscreenCanvas !== "undefined" &&
+		typeof createImageBitmap === "function"
+	);
+}
+
+/**
+ * The worker shared by all vision services, created on first use
+ * @returns {VisionWorkerClient}
+ */
+export function getVisionWorker() {
+	if (!sharedClient || sharedClient.failed) {
+		sharedClient = new VisionWorkerClient();
+	}
+	return sharedClient;
+}
+
+/**
+ * Grab the current video frame as a transferable object
+ * @param {HTMLVideoElement} video
+ * @returns {Promise<VideoFrame|ImageBitmap>}
+ */
+export async function grabFrame(video) {
+	if (typeof VideoFrame === "function") {
+		try {
+			return new VideoFrame(video);
+		} catch (_) {
+			// Not supported for this source, e.g. no frame decoded yet
+		}
+	}
+	return createImageBitmap(video);
+}
+
+export class VisionWorkerClient {
+	constructor() {
+		this.worker = new Worker(new URL("./vision.worker.js", import.meta.url), {
+			type: "module",
+		});
+		this.nextId = 1;
+		this.pending = new Map(); // id -> { resolve, reject }
+		this.failed = false;
+		this.worker.addEventListener("message", (event) => {
+			const { id, result, error } = event.data;
+			const request = this.pending.get(id);
+			if (!request) return;
+			this.pending.delete(id);
+			if (error) {
+				request.reject(new Error(error));
+			} else {
+				request.resolve(result);
+			}
+		});
+		this.worker.addEventListener("error", (event) => {
+			// The worker script itself failed, e.g. a module that cannot load
+			this.failed = true;
+			const error = new Error(event.message || "Vision worker failed");
+			for (const request of this.pending.values()) {
+				request.reject(error);
+			}
+			this.pending.clear();
+		});
+	}
+
+	/**
+	 * Send a request to the worker
+	 * @param {string} type - Handler name in vision.worker.js
+	 * @param {Object} payload
+	 * @param {Transferable[]} transfer - Objects to transfer instead of copy
+	 * @returns {Promise<any>}
+	 */
+	call(type, payload = {}, transfer = []) {
+		if (this.failed) {
+			return Promise.reject(new Error("Vision worker failed"));
+		}
+		const id = this.nextId++;
+		return new Promise((resolve, reject) => {
+			this.pending.set(id, { resolve, reject });
+			this.worker.postMessage({ id, type, payload }, transfer);
+		});
+	}
+}
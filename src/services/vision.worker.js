@@ -0,0 +1,149 @@
+/*
+Worker running FaceDetect, PoseDetect and SelfieSegmentation off the main
+thread, see vision-worker-client.js for the protocol. The same classes run
+here with worker: false, so the main-thread fallback and the worker share all
+the inference and pixel code.
+*/
+import { FilesetResolver } from "@mediapipe/tasks-vision";
+import { getAssetUrls } from "./asset-config.js";
+import { FaceDetect } from "./face-detect.js";
+import { PoseDetect } from "./pose-detect.js";
+import { SelfieSegmentation } from "./selfie-segmentation.js";
+
+const face = new FaceDetect();
+const pose = new PoseDetect();
+const segmentation = new SelfieSegmentation();
+let loaderShim = null;
+
+/**
+ * MediaPipe loads its WASM loader with importScripts(), which module workers
+ * do not have. Load it once as a module instead and hand out its factory.
+ * @param {string} wasmPath
+ * @returns {Promise<void>}
+ */
+function ensureWasmLoader(wasmPath) {
+	try {
+		importScripts(); // No-op in classic workers
+		return Promise.resolve();
+	} catch (_) {}
+	loaderShim ??= (async () => {
+		const { wasmLoaderPath } = await FilesetResolver.forVisionTasks(wasmPath);
+		const code = await (await fetch(wasmLoaderPath)).text();
+		const url = URL.createObjectURL(
+			new Blob([`${code}\nexport default ModuleFactory;`], {
+				type: "text/javascript",
+			}),
+		);
+		try {
+			const { default: factory } = await import(/* @vite-ignore */ url);
+			// MediaPipe clears self.ModuleFactory after every task it creates
+			self.importScripts = () => {
+				self.ModuleFactory = factory;
+			};
+		} finally {
+			URL.revokeObjectURL(url);
+		}
+	})();
+	return loaderShim;
+}
+
+/**
+ * Result of a detection run, everything the main-thread FaceDetect mirrors
+ * @returns {Object}
+ */
+function faceState() {
+	return {
+		detections: face.getDetections(),
+		eyeStates: face.getEyeStates(),
+		lastBlinkAt: face.getLastBlinkAt(),
+	};
+}
+
+const handlers = {
+	async "face-init"(options) {
+		await ensureWasmLoader(options.wasmPath ?? getAssetUrls().mediapipeWasm);
+		await face.init({ ...options, worker: false });
+		return { ...face.getModelInfo(), hasLandmarker: face.hasLandmarker() };
+	},
+	async "face-detect-video"({ frame, width, height }) {
+		try {
+			await face.detectFrame(frame, width, height, performance.now());
+		} finally {
+			frame.close();
+		}
+		return faceState();
+	},
+	async "face-detect-image"({ frame, width, height }) {
+		// Own result, the live state stays with the video frames
+		try {
+			return await face.detectStill(frame, width, height);
+		} finally {
+			frame.close();
+		}
+	},
+	async "face-set-model"({ model }) {
+		const switched = await face.setModel(model);
+		return { switched, ...face.getModelInfo() };
+	},
+	async "face-set-landmarker"({ enabled }) {
+		return { hasLandmarker: await face.setLandmarker(enabled) };
+	},
+	"face-reset"() {
+		face.stop();
+	},
+	"face-dispose"() {
+		face.dispose();
+	},
+	async "pose-init"(options) {
+		await ensureWasmLoader(options.wasmPath ?? getAssetUrls().mediapipeWasm);
+		await pose.init({ ...options, worker: false });
+		return { delegate: pose.delegate };
+	},
+	"pose-detect-video"({ frame }) {
+		try {
+			return { landmarks: pose.detectFrame(frame, performance.now()) };
+		} finally {
+			frame.close();
+		}
+	},
+	"pose-dispose"() {
+		pose.dispose();
+	},
+	async "segmentation-init"(options) {
+		await ensureWasmLoader(options.wasmPath ?? getAssetUrls().mediapipeWasm);
+		await segmentation.init({ ...options, worker: false });
+	},
+	"segmentation-canvas"({ canvas }) {
+		segmentation.canvas = canvas;
+		segmentation.ctx = canvas.getContext("2d");
+	},
+	"segmentation-frame"({ frame, width, height, overlay, blur }) {
+		segmentation.setOverlay(overlay);
+		segmentation.enableBlur(blur);
+		try {
+			segmentation.processFrame(frame, width, height, performance.now());
+		} finally {
+			frame.close();
+		}
+		// A copy of the blurred composite, for capturing the photo
+		const blurCanvas = segmentation.getLatestBlurCanvas();
+		return blurCanvas ? { blur: blurCanvas.transferToImageBitmap() } : {};
+	},
+	"segmentation-clear"() {
+		segmentation.clear();
+	},
+	"segmentation-dispose"() {
+		segmentation.dispose();
+	},
+};
+
+self.addEventListener("message", async (event) => {
+	const { id, type, payload } = event.data;
+	try {
+		const result = await handlers[type](payload);
+		const transfer = result?.blur ? [result.blur] : [];
+		self.postMessage({ id, result }, transfer);
+	} catch (error) {
+		self.postMessage({ id, error: error?.message ?? String(error) });
+	}
+});